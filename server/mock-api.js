@@ -0,0 +1,82 @@
+// Minimal REST backend for the storage "rest" adapter in src/App.jsx.
+//   GET    /api/collections        -> { [name]: data }  (?exclude=a,b leaves those out)
+//   GET    /api/collections/:name  -> data
+//   PUT    /api/collections/:name  <- data
+//   POST   /api/collections/:name  <- [records]  appended to a list collection (the audit log)
+//   DELETE /api/collections        -> clears everything
+// Data is kept in memory; set MOCK_API_DATA=path/to/file.json to persist it between runs.
+import http from "node:http";
+import fs from "node:fs";
+
+const PORT = Number(process.env.PORT || 4010);
+const DATA_FILE = process.env.MOCK_API_DATA || "";
+
+let collections = {};
+if (DATA_FILE && fs.existsSync(DATA_FILE)) {
+  collections = JSON.parse(fs.readFileSync(DATA_FILE, "utf8"));
+}
+
+function persist() {
+  if (DATA_FILE) fs.writeFileSync(DATA_FILE, JSON.stringify(collections));
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET,PUT,POST,DELETE,OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => { data += chunk; });
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const match = url.pathname.match(/^\/api\/collections(?:\/([^/]+))?\/?$/);
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (!match) return send(res, 404, { error: "Not found" });
+  const name = match[1] && decodeURIComponent(match[1]);
+
+  try {
+    if (req.method === "GET" && !name) {
+      const exclude = (url.searchParams.get("exclude") || "").split(",");
+      return send(res, 200, Object.fromEntries(Object.entries(collections).filter(([k]) => !exclude.includes(k))));
+    }
+    if (req.method === "GET") {
+      return name in collections ? send(res, 200, collections[name]) : send(res, 404, { error: `No collection ${name}` });
+    }
+    if (req.method === "PUT" && name) {
+      collections[name] = JSON.parse(await readBody(req));
+      persist();
+      return send(res, 204);
+    }
+    if (req.method === "POST" && name) {
+      const records = JSON.parse(await readBody(req));
+      if (!Array.isArray(records)) return send(res, 400, { error: "Expected an array of records" });
+      collections[name] = [...(collections[name] || []), ...records];
+      persist();
+      return send(res, 204);
+    }
+    if (req.method === "DELETE" && !name) {
+      collections = {};
+      persist();
+      return send(res, 204);
+    }
+    return send(res, 405, { error: "Method not allowed" });
+  } catch (err) {
+    return send(res, 400, { error: err.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`CargoOps mock API on http://localhost:${PORT}/api${DATA_FILE ? ` (persisting to ${DATA_FILE})` : ""}`);
+});
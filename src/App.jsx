@@ -5,10 +5,10 @@ import { PieChart, Pie, Cell, LineChart, Line, XAxis, YAxis, Tooltip, CartesianG
 // Curiata CargoOps — Single-file React SPA
 // Theme: white (#FFFFFF) with blue accents (#0057B7) and hover/light (#2B8CED)
 // Font: Inter/SF Pro (loaded via inline <link>)
-// Routing: hash-based. Pages: /login, /dashboard, /receipt, /dispatch, /inventory, /transport, /users
-// Roles: Admin, Supervisor, Viewer
-// Seeded dummy data stored in localStorage. CSV export on tables. PDF snapshot (print) on dashboard.
-// Inventory auto-refresh every 30s. Transport trip cron every minute.
+// Routing: hash-based. Pages: /login, /dashboard, /receipt, /dispatch, /inventory, /locations, /trace, /customs, /transport, /vehicles, /drivers, /fleet, /reports, /users, /audit
+// Roles: Admin, Supervisor, Viewer; actions gated by an Admin-editable permission matrix
+// Seeded dummy data behind a pluggable storage adapter (localStorage, IndexedDB or REST). CSV export on tables. PDF snapshot (print) on dashboard.
+// Inventory auto-refresh every 30s. Transport trip simulator every minute in demo mode.
 // =============================
 
 // ---- Utilities ----
@@ -29,6 +29,7 @@ const tripBadge = {
   Idle: "bg-gray-100 text-gray-700",
   Active: "bg-blue-100 text-blue-700",
   Completed: "bg-green-100 text-green-700",
+  Cancelled: "bg-red-50 text-red-700",
 };
 
 const rand = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
@@ -61,6 +62,57 @@ function exportCSV(filename, rows) {
   URL.revokeObjectURL(url);
 }
 
+// Inverse of exportCSV: first line is the header row, values may be quoted with "" escapes.
+function parseCSV(text) {
+  const lines = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(cell); cell = "";
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); lines.push(row); row = []; cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  if (cell || row.length) { row.push(cell); lines.push(row); }
+  const [headers, ...body] = lines.filter((l) => l.some((v) => v.trim() !== ""));
+  if (!headers) return [];
+  return body.map((l) => Object.fromEntries(headers.map((h, i) => [h.trim(), l[i] ?? ""])));
+}
+
+function downloadJSON(filename, data) {
+  downloadBlob(`${filename}.json`, new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onload = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+    r.readAsText(file);
+  });
+}
+
 function uid(prefix = "id") {
   return `${prefix}_${Math.random().toString(36).slice(2, 9)}`;
 }
@@ -70,12 +122,268 @@ function numberBetween(min, max, decimals = 0) {
   return parseFloat(n.toFixed(decimals));
 }
 
+// ---- Date ranges ----
+// Ranges are whole local days: { from, to } as Dates at the start of the first day and the end
+// of the last. In URLs they travel as YYYY-MM-DD.
+const DATE_PRESETS = { today: "Today", "7d": "Last 7 days", "30d": "Last 30 days", custom: "Custom" };
+
+const dayKey = (d) => {
+  const x = new Date(d);
+  return `${x.getFullYear()}-${String(x.getMonth() + 1).padStart(2, "0")}-${String(x.getDate()).padStart(2, "0")}`;
+};
+
+// Value for a datetime-local input: the local wall-clock time, which toISOString() would shift to UTC.
+const localDateTime = (d) => {
+  const x = new Date(d);
+  return `${dayKey(x)}T${String(x.getHours()).padStart(2, "0")}:${String(x.getMinutes()).padStart(2, "0")}`;
+};
+
+const dayRange = (fromKey, toKey) => ({ from: new Date(`${fromKey}T00:00:00`), to: new Date(`${toKey}T23:59:59.999`) });
+
+function presetRange(preset, custom = {}) {
+  const today = dayKey(new Date());
+  if (preset === "custom" && custom.from && custom.to) return dayRange(custom.from, custom.to);
+  const days = { today: 0, "7d": 6, "30d": 29 }[preset] ?? 29;
+  return dayRange(dayKey(addDays(new Date(), -days)), today);
+}
+
+const inRange = (date, range) => !range || (new Date(date) >= range.from && new Date(date) <= range.to);
+
+// A { from, to } range from the route query, or null when the link carried none.
+function queryRange(q) {
+  const from = q.get("from");
+  const to = q.get("to") || from;
+  return from ? dayRange(from, to) : null;
+}
+
+const rangeLabel = (range) => {
+  const a = formatDay(range.from);
+  const b = formatDay(range.to);
+  return a === b ? a : `${a} – ${b}`;
+};
+
 function addDays(date, days) {
   const d = new Date(date);
   d.setDate(d.getDate() + days);
   return d.toISOString();
 }
 
+// ---- ISO 6346 container numbers ----
+// Owner code (3 letters) + category identifier (U, J or Z) + 6-digit serial + check digit.
+// Letter values start at A=10 and skip multiples of 11.
+const ISO6346_LETTERS = (() => {
+  const m = {};
+  let v = 10;
+  for (const ch of "ABCDEFGHIJKLMNOPQRSTUVWXYZ") {
+    if (v % 11 === 0) v++;
+    m[ch] = v++;
+  }
+  return m;
+})();
+
+function containerCheckDigit(first10) {
+  const sum = [...first10].reduce((acc, ch, i) => acc + (/\d/.test(ch) ? Number(ch) : ISO6346_LETTERS[ch]) * 2 ** i, 0);
+  return (sum % 11) % 10;
+}
+
+function normalizeContainerNo(v) {
+  return String(v || "").toUpperCase().replace(/[\s-]/g, "");
+}
+
+// Returns an error message, or null when the number is a valid ISO 6346 container number.
+function validateContainerNo(v) {
+  const c = normalizeContainerNo(v);
+  if (!c) return "Container number is required";
+  if (!/^[A-Z]{3}/.test(c)) return "Owner code must be 3 letters";
+  if (!/^[A-Z]{3}[UJZ]/.test(c)) return "Category identifier must be U, J or Z";
+  if (!/^[A-Z]{4}\d{7}$/.test(c)) return "Expected 4 letters followed by 7 digits, e.g. MSCU1234566";
+  const expected = containerCheckDigit(c.slice(0, 10));
+  if (Number(c[10]) !== expected) return `Check digit should be ${expected}`;
+  return null;
+}
+
+function randomContainerNo(owner = "MSCU") {
+  const body = `${owner}${String(rand(0, 999999)).padStart(6, "0")}`;
+  return `${body}${containerCheckDigit(body)}`;
+}
+
+// ---- Code 128 barcodes ----
+// Code set B only (printable ASCII), which covers cargo ids and indent numbers. Each symbol is
+// six alternating bar/space widths in modules, starting with a bar; the stop symbol has seven.
+const CODE128_PATTERNS = [
+  "212222", "222122", "222221", "121223", "121322", "131222", "122213", "122312", "132212", "221213",
+  "221312", "231212", "112232", "122132", "122231", "113222", "123122", "123221", "223211", "221132",
+  "221231", "213212", "223112", "312131", "311222", "321122", "321221", "312212", "322112", "322211",
+  "212123", "212321", "232121", "111323", "131123", "131321", "112313", "132113", "132311", "211313",
+  "231113", "231311", "112133", "112331", "132131", "113123", "113321", "133121", "313121", "211331",
+  "231131", "213113", "213311", "213131", "311123", "311321", "331121", "312113", "312311", "332111",
+  "314111", "221411", "431111", "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+  "112412", "122114", "122411", "142112", "142211", "241211", "221114", "413111", "241112", "134111",
+  "111242", "121142", "121241", "114212", "124112", "124211", "411212", "421112", "421211", "212141",
+  "214121", "412121", "111143", "111341", "131141", "114113", "114311", "411113", "411311", "113141",
+  "114131", "311141", "411131", "211412", "211214", "211232", "2331112",
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+// Symbol values for `text`, including start, check and stop symbols.
+function code128Values(text) {
+  const data = [...String(text)].map((ch) => {
+    const code = ch.charCodeAt(0);
+    if (code < 32 || code > 126) throw new Error(`Cannot encode "${ch}" in Code 128 set B`);
+    return code - 32;
+  });
+  const check = data.reduce((sum, v, i) => sum + v * (i + 1), CODE128_START_B) % 103;
+  return [CODE128_START_B, ...data, check, CODE128_STOP];
+}
+
+// Barcode as an SVG string, so the same markup serves the preview and the print window.
+function code128Svg(text, { module = 2, height = 60, quiet = 10 } = {}) {
+  const widths = code128Values(text).flatMap(v => [...CODE128_PATTERNS[v]].map(Number));
+  let x = quiet * module;
+  const bars = [];
+  widths.forEach((w, i) => {
+    if (i % 2 === 0) bars.push(`<rect x="${x}" y="0" width="${w * module}" height="${height}"/>`);
+    x += w * module;
+  });
+  const width = x + quiet * module;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges"><rect width="${width}" height="${height}" fill="#fff"/><g fill="#000">${bars.join("")}</g></svg>`;
+}
+
+// ---- Barcode scanner ----
+// Keyboard-wedge scanners "type" the code much faster than a person and finish with Enter. One
+// window listener watches keystroke timing; once a fast burst is SCAN_MIN_LENGTH keys long its
+// further keys are held back, and on Enter the code goes to one handler only: the one with the
+// highest SCAN_PRIORITY (the latest registered among equals), so an open drawer takes scans ahead
+// of its page, and a page ahead of the global lookup, whatever order their effects ran in. A burst that ends without
+// Enter was fast typing, so the held keys are put back into the input. Scan mode is a per-device
+// switch kept in localStorage.
+const SCAN_MAX_GAP_MS = 35;
+const SCAN_MIN_LENGTH = 4;
+const SCAN_MODE_KEY = "cc_scan_mode";
+const SCAN_PRIORITY = { global: 0, page: 1, drawer: 2 };
+
+const scanHandlers = [];
+const emptyBurst = () => ({ chars: "", held: "", last: 0, target: null, before: null, timer: null });
+let scanBurst = emptyBurst();
+
+// Set an input's value in a way React's onChange sees.
+function setInputValue(el, value) {
+  const proto = el instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+  Object.getOwnPropertyDescriptor(proto, "value").set.call(el, value);
+  el.dispatchEvent(new Event("input", { bubbles: true }));
+}
+
+// Types the held-back keys of a burst that turned out not to be a scan in at the caret.
+function releaseHeldKeys() {
+  clearTimeout(scanBurst.timer);
+  const { held, target } = scanBurst;
+  scanBurst.held = "";
+  if (!held || !target?.isConnected) return;
+  let start = null, end = null;
+  try {
+    start = target.selectionStart;
+    end = target.selectionEnd;
+  } catch {
+    // number and email inputs have no caret; append instead
+  }
+  const v = target.value;
+  const at = start ?? v.length;
+  setInputValue(target, v.slice(0, at) + held + v.slice(end ?? at));
+  try { target.setSelectionRange(at + held.length, at + held.length); } catch { /* as above */ }
+}
+
+function onScanKey(e) {
+  if (!scanHandlers.length || e.ctrlKey || e.altKey || e.metaKey) return;
+  const now = performance.now();
+  const fast = now - scanBurst.last <= SCAN_MAX_GAP_MS;
+  if (e.key === "Enter") {
+    const code = scanBurst.chars;
+    const { target, before } = scanBurst;
+    if (!fast || code.length < SCAN_MIN_LENGTH) {
+      releaseHeldKeys();
+      scanBurst = emptyBurst();
+      return;
+    }
+    clearTimeout(scanBurst.timer);
+    scanBurst = emptyBurst();
+    e.preventDefault();
+    e.stopPropagation();
+    // the first keys of the burst reached the input before we knew it was a scan
+    if (target && before != null) setInputValue(target, before);
+    scanHandlers.reduce((top, h) => (h.priority >= top.priority ? h : top)).onScan(code.trim());
+    return;
+  }
+  if (e.key.length !== 1) {
+    releaseHeldKeys();
+    return;
+  }
+  if (fast && scanBurst.chars) {
+    scanBurst.chars += e.key;
+    if (scanBurst.chars.length > SCAN_MIN_LENGTH) {
+      e.preventDefault();
+      scanBurst.held += e.key;
+      clearTimeout(scanBurst.timer);
+      scanBurst.timer = setTimeout(releaseHeldKeys, SCAN_MAX_GAP_MS * 2);
+    }
+  } else {
+    releaseHeldKeys();
+    const t = e.target;
+    const editable = t instanceof HTMLInputElement || t instanceof HTMLTextAreaElement;
+    scanBurst = { ...emptyBurst(), chars: e.key, target: editable ? t : null, before: editable ? t.value : null };
+  }
+  scanBurst.last = now;
+}
+
+function useScanner(onScan, enabled = true, priority = SCAN_PRIORITY.page) {
+  const ref = useRef(onScan);
+  ref.current = onScan;
+  useEffect(() => {
+    if (!enabled) return;
+    const handler = { priority, onScan: (code) => ref.current(code) };
+    scanHandlers.push(handler);
+    if (scanHandlers.length === 1) window.addEventListener("keydown", onScanKey, true);
+    return () => {
+      scanHandlers.splice(scanHandlers.indexOf(handler), 1);
+      if (!scanHandlers.length) window.removeEventListener("keydown", onScanKey, true);
+    };
+  }, [enabled, priority]);
+}
+
+function useScanMode() {
+  const [on, setOn] = useState(localStorage.getItem(SCAN_MODE_KEY) === "1");
+  useEffect(() => {
+    const h = () => setOn(localStorage.getItem(SCAN_MODE_KEY) === "1");
+    window.addEventListener("cc-scan-mode", h);
+    return () => window.removeEventListener("cc-scan-mode", h);
+  }, []);
+  function toggle() {
+    localStorage.setItem(SCAN_MODE_KEY, on ? "0" : "1");
+    window.dispatchEvent(new Event("cc-scan-mode"));
+  }
+  return [on, toggle];
+}
+
+// Short high beep for an accepted scan, low double buzz for a rejected one.
+let audioCtx = null;
+function scanBeep(ok) {
+  try {
+    audioCtx = audioCtx || new (window.AudioContext || window.webkitAudioContext)();
+    (ok ? [[880, 0, 0.08]] : [[220, 0, 0.15], [220, 0.22, 0.15]]).forEach(([freq, start, dur]) => {
+      const osc = audioCtx.createOscillator();
+      const gain = audioCtx.createGain();
+      osc.type = ok ? "sine" : "square";
+      osc.frequency.value = freq;
+      gain.gain.value = 0.15;
+      osc.connect(gain).connect(audioCtx.destination);
+      osc.start(audioCtx.currentTime + start);
+      osc.stop(audioCtx.currentTime + start + dur);
+    });
+  } catch {
+    // no audio output available; the visual feedback still shows
+  }
+}
+
 // Simple notification/toast
 function useToasts() {
   const [toasts, setToasts] = useState([]);
@@ -108,27 +416,155 @@ function setAuth(a) {
   localStorage.setItem("cc_auth", JSON.stringify(a));
 }
 
-function signOut() {
+function signOut(reason) {
   localStorage.removeItem("cc_auth");
+  if (reason) sessionStorage.setItem("cc_auth_reason", reason);
   location.hash = "#/login";
 }
 
+// Sessions carry their own issue time so Guard can end them after inactivity or a hard limit.
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+const SESSION_MAX_MS = 12 * 60 * 60 * 1000;
+
+function startSession(user, extra = {}) {
+  const now = Date.now();
+  setAuth({ email: user.email, role: user.role, name: user.name, issued_at: now, last_active: now, expires_at: now + SESSION_MAX_MS, ...extra });
+}
+
+// Returns why the session is no longer valid, or null while it is.
+function sessionExpiry(auth) {
+  const now = Date.now();
+  if (!auth.issued_at || now >= auth.expires_at) return "Your session expired. Please sign in again.";
+  if (now - auth.last_active >= SESSION_IDLE_MS) return "Signed out after 30 minutes of inactivity.";
+  return null;
+}
+
+function touchSession() {
+  const a = getAuth();
+  if (a && !sessionExpiry(a)) setAuth({ ...a, last_active: Date.now() });
+}
+
+// ---- Permissions ----
+// Every gated action has an id here; roles map to the actions they may perform. Admins can edit
+// the mapping on the Users page; it is stored as db.permissions = { roles, known }, where `known`
+// lists the action ids that existed when it was saved so actions added later get their defaults.
+const PERMISSIONS = [
+  { id: "dashboard.view", label: "View dashboard" },
+  { id: "receipt.view", label: "View receipts" },
+  { id: "receipt.create", label: "Create / import receipts" },
+  { id: "receipt.edit", label: "Edit / void receipts" },
+  { id: "label.print", label: "Generate / reprint receipt labels" },
+  { id: "dispatch.view", label: "View dispatches" },
+  { id: "dispatch.create", label: "Create / import dispatches" },
+  { id: "dispatch.edit", label: "Edit / void dispatches" },
+  { id: "inventory.view", label: "View inventory" },
+  { id: "inventory.reconcile", label: "Sync snapshot from ledger" },
+  { id: "inventory.transfer", label: "Transfer stock between bins" },
+  { id: "location.manage", label: "Manage warehouses / bins" },
+  { id: "customs.view", label: "View customs entries" },
+  { id: "customs.manage", label: "Record customs entries / releases" },
+  { id: "transport.view", label: "View transport log" },
+  { id: "vehicle.manage", label: "Add / edit / retire vehicles" },
+  { id: "driver.manage", label: "Add / edit / retire drivers" },
+  { id: "trip.manage", label: "Start / complete / cancel trips" },
+  { id: "trip.generate", label: "Run trip demo mode" },
+  { id: "user.view", label: "View users" },
+  { id: "user.invite", label: "Invite users" },
+  { id: "permission.manage", label: "Edit permissions" },
+  { id: "report.view", label: "View / generate operations reports" },
+  { id: "report.manage", label: "Change report schedule" },
+  { id: "audit.view", label: "View audit log" },
+  { id: "alert.manage", label: "Acknowledge / snooze alerts" },
+  { id: "settings.manage", label: "Change app settings" },
+  { id: "data.backup", label: "Back up / restore database" },
+];
+
+const DEFAULT_PERMISSIONS = {
+  Admin: PERMISSIONS.map(p => p.id),
+  Supervisor: ["dashboard.view", "receipt.view", "receipt.create", "receipt.edit", "label.print", "dispatch.view", "dispatch.create", "dispatch.edit", "inventory.view", "inventory.reconcile", "inventory.transfer", "location.manage", "customs.view", "customs.manage", "transport.view", "vehicle.manage", "driver.manage", "trip.manage", "trip.generate", "report.view", "report.manage", "alert.manage"],
+  Viewer: ["dashboard.view", "receipt.view", "dispatch.view", "inventory.view", "customs.view", "transport.view"],
+};
+
+function permissionMatrix(stored = getCollection("permissions")) {
+  if (!stored) return DEFAULT_PERMISSIONS;
+  const known = new Set(stored.known || []);
+  return Object.fromEntries(ROLES.map(r => [r, [...(stored.roles[r] || []), ...(DEFAULT_PERMISSIONS[r] || []).filter(p => !known.has(p))]]));
+}
+
+// Admins always keep permission.manage so the matrix can't lock everyone out.
+function rolePermissions(role, stored = getCollection("permissions")) {
+  const granted = new Set(permissionMatrix(stored)[role] || []);
+  if (role === "Admin") granted.add("permission.manage");
+  return granted;
+}
+
+function can(action, auth = getAuth()) {
+  return !!auth && rolePermissions(auth.role).has(action);
+}
+
+// ---- Credentials ----
+// Passwords are stored as salted PBKDF2-SHA256 hashes. Temporary passwords live in
+// db.temp_passwords with their own expiry and must be swapped for a real one on first sign-in.
+const PBKDF2_ITERATIONS = 210000;
+const TEMP_PASSWORD_TTL_MS = 72 * 60 * 60 * 1000;
+
+const toB64 = (buf) => btoa(String.fromCharCode(...new Uint8Array(buf)));
+const fromB64 = (s) => Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+
+async function hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PBKDF2_ITERATIONS) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256);
+  return { algo: "PBKDF2-SHA256", iterations, salt: toB64(salt), hash: toB64(bits) };
+}
+
+async function verifyPassword(password, stored) {
+  if (!stored) return false;
+  if (typeof stored === "string") return stored === password; // legacy plaintext until ensureHashedPasswords runs
+  const h = await hashPassword(password, fromB64(stored.salt), stored.iterations);
+  return h.hash === stored.hash;
+}
+
+async function issueTempPassword(db, email, temp) {
+  db.temp_passwords = { ...(db.temp_passwords || {}), [email]: { ...(await hashPassword(temp)), expires_at: Date.now() + TEMP_PASSWORD_TTL_MS } };
+  db.users = db.users.map(u => u.email === email ? { ...u, mustChangePassword: true } : u);
+}
+
+// Upgrades plaintext passwords left by the seed or by older versions of the app.
+async function ensureHashedPasswords() {
+  const db = getDB();
+  const plain = Object.entries(db.passwords).filter(([, v]) => typeof v === "string");
+  const temps = db.users.filter(u => typeof u.tempPassword === "string");
+  if (!plain.length && !temps.length && db.temp_passwords) return;
+  const next = { ...db, passwords: { ...db.passwords }, temp_passwords: { ...(db.temp_passwords || {}) } };
+  for (const [email, pw] of plain) next.passwords[email] = await hashPassword(pw);
+  for (const u of temps) await issueTempPassword(next, u.email, u.tempPassword);
+  next.users = next.users.map(({ tempPassword, ...u }) => ({ mustChangePassword: false, ...u }));
+  setDB(next, { actor: "system", note: "Plaintext credentials replaced with PBKDF2 hashes" });
+}
+
+function passwordPolicyErrors(password, email) {
+  const errors = [];
+  if (password.length < 10) errors.push("At least 10 characters");
+  if (!/[a-z]/.test(password) || !/[A-Z]/.test(password)) errors.push("Upper- and lower-case letters");
+  if (!/\d/.test(password)) errors.push("At least one digit");
+  const local = String(email || "").split("@")[0].toLowerCase();
+  if (local && password.toLowerCase().includes(local)) errors.push("Must not contain your email name");
+  return errors;
+}
+
 // ---- Seed Data ----
 const STORAGE_KEY = "cc_seed_v1";
 
-function seedIfNeeded() {
-  if (localStorage.getItem(STORAGE_KEY)) return;
+function buildSeed() {
 
   const now = new Date();
   const start = addDays(now, -14);
 
   const drivers = ["S. Dlamini", "K. Naidoo", "P. Mkhize", "J. Smith", "M. Botha", "A. Patel", "R. Mthembu"]; 
   const marks = ["MNK/2025/01", "JHB/PK/77", "KZN/WH/88", "DBN/FG/12", "CPT/RT/55"]; 
-  const vehicles = Array.from({ length: 10 }).map((_, i) => ({
-    id: uid("veh"),
-    vehicle_reg: `ND ${rand(1000, 9999)}`,
-    driver_name: choice(drivers),
-  }));
+  const vehicles = Array.from({ length: 10 }).map(() => seedVehicle(`ND ${rand(1000, 9999)}`, now));
+  const { warehouses, bins } = seedLocations();
+  const rackBins = bins.filter(b => b.code !== "RECV");
 
   // 50 receipts
   const warehouse_receipts = Array.from({ length: 50 }).map((_, i) => {
@@ -151,61 +587,73 @@ function seedIfNeeded() {
       inspection_date: addDays(date_in, rand(0, 3)),
       comments: Math.random() < 0.2 ? "Damaged pallet corners" : "",
       label_printed: Math.random() < 0.6,
+      location_id: choice(rackBins).id,
     };
     return rec;
   });
 
-  // 20 dispatches (linked loosely by cargo id)
+  // 20 dispatches, each drawing on stock that was actually received into that bin
+  const onHand = {};
+  warehouse_receipts.forEach((r) => {
+    const s = onHand[`${r.cargo_id}@${r.location_id}`] || (onHand[`${r.cargo_id}@${r.location_id}`] = { cargo_id: r.cargo_id, location_id: r.location_id, qty: 0, kg: 0 });
+    s.qty += r.quantity;
+    s.kg += r.weight_kg;
+  });
   const dispatches = Array.from({ length: 20 }).map((_, i) => {
     const date_packed = addDays(start, rand(0, 14));
     const date_dispatched = addDays(date_packed, rand(0, 2));
-    const qty = rand(1, 150);
-    const cargo_id = choice(warehouse_receipts).cargo_id;
+    const stock = choice(Object.values(onHand).filter((s) => s.qty > 0));
+    const { cargo_id, location_id } = stock;
+    const qty = rand(1, Math.min(150, stock.qty));
+    const total_weight_kg = qty === stock.qty ? round1(stock.kg) : round1(stock.kg * qty / stock.qty);
+    stock.qty -= qty;
+    stock.kg -= total_weight_kg;
     return {
       id: uid("dsp"),
       cargo_id,
-      container_no: `MSCU${rand(1000000, 9999999)}`,
+      container_no: randomContainerNo(),
       seal_no_1: `${rand(100000, 999999)}`,
       seal_no_2: `${rand(100000, 999999)}`,
       date_packed,
       date_dispatched,
-      truck_reg: `ND ${rand(1000, 9999)}`,
+      truck_reg: choice(vehicles).vehicle_reg,
       driver_name: choice(drivers),
       qty_packed: qty,
       marks_numbers_packed: choice(marks),
-      total_weight_kg: numberBetween(qty * 5, qty * 10, 1),
+      total_weight_kg,
       inspections_completed: Math.random() < 0.8,
+      location_id,
     };
   });
 
-  // inventory snapshot from receipts - dispatches by cargo
-  const byCargo = {};
-  warehouse_receipts.forEach((r) => {
-    if (!byCargo[r.cargo_id]) byCargo[r.cargo_id] = { quantity: 0, weight_kg: 0, last_movement: r.date_in };
-    byCargo[r.cargo_id].quantity += r.quantity;
-    byCargo[r.cargo_id].weight_kg += r.weight_kg;
-    byCargo[r.cargo_id].last_movement = r.date_in;
-  });
-  dispatches.forEach((d) => {
-    if (!byCargo[d.cargo_id]) byCargo[d.cargo_id] = { quantity: 0, weight_kg: 0, last_movement: d.date_dispatched };
-    byCargo[d.cargo_id].quantity -= d.qty_packed;
-    byCargo[d.cargo_id].weight_kg -= d.total_weight_kg;
-    byCargo[d.cargo_id].last_movement = d.date_dispatched;
-  });
-
+  // movement ledger, with the snapshot cached from its totals
+  const inventory_ledger = buildLedger({ warehouse_receipts, dispatches });
   const invStatuses = ["Bonded", "FAK", "On Site", "In Transit"]; // enum
-  const inventory_snapshot = Object.entries(byCargo).map(([cargo_id, v]) => ({
+  const inventory_snapshot = Object.values(stockByCargo(inventory_ledger)).map((v) => ({
     id: uid("inv"),
-    cargo_id,
+    cargo_id: v.cargo_id,
     status: v.quantity <= 0 ? "Dispatched" : choice(invStatuses),
-    quantity: Math.max(0, Math.floor(v.quantity)),
-    weight_kg: Math.max(0, numberBetween(Math.max(0, v.weight_kg - 50), Math.max(0, v.weight_kg + 50), 1)),
+    quantity: v.quantity,
+    weight_kg: v.weight_kg,
     last_movement: v.last_movement,
   }));
 
-  // 30 transport trips
+  // bonded stock is held under a customs entry; some already have a partial release
+  const customs_entries = [];
+  const customs_releases = [];
+  inventory_snapshot.filter(i => i.status === "Bonded").forEach((i) => {
+    const bond_date = warehouse_receipts.filter(r => r.cargo_id === i.cargo_id).map(r => r.date_in).sort()[0];
+    const entry = { id: uid("cus"), cargo_id: i.cargo_id, entry_no: `DBN${rand(1000000, 9999999)}`, bond_date, bond_days: choice([21, 30, 60, 90]), quantity: i.quantity, weight_kg: i.weight_kg, notes: "", created_at: bond_date, created_by: "system" };
+    customs_entries.push(entry);
+    if (Math.random() < 0.4) {
+      customs_releases.push({ id: uid("rel"), entry_id: entry.id, release_no: `REL${rand(100000, 999999)}`, kind: "partial", quantity: Math.ceil(i.quantity / 2), instructions: "Release to consignee", released_at: addDays(bond_date, rand(1, 5)), created_by: "system" });
+    }
+  });
+
+  // 30 completed transport trips; each vehicle's odometer runs on in date order
+  const odometers = Object.fromEntries(vehicles.map(v => [v.vehicle_reg, rand(50000, 400000)]));
   const transport_trips = Array.from({ length: 30 }).map((_, i) => {
-    const start_time = addDays(start, rand(0, 14));
+    const start_time = addDays(start, rand(0, 13));
     const durationH = rand(1, 8);
     const end_time = addDays(start_time, 0); // clone then add hours
     const end = new Date(end_time);
@@ -217,203 +665,3685 @@ function seedIfNeeded() {
       end_time: end.toISOString(),
       distance_km: numberBetween(10, 600, 1),
       fuel_used_l: numberBetween(2, 120, 1),
-      container_no: `MSCU${rand(1000000, 9999999)}`,
+      container_no: randomContainerNo(),
       driver_name: choice(drivers),
-      trip_status: choice(["Idle", "Active", "Completed"]),
+      trip_status: "Completed",
     };
-  });
+  }).sort((a, b) => new Date(a.start_time) - new Date(b.start_time)).map((t) => {
+    const odometer_start = odometers[t.vehicle_reg];
+    odometers[t.vehicle_reg] = round1(odometer_start + t.distance_km);
+    return { ...t, odometer_start, odometer_end: odometers[t.vehicle_reg] };
+  }).reverse();
 
   const users = [
-    { id: uid("usr"), email: "admin@curiata.dev", role: "Admin", name: "Admin User", tempPassword: null },
-    { id: uid("usr"), email: "supervisor@curiata.dev", role: "Supervisor", name: "Ops Supervisor", tempPassword: null },
-    { id: uid("usr"), email: "viewer@curiata.dev", role: "Viewer", name: "Read Only", tempPassword: null },
+    { id: uid("usr"), email: "admin@curiata.dev", role: "Admin", name: "Admin User", mustChangePassword: false },
+    { id: uid("usr"), email: "supervisor@curiata.dev", role: "Supervisor", name: "Ops Supervisor", mustChangePassword: false },
+    { id: uid("usr"), email: "viewer@curiata.dev", role: "Viewer", name: "Read Only", mustChangePassword: false },
   ];
 
+  // plaintext only until ensureHashedPasswords runs on app load
   const passwords = {
     "admin@curiata.dev": "admin123",
     "supervisor@curiata.dev": "super123",
     "viewer@curiata.dev": "view123",
   };
 
-  const db = { warehouse_receipts, dispatches, inventory_snapshot, transport_trips, vehicles, users, passwords };
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(db));
+  return { warehouse_receipts, dispatches, inventory_snapshot, inventory_ledger, warehouses, bins, stock_transfers: [], customs_entries, customs_releases, alert_settings: { ...DEFAULT_ALERT_SETTINGS }, alert_state: {}, fleet_settings: { ...DEFAULT_FLEET_SETTINGS }, report_settings: { ...DEFAULT_REPORT_SETTINGS }, reports: [], transport_trips, vehicles, drivers: drivers.map(name => seedDriver(name, now)), users, passwords, temp_passwords: {} };
 }
 
-function getDB() {
-  seedIfNeeded();
-  return JSON.parse(localStorage.getItem(STORAGE_KEY));
+// ---- Schema migrations ----
+// db.meta.schema_version records the shape the stored data is in. On load, every migration newer
+// than that runs in order; append new entries here whenever a record shape changes, and never
+// edit one that has shipped. Data saved before versioning existed counts as version 1.
+const MIGRATIONS = [
+  { version: 2, description: "Add inventory movement ledger", up: (db) => ({ ...db, inventory_ledger: db.inventory_ledger || buildLedger(db) }) },
+  {
+    version: 3,
+    description: "Add warehouses and bins; existing stock goes to WH1 receiving",
+    up: (db) => {
+      const { warehouses, bins } = seedLocations();
+      const tag = (r) => (r.location_id ? r : { ...r, location_id: bins[0].id });
+      return {
+        ...db,
+        warehouses,
+        bins,
+        stock_transfers: [],
+        warehouse_receipts: db.warehouse_receipts.map(tag),
+        dispatches: db.dispatches.map(tag),
+        inventory_ledger: db.inventory_ledger.map(tag),
+      };
+    },
+  },
+  { version: 4, description: "Add customs entries and releases for bonded cargo", up: (db) => ({ ...db, customs_entries: db.customs_entries || [], customs_releases: db.customs_releases || [] }) },
+  { version: 5, description: "Add alert thresholds and acknowledgements", up: (db) => ({ ...db, alert_settings: db.alert_settings || { ...DEFAULT_ALERT_SETTINGS }, alert_state: db.alert_state || {} }) },
+  { version: 6, description: "Add fuel price and anomaly threshold for fleet analytics", up: (db) => ({ ...db, fleet_settings: db.fleet_settings || { ...DEFAULT_FLEET_SETTINGS } }) },
+  {
+    version: 7,
+    description: "Vehicle master data; registrations only seen on records are kept as retired vehicles",
+    up: (db) => {
+      const vehicles = (db.vehicles || []).map(v => ({ type: "Rigid truck", payload_kg: null, tank_l: null, licence_disc_expiry: null, roadworthy_expiry: null, active: true, ...v }));
+      const known = new Set(vehicles.map(v => v.vehicle_reg));
+      const used = [...db.transport_trips.map(t => t.vehicle_reg), ...db.dispatches.map(d => d.truck_reg), ...db.warehouse_receipts.map(r => r.vehicle_reg)];
+      new Set(used.filter(Boolean)).forEach((reg) => {
+        if (!known.has(reg)) vehicles.push({ id: uid("veh"), vehicle_reg: reg, type: null, payload_kg: null, tank_l: null, licence_disc_expiry: null, roadworthy_expiry: null, active: false, notes: "Added from existing records" });
+      });
+      return { ...db, vehicles };
+    },
+  },
+  {
+    version: 8,
+    description: "Driver registry built from names on existing records; spelling variants are merged",
+    up: (db) => {
+      const canonical = {};
+      const drivers = [];
+      [...db.transport_trips, ...db.dispatches, ...db.warehouse_receipts].forEach(({ driver_name }) => {
+        const name = normalizeDriverName(driver_name);
+        if (!name || canonical[driverKey(name)]) return;
+        canonical[driverKey(name)] = name;
+        drivers.push({ id: uid("drv"), name, licence_no: "", licence_class: null, licence_expiry: null, prdp_expiry: null, phone: "", email: "", active: true });
+      });
+      const fix = (r) => (r.driver_name ? { ...r, driver_name: canonical[driverKey(r.driver_name)] || r.driver_name } : r);
+      return {
+        ...db,
+        drivers: db.drivers || drivers,
+        transport_trips: db.transport_trips.map(fix),
+        dispatches: db.dispatches.map(fix),
+        warehouse_receipts: db.warehouse_receipts.map(fix),
+      };
+    },
+  },
+  {
+    version: 9,
+    description: "Trip lifecycle; trips the old simulator left Idle or Active with an end time are closed as Completed",
+    up: (db) => ({
+      ...db,
+      transport_trips: db.transport_trips.map(t => (t.end_time && ["Idle", "Active"].includes(t.trip_status) ? { ...t, trip_status: "Completed" } : t)),
+    }),
+  },
+  { version: 10, description: "Add operations report schedule and history", up: (db) => ({ ...db, report_settings: db.report_settings || { ...DEFAULT_REPORT_SETTINGS }, reports: db.reports || [] }) },
+];
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const schemaVersion = (db) => db.meta?.schema_version || 1;
+
+// Returns the upgraded copy, or throws an error carrying the untouched original as `backup`.
+async function migrateDB(original) {
+  const from = schemaVersion(original);
+  if (from > SCHEMA_VERSION) {
+    throw Object.assign(new Error(`Stored data is schema v${from}, but this app only understands up to v${SCHEMA_VERSION}.`), { migration: true, backup: original });
+  }
+  let db = JSON.parse(JSON.stringify(original));
+  for (const m of MIGRATIONS.filter(m => m.version > from)) {
+    try {
+      db = await m.up(db);
+    } catch (err) {
+      throw Object.assign(new Error(`Migration to v${m.version} (${m.description}) failed: ${err.message}`), { migration: true, backup: original });
+    }
+  }
+  return { ...db, meta: { ...db.meta, schema_version: SCHEMA_VERSION, migrated_at: new Date().toISOString(), migrated_from: from } };
 }
-function setDB(db) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(db));
+
+// ---- Storage adapters ----
+// Every adapter stores the database as named collections:
+//   loadAll() -> { [collection]: data } | null, loadCollection(name) -> data | null,
+//   writeCollection(name, data), append(name, records), clear().
+// The app works from an in-memory copy hydrated once by initStorage(); setDB writes back only
+// the collections that changed, so pages keep their synchronous getDB()/setDB() calls.
+// Log collections (the audit trail) sit beside the database rather than in it: loadAll() leaves
+// them out and they grow through append(), so a save never re-sends the whole history.
+const STORAGE_BACKEND_KEY = "cc_storage_backend";
+const STORAGE_BACKENDS = {
+  local: { label: "Browser localStorage (single blob, ~5 MB)", create: () => localStorageAdapter() },
+  indexeddb: { label: "Browser IndexedDB", create: () => indexedDBAdapter() },
+  rest: { label: "REST API (npm run mock-api)", create: () => restAdapter(localStorage.getItem("cc_rest_base_url") || "/api") },
+};
+
+// Original layout: the whole database as one JSON blob under STORAGE_KEY. Logs get their own keys
+// (the audit trail stays at AUDIT_KEY) and are never trimmed: the audit trail is a compliance
+// record, so a full quota fails the save and tells the user to move to a larger backend.
+function setLocalItem(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (err) {
+    if (err?.name !== "QuotaExceededError" && err?.code !== 22) throw err;
+    throw new Error("browser storage is full. Nothing was deleted; switch to IndexedDB or REST under Settings → Storage backend to keep saving");
+  }
 }
 
-// PWA manifest injection
-function ensureManifest() {
-  const link = document.querySelector('link[rel="manifest"]');
-  if (link) return;
-  const manifest = {
-    name: "Curiata CargoOps",
-    short_name: "CargoOps",
-    start_url: "./index.html#\\/login",
-    display: "standalone",
-    background_color: "#FFFFFF",
-    theme_color: ACCENT,
-    icons: [],
+function localStorageAdapter() {
+  const readBlob = () => JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+  const logKey = (name) => (name === AUDIT_COLLECTION ? AUDIT_KEY : `${STORAGE_KEY}:${name}`);
+  // an unreadable log is an error, never an empty one: the next append would overwrite it
+  const readLog = (name) => {
+    const raw = localStorage.getItem(logKey(name));
+    try {
+      return raw ? JSON.parse(raw) : [];
+    } catch (err) {
+      throw new Error(`The ${name} stored at ${logKey(name)} is unreadable (${err.message}); it has been left untouched`);
+    }
+  };
+  const writeLog = (name, data) => setLocalItem(logKey(name), JSON.stringify(data));
+  return {
+    name: "local",
+    async loadAll() { return readBlob(); },
+    async loadCollection(name) { return LOG_COLLECTIONS.includes(name) ? readLog(name) : readBlob()?.[name] ?? null; },
+    async writeCollection(name, data) {
+      if (LOG_COLLECTIONS.includes(name)) writeLog(name, data);
+      else setLocalItem(STORAGE_KEY, JSON.stringify({ ...(readBlob() || {}), [name]: data }));
+    },
+    async append(name, records) { writeLog(name, [...readLog(name), ...records]); },
+    async clear() {
+      localStorage.removeItem(STORAGE_KEY);
+      LOG_COLLECTIONS.forEach(name => localStorage.removeItem(logKey(name)));
+    },
   };
-  const blob = new Blob([JSON.stringify(manifest)], { type: "application/json" });
-  const url = URL.createObjectURL(blob);
-  const l = document.createElement("link");
-  l.rel = "manifest"; l.href = url; document.head.appendChild(l);
 }
 
-// Hash Router
-function useHashRoute() {
-  const [route, setRoute] = useState(location.hash.slice(1) || "/login");
-  useEffect(() => {
-    const h = () => setRoute(location.hash.slice(1) || "/login");
-    window.addEventListener("hashchange", h);
-    return () => window.removeEventListener("hashchange", h);
-  }, []);
-  return [route, (r) => (location.hash = `#${r}`)];
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
 }
 
-// Role guards
-function Guard({ allow, children }) {
-  const auth = getAuth();
-  if (!auth) {
-    location.hash = "#/login";
-    return null;
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+// One record per collection in the "collections" object store, keyed by collection name. Each log
+// has its own auto-increment store, one record per entry, so appends don't rewrite the log.
+function indexedDBAdapter(dbName = "cargoops") {
+  let conn = null;
+  async function open() {
+    if (!conn) {
+      const req = indexedDB.open(dbName, 2);
+      req.onupgradeneeded = () => {
+        const idb = req.result;
+        if (!idb.objectStoreNames.contains("collections")) idb.createObjectStore("collections");
+        LOG_COLLECTIONS.forEach(name => { if (!idb.objectStoreNames.contains(name)) idb.createObjectStore(name, { autoIncrement: true }); });
+      };
+      conn = await idbRequest(req);
+    }
+    return conn;
   }
-  if (!allow.includes(auth.role)) {
-    return (
-      <div className="p-8 text-center text-red-700">Access denied for role <b>{auth.role}</b>.</div>
-    );
+  async function store(mode, name = "collections") {
+    return (await open()).transaction(name, mode).objectStore(name);
   }
-  return children;
+  async function addAll(name, records, replace) {
+    const tx = (await open()).transaction(name, "readwrite");
+    const s = tx.objectStore(name);
+    if (replace) s.clear();
+    records.forEach(r => s.add(r));
+    await idbDone(tx);
+  }
+  return {
+    name: "indexeddb",
+    async loadAll() {
+      const s = await store("readonly");
+      const [keys, values] = await Promise.all([idbRequest(s.getAllKeys()), idbRequest(s.getAll())]);
+      return keys.length ? Object.fromEntries(keys.map((k, i) => [k, values[i]])) : null;
+    },
+    async loadCollection(name) {
+      if (LOG_COLLECTIONS.includes(name)) return idbRequest((await store("readonly", name)).getAll());
+      return (await idbRequest((await store("readonly")).get(name))) ?? null;
+    },
+    async writeCollection(name, data) {
+      if (LOG_COLLECTIONS.includes(name)) await addAll(name, data, true);
+      else await idbRequest((await store("readwrite")).put(data, name));
+    },
+    async append(name, records) { await addAll(name, records, false); },
+    async clear() {
+      const names = ["collections", ...LOG_COLLECTIONS];
+      const tx = (await open()).transaction(names, "readwrite");
+      names.forEach(name => tx.objectStore(name).clear());
+      await idbDone(tx);
+    },
+  };
 }
 
-// Layout components
-function Sidebar({ routeTo }) {
-  const [route] = useHashRoute();
-  const items = [
-    { to: "/dashboard", label: "Dashboard" },
-    { to: "/receipt", label: "Stock Receipt" },
-    { to: "/dispatch", label: "Stock Dispatch" },
-    { to: "/inventory", label: "Inventory" },
-    { to: "/transport", label: "Transport Log" },
-    { to: "/users", label: "Users", adminOnly: true },
-  ];
-  const auth = getAuth();
-  return (
-    <aside className="w-64 border-r border-gray-200 h-screen sticky top-0 hidden md:flex flex-col">
-      <div className="h-16 flex items-center gap-2 px-4" style={{ borderBottom: "1px solid #eee" }}>
-        <div className="w-6 h-6 rounded bg-[var(--accent)]" />
-        <div className="font-semibold">Curiata CargoOps</div>
-      </div>
-      <nav className="flex-1 p-2">
-        {items.map((it) => {
-          if (it.adminOnly && auth?.role !== "Admin") return null;
-          const active = route === it.to;
-          return (
-            <button key={it.to} onClick={() => routeTo(it.to)}
-              className={`w-full text-left px-3 py-2 rounded-lg mb-1 hover:bg-[var(--accent-light)]/10 ${active ? "bg-[var(--accent)]/10 border-l-4 border-[var(--accent)]" : ""}`}>{it.label}</button>
-          );
-        })}
-      </nav>
-      <div className="p-3 text-xs text-gray-500">v0.1 demo</div>
-    </aside>
-  );
+// Talks to server/mock-api.js (or any server with the same routes).
+function restAdapter(baseUrl) {
+  async function call(path, init) {
+    const res = await fetch(`${baseUrl}${path}`, { headers: { "Content-Type": "application/json" }, ...init });
+    if (!res.ok) throw Object.assign(new Error(`${init?.method || "GET"} ${path} failed: ${res.status}`), { status: res.status });
+    return res.status === 204 ? null : res.json();
+  }
+  const path = (name) => `/collections/${encodeURIComponent(name)}`;
+  return {
+    name: "rest",
+    async loadAll() {
+      // servers that ignore ?exclude still work; the logs are dropped here instead
+      const all = await call(`/collections?exclude=${LOG_COLLECTIONS.join(",")}`);
+      LOG_COLLECTIONS.forEach(name => { if (all) delete all[name]; });
+      return all && Object.keys(all).length ? all : null;
+    },
+    async loadCollection(name) {
+      try {
+        return await call(path(name));
+      } catch (err) {
+        if (err.status === 404) return null;
+        throw err;
+      }
+    },
+    async writeCollection(name, data) { await call(path(name), { method: "PUT", body: JSON.stringify(data) }); },
+    async append(name, records) { await call(path(name), { method: "POST", body: JSON.stringify(records) }); },
+    async clear() { await call("/collections", { method: "DELETE" }); },
+  };
 }
 
-function HeaderBar() {
-  const auth = getAuth();
-  return (
-    <header className="h-16 w-full flex items-center justify-between px-4 border-b border-gray-200 sticky top-0 bg-white z-40">
-      <div className="md:hidden flex items-center gap-2">
-        <div className="w-6 h-6 rounded bg-[var(--accent)]" />
-        <div className="font-semibold">CargoOps</div>
-      </div>
-      <div className="flex-1"></div>
-      <div className="flex items-center gap-3">
-        <span className="text-sm text-gray-600">{auth?.email} · {auth?.role}</span>
-        <div className="w-8 h-8 rounded-full bg-[var(--accent)]/10 flex items-center justify-center text-[var(--accent)] font-bold">{auth?.email?.[0]?.toUpperCase()}</div>
-        <button onClick={signOut} className="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 text-sm">Sign out</button>
-      </div>
-    </header>
-  );
+let storage = null;
+let dbCache = null;
+let auditCache = [];
+const pendingWrites = {};
+let writesInFlight = 0;
+let writeSeq = 0;
+
+function getStorageBackend() {
+  const b = localStorage.getItem(STORAGE_BACKEND_KEY);
+  return STORAGE_BACKENDS[b] ? b : "local";
 }
 
-function Shell({ children, routeTo }) {
-  return (
-    <div className="min-h-screen bg-white text-gray-900" style={{ ['--accent']: ACCENT, ['--accent-light']: ACCENT_LIGHT }}>
-      {/* Font link */}
-      <link rel="preconnect" href="https://fonts.googleapis.com" />
-      <link rel="preconnect" href="https://fonts.gstatic.com" crossOrigin="anonymous" />
-      <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet" />
-      <div className="flex" style={{ fontFamily: 'Inter, ui-sans-serif, system-ui, -apple-system, "SF Pro", Segoe UI, Roboto' }}>
-        <Sidebar routeTo={routeTo} />
-        <main className="flex-1 min-h-screen">
-          <HeaderBar />
-          <div className="p-4 md:p-6">{children}</div>
-        </main>
-      </div>
-    </div>
-  );
+async function writeAll(adapter, db) {
+  await Promise.all(Object.entries(db).map(([name, data]) => adapter.writeCollection(name, data)));
 }
 
-// Reusable Table
-function DataTable({ rows, columns, title, filename, onAdd, actions }) {
-  const [query, setQuery] = useState("");
-  const [sort, setSort] = useState({ key: columns[0]?.key, dir: "asc" });
+// Loads the database from the configured backend, seeding it on first run.
+async function initStorage() {
+  storage = STORAGE_BACKENDS[getStorageBackend()].create();
+  let db = await storage.loadAll();
+  if (!db) {
+    db = { ...buildSeed(), meta: { schema_version: SCHEMA_VERSION } };
+    await writeAll(storage, db);
+  } else if (schemaVersion(db) !== SCHEMA_VERSION) {
+    db = await migrateDB(db);
+    await writeAll(storage, db);
+  }
+  dbCache = db;
+  auditCache = (await storage.loadCollection(AUDIT_COLLECTION)) || [];
+  scrubAudit();
+  if (storage.name === "local") {
+    // keep other tabs' saves visible, as when every read went to localStorage
+    window.addEventListener("storage", (e) => {
+      if (e.key === STORAGE_KEY && e.newValue) dbCache = JSON.parse(e.newValue);
+      if (e.key === AUDIT_KEY && e.newValue) auditCache = JSON.parse(e.newValue);
+    });
+  }
+}
 
-  const filtered = useMemo(() => {
-    const q = query.toLowerCase();
-    let r = rows.filter((row) => !q || Object.values(row).some((v) => String(v).toLowerCase().includes(q)));
-    if (sort.key) {
-      r = r.sort((a, b) => {
-        const av = a[sort.key];
-        const bv = b[sort.key];
-        if (av === bv) return 0;
-        return (av > bv ? 1 : -1) * (sort.dir === "asc" ? 1 : -1);
-      });
-    }
-    return r;
-  }, [rows, query, sort]);
+// Throws away whatever the backend holds and starts again from fresh demo data. The audit trail
+// is kept.
+async function resetStorage() {
+  storage = storage || STORAGE_BACKENDS[getStorageBackend()].create();
+  const audit = await storage.loadCollection(AUDIT_COLLECTION);
+  await storage.clear();
+  await writeAll(storage, { ...buildSeed(), meta: { schema_version: SCHEMA_VERSION } });
+  if (audit?.length) await storage.writeCollection(AUDIT_COLLECTION, audit);
+}
 
-  return (
-    <div className="bg-white rounded-2xl shadow-sm border border-gray-200">
-      <div className="flex items-center justify-between p-4">
-        <div className="font-semibold">{title}</div>
-        <div className="flex gap-2">
-          <input className="px-3 py-1.5 border rounded-lg text-sm" placeholder="Filter..." value={query} onChange={(e) => setQuery(e.target.value)} />
-          <button onClick={() => exportCSV(filename || title, filtered)} className="px-3 py-1.5 rounded-lg text-sm bg-[var(--accent)] text-white hover:bg-[var(--accent-light)]">Export CSV</button>
-          {onAdd && (
-            <button onClick={onAdd} className="px-3 py-1.5 rounded-lg text-sm bg-gray-100 hover:bg-gray-200">New</button>
-          )}
-        </div>
-      </div>
+// Re-reads the backend, for views that poll for changes made elsewhere. While saves are queued the
+// cache is newer than the backend, so the reload is skipped (or its result dropped if a save began
+// meanwhile). Failures go to cc-storage-error and the cached copy stays in use.
+const AUTO_REFRESH_MS = 30 * 1000;
+
+async function reloadDB() {
+  if (writesInFlight) return getDB();
+  const seq = writeSeq;
+  try {
+    const fresh = await storage.loadAll();
+    if (fresh && seq === writeSeq && !writesInFlight) dbCache = fresh;
+  } catch (err) {
+    window.dispatchEvent(new CustomEvent("cc-storage-error", { detail: `Could not refresh data: ${err.message}` }));
+  }
+  return getDB();
+}
+
+// ---- Backup / restore ----
+// A backup is the whole database plus enough metadata to validate and migrate it on restore.
+// Temp passwords and any legacy plaintext passwords are never exported; PBKDF2 hashes are.
+const BACKUP_FORMAT = "cargoops-backup";
+
+function buildBackup(db) {
+  const { meta, temp_passwords, passwords, ...collections } = db;
+  const hashed = Object.fromEntries(Object.entries(passwords || {}).filter(([, v]) => typeof v === "object"));
+  return {
+    format: BACKUP_FORMAT,
+    schema_version: schemaVersion(db),
+    exported_at: new Date().toISOString(),
+    exported_by: getAuth()?.email || null,
+    collections: { ...collections, passwords: hashed },
+  };
+}
+
+// Returns { errors, db } where db is the backup's data upgraded to the current schema.
+async function readBackup(json) {
+  const errors = [];
+  if (!json || json.format !== BACKUP_FORMAT) errors.push("Not a CargoOps backup file");
+  else if (typeof json.schema_version !== "number") errors.push("Missing schema_version");
+  else if (!json.collections || typeof json.collections !== "object") errors.push("Missing collections");
+  if (errors.length) return { errors, db: null };
+  Object.entries(json.collections).forEach(([name, data]) => {
+    if (Array.isArray(data)) {
+      const bad = data.findIndex(r => !r || typeof r !== "object" || !r.id);
+      if (bad >= 0) errors.push(`${name}[${bad}] has no id`);
+    } else if (!data || typeof data !== "object") {
+      errors.push(`${name} must be a list or an object`);
+    }
+  });
+  ["users", "warehouse_receipts", "dispatches"].forEach(name => {
+    if (!Array.isArray(json.collections[name])) errors.push(`${name} is missing`);
+  });
+  if (errors.length) return { errors, db: null };
+  try {
+    return { errors, db: await migrateDB({ ...json.collections, meta: { schema_version: json.schema_version } }) };
+  } catch (err) {
+    return { errors: [err.message], db: null };
+  }
+}
+
+// Replace swaps every collection in the file in wholesale; merge upserts list records by id and
+// object entries by key. Either way the current passwords survive for users the file doesn't cover.
+// After a merge the snapshot is rebuilt from the merged ledger, one row per cargo (the file's row
+// wins when both have one), since upserting by id can leave two rows for the same cargo.
+function restoreBackup(current, incoming, mode) {
+  const { meta, ...collections } = incoming;
+  const next = { ...current };
+  Object.entries(collections).forEach(([name, data]) => {
+    if (mode === "replace") next[name] = data;
+    else if (Array.isArray(data)) {
+      const byId = new Map((current[name] || []).map(r => [r.id, r]));
+      data.forEach(r => byId.set(r.id, r));
+      next[name] = Array.from(byId.values());
+    } else next[name] = { ...(current[name] || {}), ...data };
+  });
+  next.passwords = { ...current.passwords, ...(collections.passwords || {}) };
+  if (mode !== "replace" && next.inventory_ledger) {
+    const byCargo = new Map();
+    [...(current.inventory_snapshot || []), ...(collections.inventory_snapshot || [])].forEach(i => byCargo.set(i.cargo_id, { ...i }));
+    next.inventory_snapshot = Array.from(byCargo.values());
+    new Set([...byCargo.keys(), ...next.inventory_ledger.map(e => e.cargo_id)]).forEach(cargo_id => syncSnapshot(next, cargo_id));
+  }
+  return next;
+}
+
+function backupPreview(current, incoming, mode) {
+  const { meta, ...collections } = incoming;
+  return Object.entries(collections).map(([name, data]) => {
+    const list = Array.isArray(data);
+    const cur = list ? current[name] || [] : Object.keys(current[name] || {});
+    const inc = list ? data : Object.keys(data);
+    const curIds = new Set(list ? cur.map(r => r.id) : cur);
+    const matched = inc.filter(x => curIds.has(list ? x.id : x)).length;
+    return {
+      id: name,
+      collection: name,
+      current: cur.length,
+      in_file: inc.length,
+      added: inc.length - matched,
+      updated: matched,
+      after: mode === "replace" ? inc.length : cur.length + inc.length - matched,
+    };
+  });
+}
+
+// Copies the current data into another backend and makes it the active one from the next load.
+async function switchStorageBackend(backend, copyData) {
+  const target = STORAGE_BACKENDS[backend].create();
+  if (copyData) {
+    await target.clear();
+    await writeAll(target, dbCache);
+    await target.writeCollection(AUDIT_COLLECTION, auditCache);
+  }
+  localStorage.setItem(STORAGE_BACKEND_KEY, backend);
+}
+
+// Writes to one collection are chained so they land in order. A failed write (e.g. a full
+// localStorage quota) is reported through cc-storage-error rather than thrown at the caller.
+function queueWrite(name, write) {
+  writesInFlight++;
+  writeSeq++;
+  pendingWrites[name] = (pendingWrites[name] || Promise.resolve())
+    .then(write)
+    .catch((err) => {
+      console.error(err);
+      window.dispatchEvent(new CustomEvent("cc-storage-error", { detail: `Could not save ${name}: ${err.message}` }));
+    })
+    .finally(() => { writesInFlight--; });
+}
+
+function getDB() {
+  return JSON.parse(JSON.stringify(dbCache));
+}
+// Read-only access to a single collection without copying the whole database, for hot paths
+// such as permission checks that run once per table row. The value is shared with the cache:
+// never mutate it.
+function getCollection(name) {
+  return dbCache?.[name];
+}
+function setDB(db, meta) {
+  const prev = dbCache;
+  dbCache = JSON.parse(JSON.stringify(db));
+  Array.from(new Set([...Object.keys(prev), ...Object.keys(dbCache)]))
+    .filter((name) => JSON.stringify(prev[name]) !== JSON.stringify(dbCache[name]))
+    .forEach((name) => {
+      const data = dbCache[name];
+      queueWrite(name, () => storage.writeCollection(name, data));
+    });
+  appendAudit(auditEntries(prev, dbCache, meta));
+}
+
+// ---- Audit log ----
+// Append-only and stored as its own log collection, so rewriting the database can never drop
+// history. setDB diffs the stored copy against the new one, so every mutation is captured without
+// pages having to report what they changed.
+const AUDIT_COLLECTION = "audit_log";
+const LOG_COLLECTIONS = [AUDIT_COLLECTION];
+const AUDIT_KEY = "cc_audit_v1"; // the localStorage adapter's key for the log
+const REDACTED_ENTITIES = ["passwords", "temp_passwords"];
+// Credential fields on records that are otherwise audited in full (invites used to carry a
+// plaintext tempPassword on the user record).
+const REDACTED_FIELDS = { users: ["tempPassword", "password"] };
+// Bulky derived fields left out of the trail entirely; a report body can be regenerated from the
+// audited records it summarises.
+const AUDIT_OMITTED_FIELDS = { reports: ["summary", "sections"] };
+
+function auditView(entity, r) {
+  const fields = AUDIT_OMITTED_FIELDS[entity];
+  if (!fields || r == null || typeof r !== "object") return r;
+  const copy = { ...r };
+  fields.forEach(f => delete copy[f]);
+  return copy;
+}
+
+function redactRecord(entity, v) {
+  if (v == null) return v ?? null;
+  if (REDACTED_ENTITIES.includes(entity)) return "[redacted]";
+  const fields = (REDACTED_FIELDS[entity] || []).filter(f => typeof v === "object" && v[f] !== undefined);
+  return fields.length ? { ...v, ...Object.fromEntries(fields.map(f => [f, "[redacted]"])) } : v;
+}
+
+function getAudit() {
+  return auditCache;
+}
+
+// Re-reads the trail from the backend, so with a shared (REST) backend pages see entries other
+// clients wrote. Like reloadDB it keeps the cached copy while saves are queued or on failure.
+async function loadAudit() {
+  if (writesInFlight) return auditCache;
+  const seq = writeSeq;
+  try {
+    const fresh = await storage.loadCollection(AUDIT_COLLECTION);
+    if (fresh && seq === writeSeq && !writesInFlight) auditCache = fresh;
+  } catch (err) {
+    window.dispatchEvent(new CustomEvent("cc-storage-error", { detail: `Could not load the audit log: ${err.message}` }));
+  }
+  return auditCache;
+}
+
+// Entries written before REDACTED_FIELDS existed may still hold credentials; rewrite them once.
+function scrubAudit() {
+  const scrubbed = auditCache.map(e => ({ ...e, before: redactRecord(e.entity, e.before), after: redactRecord(e.entity, e.after) }));
+  if (JSON.stringify(scrubbed) === JSON.stringify(auditCache)) return;
+  auditCache = scrubbed;
+  queueWrite(AUDIT_COLLECTION, () => storage.writeCollection(AUDIT_COLLECTION, scrubbed));
+}
+
+function appendAudit(entries) {
+  if (!entries.length) return;
+  auditCache = [...auditCache, ...entries];
+  queueWrite(AUDIT_COLLECTION, () => storage.append(AUDIT_COLLECTION, entries));
+}
+
+const changedFields = (before, after) =>
+  Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})]))
+    .filter(k => JSON.stringify(before?.[k]) !== JSON.stringify(after?.[k]));
+
+// Collections are diffed by record id; keyed objects (e.g. passwords by email) by key.
+function auditEntries(prev, next, meta = {}) {
+  const auth = getAuth();
+  const at = new Date().toISOString();
+  const entries = [];
+  Array.from(new Set([...Object.keys(prev), ...Object.keys(next)])).forEach((entity) => {
+    const a = prev[entity], b = next[entity];
+    const list = Array.isArray(a) || Array.isArray(b);
+    const toMap = (v) => new Map(list ? (v || []).map(r => [r.id, auditView(entity, r)]) : Object.entries(v || {}));
+    const before = toMap(a), after = toMap(b);
+    Array.from(new Set([...before.keys(), ...after.keys()])).forEach((entity_id) => {
+      const x = before.get(entity_id), y = after.get(entity_id);
+      if (JSON.stringify(x) === JSON.stringify(y)) return;
+      entries.push({
+        id: uid("aud"),
+        at,
+        user: meta.actor || auth?.email || "anonymous",
+        role: auth?.role || null,
+        action: x === undefined ? "create" : y === undefined ? "delete" : "update",
+        entity,
+        entity_id,
+        fields: list ? changedFields(x, y) : [],
+        before: redactRecord(entity, x),
+        after: redactRecord(entity, y),
+        note: meta.note || "",
+      });
+    });
+  });
+  return entries;
+}
+
+// ---- Locations ----
+// Warehouses hold bins. Receipts, dispatches, transfers and ledger entries all refer to a bin by
+// its id (location_id); a warehouse's stock is the sum over its bins.
+function seedLocations() {
+  const warehouses = [
+    { id: uid("wh"), code: "WH1", name: "Durban Shed 1", active: true },
+    { id: uid("wh"), code: "WH2", name: "Durban Shed 2", active: true },
+  ];
+  // receiving bays first, so bins[0] is the default put-away location
+  const bins = warehouses.flatMap((w) => [
+    { id: uid("bin"), warehouse_id: w.id, code: "RECV", active: true },
+    ...["A", "B"].flatMap(aisle => [1, 2, 3, 4].map(n => ({ id: uid("bin"), warehouse_id: w.id, code: `${aisle}-${String(n).padStart(2, "0")}`, active: true }))),
+  ]);
+  return { warehouses, bins };
+}
+
+const activeBins = (db) => db.bins.filter(b => b.active !== false && db.warehouses.find(w => w.id === b.warehouse_id)?.active !== false);
+const defaultBin = (db) => activeBins(db)[0]?.id || null;
+
+function locationLabel(db, location_id) {
+  const b = db.bins.find(x => x.id === location_id);
+  if (!b) return "Unassigned";
+  const w = db.warehouses.find(x => x.id === b.warehouse_id);
+  return `${w?.code || "?"} · ${b.code}`;
+}
+
+// ---- Vehicles ----
+// db.vehicles is the fleet master. Records refer to a vehicle by registration (vehicle_reg on
+// receipts and trips, truck_reg on dispatches), so a registration is fixed once records use it.
+// Retired vehicles stay in the list so old records still resolve, but are not offered in forms.
+const VEHICLE_TYPES = ["Truck-tractor", "Rigid truck", "LDV", "Van"];
+
+const activeVehicles = (db) => db.vehicles.filter(v => v.active !== false);
+const normalizeReg = (v) => String(v || "").trim().toUpperCase().replace(/\s+/g, " ");
+
+const vehicleInUse = (db, reg) =>
+  liveTrips(db).some(t => t.vehicle_reg === reg) || db.dispatches.some(d => d.truck_reg === reg) || db.warehouse_receipts.some(r => r.vehicle_reg === reg);
+
+function seedVehicle(vehicle_reg, now = new Date()) {
+  return {
+    id: uid("veh"),
+    vehicle_reg,
+    type: choice(VEHICLE_TYPES.slice(0, 2)),
+    payload_kg: choice([8000, 14000, 28000, 34000]),
+    tank_l: choice([300, 400, 600]),
+    licence_disc_expiry: addDays(now, rand(-5, 365)),
+    roadworthy_expiry: addDays(now, rand(20, 365)),
+    active: true,
+  };
+}
+
+// ---- Drivers ----
+// db.drivers is the driver registry. Like vehicles, records store the driver's name, so names are
+// unique and fixed once used. Hours are worked out from trip start/end times over rolling 24 h and
+// 7-day windows; a trip with no end time yet counts up to now.
+const LICENCE_CLASSES = ["B", "EB", "C1", "EC1", "C", "EC"];
+const HOUR_MS = 60 * 60 * 1000;
+
+const activeDrivers = (db) => db.drivers.filter(d => d.active !== false);
+const normalizeDriverName = (v) => String(v || "").trim().replace(/\s+/g, " ");
+// "J. Smith" and "J Smith" are the same driver. Letters in any script count; a name with none
+// falls back to the whole normalised name rather than sharing the empty key.
+const driverKey = (v) => String(v || "").toLowerCase().replace(/[^\p{L}]/gu, "") || normalizeDriverName(v).toLowerCase();
+
+const driverInUse = (db, name) =>
+  liveTrips(db).some(t => t.driver_name === name) || db.dispatches.some(d => d.driver_name === name) || db.warehouse_receipts.some(r => r.driver_name === name);
+
+function seedDriver(name, now = new Date()) {
+  return {
+    id: uid("drv"),
+    name,
+    licence_no: `${rand(1000, 9999)}${rand(10000000, 99999999)}`,
+    licence_class: choice(["C", "EC"]),
+    licence_expiry: addDays(now, rand(10, 1500)),
+    prdp_expiry: addDays(now, rand(-3, 700)),
+    phone: `08${rand(1, 4)} ${rand(100, 999)} ${rand(1000, 9999)}`,
+    email: "",
+    active: true,
+  };
+}
+
+// Hours `name` drives in the day and week ending at `at`; `extra` is a prospective trip to include.
+function driverHours(db, name, at = new Date(), extra) {
+  const until = new Date(at).getTime();
+  const spans = liveTrips(db)
+    .filter(t => t.driver_name === name && t.trip_status !== "Cancelled" && t.start_time)
+    .map(t => [new Date(t.start_time).getTime(), t.end_time ? new Date(t.end_time).getTime() : Date.now()]);
+  if (extra) spans.push([new Date(extra.start_time).getTime(), new Date(extra.end_time).getTime()]);
+  const within = (from) => round1(spans.reduce((a, [s, e]) => a + Math.max(0, Math.min(e, until) - Math.max(s, from)), 0) / HOUR_MS);
+  return { day: within(until - DAY_MS), week: within(until - 7 * DAY_MS) };
+}
+
+// Warning text when adding the trip would take the driver over a limit, else null.
+function driverHoursWarning(db, trip) {
+  const { max_daily_hours, max_weekly_hours } = fleetSettings(db);
+  const { day, week } = driverHours(db, trip.driver_name, trip.end_time, trip);
+  const over = [
+    day > max_daily_hours && `${day} h in 24 h (limit ${max_daily_hours})`,
+    week > max_weekly_hours && `${week} h in 7 days (limit ${max_weekly_hours})`,
+  ].filter(Boolean);
+  return over.length ? `${trip.driver_name} would drive ${over.join(" and ")}` : null;
+}
+
+// ---- Trip lifecycle ----
+// A trip is planned (Idle), started (Active) and then completed, or cancelled before it completes;
+// TRIP_TRANSITIONS is the only way status moves. A completed trip's distance_km comes from its
+// odometer readings. Trips the demo simulator creates are flagged `demo` and it only moves those;
+// everything that treats trips as real records (odometer floors, driving hours, busy checks,
+// fuel analytics, reports, trace) reads liveTrips() so demo trips never affect it.
+const TRIP_TRANSITIONS = { new: ["Idle", "Active"], Idle: ["Active", "Cancelled"], Active: ["Completed", "Cancelled"], Completed: [], Cancelled: [] };
+const DEFAULT_TRIP_HOURS = 4;
+const DEMO_MODE_KEY = "cc_trip_demo"; // sessionStorage: demo mode is per browser session
+
+const liveTrips = (db) => db.transport_trips.filter(t => !t.demo);
+
+// The vehicle's running trip, else its next planned one.
+const currentTrip = (db, reg) =>
+  liveTrips(db).find(t => t.vehicle_reg === reg && t.trip_status === "Active") || liveTrips(db).find(t => t.vehicle_reg === reg && t.trip_status === "Idle");
+
+// Highest reading logged for the vehicle, so a new trip cannot start below it.
+const lastOdometer = (db, reg) =>
+  Math.max(0, ...liveTrips(db).filter(t => t.vehicle_reg === reg).map(t => Number(t.odometer_end || t.odometer_start) || 0));
+
+// Why `trip` cannot move to `to` (with the fields the user entered merged in), or null.
+function tripTransitionError(db, trip, to, now = new Date()) {
+  const from = db.transport_trips.find(t => t.id === trip.id)?.trip_status || "new";
+  if (!(TRIP_TRANSITIONS[from] || []).includes(to)) return `A ${from === "new" ? "new" : from.toLowerCase()} trip cannot become ${to}`;
+  if (to === "Cancelled") return String(trip.cancel_reason || "").trim() ? null : "Give a reason for cancelling";
+  if (to === "Completed") {
+    if (!(Number(trip.odometer_end) > Number(trip.odometer_start))) return `Closing odometer must be above the opening reading (${trip.odometer_start} km)`;
+    if (!(Number(trip.fuel_used_l) > 0)) return "Enter the fuel used";
+    return null;
+  }
+  const vehicle = activeVehicles(db).find(v => v.vehicle_reg === trip.vehicle_reg);
+  const driver = activeDrivers(db).find(d => d.name === trip.driver_name);
+  if (!vehicle) return "Choose an active vehicle";
+  if (!driver) return "Choose an active driver";
+  const container = validateContainerNo(trip.container_no);
+  if (container) return container;
+  const expired = [[vehicle.licence_disc_expiry, `${vehicle.vehicle_reg} licence disc`], [vehicle.roadworthy_expiry, `${vehicle.vehicle_reg} roadworthy`], [driver.licence_expiry, `${driver.name}'s licence`], [driver.prdp_expiry, `${driver.name}'s PrDP`]]
+    .find(([date]) => date && new Date(date) < now);
+  if (expired) return `${expired[1]} expired on ${formatDay(expired[0])}`;
+  if (to !== "Active") return null;
+  const busy = liveTrips(db).find(t => t.id !== trip.id && t.trip_status === "Active" && (t.vehicle_reg === trip.vehicle_reg || t.driver_name === trip.driver_name));
+  if (busy) return `${busy.vehicle_reg === trip.vehicle_reg ? trip.vehicle_reg : trip.driver_name} is already on an active trip (${busy.container_no})`;
+  const floor = lastOdometer(db, trip.vehicle_reg);
+  if (trip.odometer_start === "" || trip.odometer_start == null) return "Enter the opening odometer reading";
+  if (!(Number(trip.odometer_start) >= floor)) return `Opening odometer cannot be below the last reading for ${trip.vehicle_reg} (${floor} km)`;
+  return null;
+}
+
+// The trip after moving to `to`: stamps who/when and derives distance on completion.
+function applyTripTransition(trip, to, by, now = new Date()) {
+  const at = now.toISOString();
+  if (to === "Idle") return { ...trip, trip_status: "Idle", planned_at: at, planned_by: by };
+  if (to === "Active") return { ...trip, trip_status: "Active", start_time: at, end_time: null, odometer_start: Number(trip.odometer_start), started_by: by };
+  if (to === "Completed") {
+    const odometer_end = Number(trip.odometer_end);
+    return { ...trip, trip_status: "Completed", end_time: at, odometer_end, distance_km: round1(odometer_end - trip.odometer_start), fuel_used_l: Number(trip.fuel_used_l), completed_by: by };
+  }
+  return { ...trip, trip_status: "Cancelled", cancel_reason: String(trip.cancel_reason).trim(), cancelled_at: at, cancelled_by: by };
+}
+
+// Warning for a trip about to start, projecting it over its planned hours.
+const startHoursWarning = (db, trip, now = new Date()) =>
+  driverHoursWarning(db, { ...trip, start_time: now.toISOString(), end_time: new Date(now.getTime() + (Number(trip.planned_hours) || DEFAULT_TRIP_HOURS) * HOUR_MS).toISOString() });
+
+// One tick of the demo simulator: starts a demo trip on an idle vehicle or completes a running one.
+function simulateTrips(db, now = new Date()) {
+  const running = db.transport_trips.filter(t => t.demo && t.trip_status === "Active");
+  const busy = new Set(db.transport_trips.filter(t => t.trip_status === "Active").flatMap(t => [t.vehicle_reg, t.driver_name]));
+  const free = activeVehicles(db).filter(v => !busy.has(v.vehicle_reg));
+  if (running.length && (Math.random() < 0.5 || !free.length)) {
+    const t = choice(running);
+    const km = numberBetween(5, 200, 1);
+    const done = applyTripTransition({ ...t, odometer_end: round1(t.odometer_start + km), fuel_used_l: numberBetween(km * 0.2, km * 0.45, 1) }, "Completed", "demo", now);
+    return { ...db, transport_trips: db.transport_trips.map(x => x.id === t.id ? done : x) };
+  }
+  const candidates = activeDrivers(db).filter(d => !busy.has(d.name));
+  const vehicle = free.length ? choice(free) : null;
+  const trip = vehicle && candidates.length && { id: uid("trip"), demo: true, vehicle_reg: vehicle.vehicle_reg, driver_name: choice(candidates).name, container_no: randomContainerNo(), odometer_start: lastOdometer(db, vehicle.vehicle_reg) || rand(50000, 400000), planned_hours: rand(1, 6) };
+  if (!trip || tripTransitionError(db, trip, "Active", now) || startHoursWarning(db, trip, now)) return db;
+  return { ...db, transport_trips: [applyTripTransition(trip, "Active", "demo", now), ...db.transport_trips] };
+}
+
+// ---- Traceability ----
+// A consignment is followed by cargo id and by container. Receipts, transfers, customs and status
+// changes hang off the cargo id; a dispatch ties the cargo to a container, and trips move the
+// container. The search term can be a cargo id, container number, receipt indent or seal number.
+const TRACE_KINDS = {
+  receipt: { label: "Receipt", className: "bg-blue-100 text-blue-700" },
+  inspection: { label: "Inspection", className: "bg-purple-100 text-purple-700" },
+  label: { label: "Label", className: "bg-gray-100 text-gray-700" },
+  status: { label: "Status", className: "bg-yellow-100 text-yellow-800" },
+  customs: { label: "Customs", className: "bg-orange-100 text-orange-700" },
+  transfer: { label: "Transfer", className: "bg-gray-100 text-gray-700" },
+  dispatch: { label: "Dispatch", className: "bg-green-100 text-green-700" },
+  trip: { label: "Trip", className: "bg-blue-50 text-blue-800" },
+  void: { label: "Void", className: "bg-red-50 text-red-700" },
+};
+
+// The cargo ids and containers a search term leads to, or null when nothing matches.
+function traceScope(db, query) {
+  const q = String(query || "").trim().toUpperCase();
+  if (!q) return null;
+  const container = normalizeContainerNo(q);
+  const byCargo = [...db.warehouse_receipts, ...db.dispatches, ...db.customs_entries].filter(r => String(r.cargo_id).toUpperCase() === q);
+  const byIndent = db.warehouse_receipts.filter(r => String(r.indent_number).toUpperCase() === q);
+  const bySeal = db.dispatches.filter(d => [d.seal_no_1, d.seal_no_2].some(s => String(s).trim().toUpperCase() === q));
+  const byContainer = [...db.dispatches, ...liveTrips(db)].filter(x => normalizeContainerNo(x.container_no) === container);
+  const matchedBy = byCargo.length ? "cargo ID" : byIndent.length ? "indent number" : bySeal.length ? "seal number" : byContainer.length ? "container number" : null;
+  if (!matchedBy) return null;
+  const hits = { "cargo ID": byCargo, "indent number": byIndent, "seal number": bySeal, "container number": byContainer }[matchedBy];
+  const cargo_ids = new Set(hits.map(x => x.cargo_id).filter(Boolean));
+  const containers = new Set(hits.filter(x => x.container_no).map(x => normalizeContainerNo(x.container_no)));
+  // one hop further: the containers this cargo left in
+  db.dispatches.filter(d => cargo_ids.has(d.cargo_id)).forEach(d => containers.add(normalizeContainerNo(d.container_no)));
+  return { query: q, matchedBy, cargo_ids: [...cargo_ids], containers: [...containers] };
+}
+
+// Every event on the scope's cargo and containers, oldest first. Status changes come from the audit log.
+function traceTimeline(db, scope, audit = getAudit()) {
+  const cargo = new Set(scope.cargo_ids);
+  const boxes = new Set(scope.containers);
+  const events = [];
+  const add = (at, kind, title, detail, route) => at && events.push({ at, kind, title, detail, route });
+
+  db.warehouse_receipts.filter(r => cargo.has(r.cargo_id)).forEach((r) => {
+    add(r.date_in, "receipt", `${r.cargo_id}: received ${r.quantity} units (indent ${r.indent_number})`, `Inbound vehicle ${r.vehicle_reg || "—"} · driver ${r.driver_name || "—"} · put away to ${locationLabel(db, r.location_id)}`, "/receipt");
+    add(r.label_printed_at, "label", `${r.cargo_id}: receipt label generated`, r.label_format ? `Format ${r.label_format.toUpperCase()}` : "", "/receipt");
+    add(r.inspection_date, "inspection", `${r.cargo_id}: ${new Date(r.inspection_date) > new Date() ? "inspection due" : "inspection date"}`, `Receipt indent ${r.indent_number}`, "/receipt");
+    add(r.voided && r.voided_at, "void", `${r.cargo_id}: receipt ${r.indent_number} voided`, `${r.void_reason || ""} · by ${r.voided_by || "unknown"}`, "/receipt");
+  });
+  db.customs_entries.filter(e => cargo.has(e.cargo_id)).forEach((e) => {
+    add(e.bond_date, "customs", `${e.cargo_id}: entered under bond (entry ${e.entry_no})`, `${e.quantity} units for ${e.bond_days} days · expires ${formatDay(bondExpiry(e))}`, "/customs");
+    db.customs_releases.filter(r => r.entry_id === e.id).forEach(r =>
+      add(r.released_at, "customs", `${e.cargo_id}: ${r.kind === "full" ? "full" : "partial"} customs release ${r.release_no}`, `${r.quantity} units${r.instructions ? ` · ${r.instructions}` : ""}`, "/customs"));
+  });
+  db.stock_transfers.filter(t => cargo.has(t.cargo_id)).forEach(t =>
+    add(t.date, "transfer", `${t.cargo_id}: moved ${t.qty} units`, `${locationLabel(db, t.from_location_id)} → ${locationLabel(db, t.to_location_id)} · ${t.reference}`, "/locations"));
+  audit.filter(a => a.entity === "inventory_snapshot" && a.action === "update" && a.fields.includes("status") && cargo.has(a.after?.cargo_id)).forEach(a =>
+    add(a.at, "status", `${a.after.cargo_id}: ${a.before?.status || "—"} → ${a.after.status}`, `by ${a.user}${a.note ? ` · ${a.note}` : ""}`, "/inventory"));
+
+  db.dispatches.filter(d => cargo.has(d.cargo_id) || boxes.has(normalizeContainerNo(d.container_no))).forEach((d) => {
+    add(d.date_packed, "dispatch", `${d.cargo_id}: ${d.qty_packed} units packed into ${d.container_no}`, `From ${locationLabel(db, d.location_id)} · ${d.total_weight_kg} kg`, "/dispatch");
+    add(d.date_packed, "inspection", `${d.container_no}: pre-dispatch inspections ${d.inspections_completed ? "completed" : "not completed"}`, "", "/dispatch");
+    add(d.date_dispatched, "dispatch", `${d.container_no}: dispatched on ${d.truck_reg}`, `Seals ${d.seal_no_1} / ${d.seal_no_2} · driver ${d.driver_name}`, "/dispatch");
+    add(d.voided && d.voided_at, "void", `${d.container_no}: dispatch voided`, `${d.void_reason || ""} · by ${d.voided_by || "unknown"}`, "/dispatch");
+  });
+  liveTrips(db).filter(t => boxes.has(normalizeContainerNo(t.container_no))).forEach((t) => {
+    const who = `${t.vehicle_reg} · driver ${t.driver_name}`;
+    add(t.planned_at, "trip", `${t.container_no}: trip planned`, who, "/transport");
+    add(t.start_time, "trip", `${t.container_no}: trip started`, `${who}${t.odometer_start != null && t.odometer_start !== "" ? ` · odometer ${t.odometer_start} km` : ""}`, "/transport");
+    if (t.trip_status === "Completed") add(t.end_time, "trip", `${t.container_no}: trip completed`, `${who} · ${t.distance_km} km · ${t.fuel_used_l} L`, "/transport");
+    add(t.cancelled_at, "void", `${t.container_no}: trip cancelled`, t.cancel_reason, "/transport");
+  });
+  return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+// ---- Inventory ledger ----
+// Every receipt, dispatch and transfer posts immutable entries to db.inventory_ledger; edits and
+// voids post reversing entries rather than rewriting history. On-hand stock is always summed from
+// the ledger, and inventory_snapshot is only a cache of the per-cargo sums plus the cargo's status.
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function ledgerEntry(kind, source, cargo_id, location_id, qty, weight_kg, at) {
+  return {
+    id: uid("mov"),
+    kind,
+    source,
+    cargo_id,
+    location_id: location_id || null,
+    qty: Number(qty),
+    weight_kg: Number(weight_kg),
+    at,
+    recorded_at: new Date().toISOString(),
+    recorded_by: getAuth()?.email || "system",
+  };
+}
+
+const receiptEntry = (rec, sign = 1) =>
+  ledgerEntry(sign > 0 ? "receipt" : "receipt_reversal", { type: "receipt", id: rec.id }, rec.cargo_id, rec.location_id, sign * rec.quantity, sign * rec.weight_kg, rec.date_in);
+
+const dispatchEntry = (d, sign = 1) =>
+  ledgerEntry(sign > 0 ? "dispatch" : "dispatch_reversal", { type: "dispatch", id: d.id }, d.cargo_id, d.location_id, -sign * d.qty_packed, -sign * d.total_weight_kg, d.date_dispatched);
+
+// A transfer moves stock between bins, so it nets to zero for the cargo as a whole.
+const transferEntries = (t) => [
+  ledgerEntry("transfer_out", { type: "transfer", id: t.id }, t.cargo_id, t.from_location_id, -t.qty, -t.weight_kg, t.date),
+  ledgerEntry("transfer_in", { type: "transfer", id: t.id }, t.cargo_id, t.to_location_id, t.qty, t.weight_kg, t.date),
+];
+
+// Replays the live (non-voided) receipts and dispatches; used at seed time and for databases
+// saved before the ledger existed.
+function buildLedger(db) {
+  return [
+    ...db.warehouse_receipts.filter(r => !r.voided).map(r => receiptEntry(r)),
+    ...db.dispatches.filter(d => !d.voided).map(d => dispatchEntry(d)),
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+function stockByCargo(ledger) {
+  const m = {};
+  ledger.forEach((e) => {
+    const s = m[e.cargo_id] || (m[e.cargo_id] = { cargo_id: e.cargo_id, quantity: 0, weight_kg: 0, last_movement: e.at });
+    s.quantity += e.qty;
+    s.weight_kg = round1(s.weight_kg + e.weight_kg);
+    if (new Date(e.at) > new Date(s.last_movement)) s.last_movement = e.at;
+  });
+  return m;
+}
+
+const ledgerFor = (db, cargo_id) => db.inventory_ledger.filter(e => e.cargo_id === cargo_id);
+
+// Stock per cargo per bin, keyed "cargo_id@location_id".
+function stockByLocation(ledger) {
+  const m = {};
+  ledger.forEach((e) => {
+    const key = `${e.cargo_id}@${e.location_id}`;
+    const s = m[key] || (m[key] = { id: key, cargo_id: e.cargo_id, location_id: e.location_id, quantity: 0, weight_kg: 0, last_movement: e.at });
+    s.quantity += e.qty;
+    s.weight_kg = round1(s.weight_kg + e.weight_kg);
+    if (new Date(e.at) > new Date(s.last_movement)) s.last_movement = e.at;
+  });
+  return m;
+}
+
+// Bins currently holding this cargo, fullest first.
+const cargoLocations = (db, cargo_id) =>
+  Object.values(stockByLocation(ledgerFor(db, cargo_id))).filter(s => s.quantity > 0).sort((a, b) => b.quantity - a.quantity);
+
+// Snapshot rows with quantities taken from the ledger. Cargo the snapshot has never seen is
+// included as On Site so nothing on hand is hidden.
+function inventoryRows(db) {
+  const stock = stockByCargo(db.inventory_ledger);
+  const rows = db.inventory_snapshot.map((i) => {
+    const s = stock[i.cargo_id];
+    return s ? { ...i, quantity: s.quantity, weight_kg: s.weight_kg, last_movement: s.last_movement } : { ...i, quantity: 0, weight_kg: 0 };
+  });
+  Object.values(stock).forEach((s) => {
+    if (!db.inventory_snapshot.some(i => i.cargo_id === s.cargo_id)) rows.push({ id: `inv_${s.cargo_id}`, status: s.quantity > 0 ? "On Site" : "Dispatched", ...s });
+  });
+  return rows;
+}
+
+function reconcileRows(db) {
+  return inventoryRows(db).flatMap((row) => {
+    const stored = db.inventory_snapshot.find(i => i.cargo_id === row.cargo_id);
+    const stored_qty = stored ? Number(stored.quantity) : null;
+    const stored_weight = stored ? Number(stored.weight_kg) : null;
+    const qty_diff = row.quantity - (stored_qty || 0);
+    const weight_diff = round1(row.weight_kg - (stored_weight || 0));
+    if (stored && qty_diff === 0 && Math.abs(weight_diff) < 0.05) return [];
+    return [{ id: row.cargo_id, cargo_id: row.cargo_id, stored_qty, ledger_qty: row.quantity, qty_diff, stored_weight, ledger_weight: row.weight_kg, weight_diff }];
+  });
+}
+
+// Writes the ledger totals for one cargo back into its snapshot row.
+function syncSnapshot(db, cargo_id, status) {
+  const s = stockByCargo(ledgerFor(db, cargo_id))[cargo_id] || { quantity: 0, weight_kg: 0, last_movement: new Date().toISOString() };
+  let inv = db.inventory_snapshot.find(i => i.cargo_id === cargo_id);
+  if (!inv) {
+    inv = { id: uid("inv"), cargo_id, status: "On Site" };
+    db.inventory_snapshot.push(inv);
+  }
+  inv.quantity = s.quantity;
+  inv.weight_kg = s.weight_kg;
+  inv.last_movement = s.last_movement;
+  if (status) inv.status = status;
+  if (inv.quantity <= 0) inv.status = "Dispatched";
+  else if (inv.status === "Dispatched") inv.status = "On Site";
+}
+
+function postMovement(db, entry, status) {
+  db.inventory_ledger = [...db.inventory_ledger, entry];
+  syncSnapshot(db, entry.cargo_id, status);
+}
+
+// Shared by the drawers and CSV import so the ledger is posted the same way for both.
+function receiveIntoInventory(db, rec) {
+  postMovement(db, receiptEntry(rec), "On Site");
+}
+
+function deductFromInventory(db, d) {
+  postMovement(db, dispatchEntry(d));
+}
+
+function postTransfer(db, t) {
+  db.stock_transfers = [t, ...(db.stock_transfers || [])];
+  db.inventory_ledger = [...db.inventory_ledger, ...transferEntries(t)];
+  syncSnapshot(db, t.cargo_id);
+}
+
+// What a dispatch of this cargo may draw on, optionally from one bin. When editing, the
+// dispatch's own original movement is added back so it can be re-saved unchanged.
+function availableStock(db, cargo_id, original, location_id) {
+  const entries = ledgerFor(db, cargo_id).filter(e => !location_id || e.location_id === location_id);
+  const s = stockByCargo(entries)[cargo_id] || { quantity: 0, weight_kg: 0 };
+  if (original && !original.voided && original.cargo_id === cargo_id && (!location_id || original.location_id === location_id)) {
+    return { quantity: s.quantity + Number(original.qty_packed), weight_kg: round1(s.weight_kg + Number(original.total_weight_kg)) };
+  }
+  return { quantity: s.quantity, weight_kg: s.weight_kg };
+}
+
+function stockShortfall(d, available, where = "on hand") {
+  if (available.quantity <= 0) return `No stock of ${d.cargo_id} ${where}`;
+  if (Number(d.qty_packed) > available.quantity) return `Only ${available.quantity} units of ${d.cargo_id} ${where}`;
+  if (Number(d.total_weight_kg) > available.weight_kg + 0.05) return `Only ${available.weight_kg} kg of ${d.cargo_id} ${where}`;
+  return null;
+}
+
+function dispatchStockError(db, d, original) {
+  if (!ledgerFor(db, d.cargo_id).length) return `Cargo ${d.cargo_id} is not in inventory`;
+  const where = d.location_id ? `in ${locationLabel(db, d.location_id)}` : "on hand";
+  return stockShortfall(d, availableStock(db, d.cargo_id, original, d.location_id), where);
+}
+
+// A dispatch stays open until a completed trip has moved its container.
+const isOpenDispatch = (db, d) =>
+  !d.voided && !liveTrips(db).some(t => t.trip_status === "Completed" && normalizeContainerNo(t.container_no) === normalizeContainerNo(d.container_no));
+
+// What a scanned code refers to: a container on a dispatch (latest first), or a cargo id or
+// receipt indent number. Returns null for codes the data does not know.
+function scanLookup(db, code) {
+  const c = String(code).trim().toUpperCase();
+  const container = normalizeContainerNo(c);
+  const dispatch = db.dispatches.filter(d => normalizeContainerNo(d.container_no) === container)
+    .sort((a, b) => Number(!!a.voided) - Number(!!b.voided) || new Date(b.date_dispatched) - new Date(a.date_dispatched))[0];
+  if (dispatch) return { type: "dispatch", dispatch };
+  if (db.inventory_ledger.some(e => e.cargo_id.toUpperCase() === c)) return { type: "cargo", cargo_id: db.inventory_ledger.find(e => e.cargo_id.toUpperCase() === c).cargo_id };
+  const receipt = db.warehouse_receipts.find(r => !r.voided && String(r.indent_number).toUpperCase() === c);
+  if (receipt) return { type: "cargo", cargo_id: receipt.cargo_id };
+  return null;
+}
+
+// Per-field errors for the container and seal numbers of a dispatch. `extraSeals` are seals
+// claimed by other rows that are not saved yet (e.g. earlier rows of a CSV import).
+function dispatchFieldErrors(db, d, extraSeals = []) {
+  const errors = {};
+  const container = validateContainerNo(d.container_no);
+  if (container) errors.container_no = container;
+  const s1 = String(d.seal_no_1 || "").trim();
+  const s2 = String(d.seal_no_2 || "").trim();
+  if (s1 && s1 === s2) errors.seal_no_2 = "Seal #2 must differ from Seal #1";
+  const used = new Set(extraSeals);
+  db.dispatches.filter(x => x.id !== d.id && isOpenDispatch(db, x)).forEach(x => { used.add(String(x.seal_no_1).trim()); used.add(String(x.seal_no_2).trim()); });
+  if (s1 && used.has(s1)) errors.seal_no_1 = `Seal ${s1} is already on an open dispatch`;
+  if (s2 && used.has(s2) && !errors.seal_no_2) errors.seal_no_2 = `Seal ${s2} is already on an open dispatch`;
+  return errors;
+}
+
+// Undo a movement's effect before it is edited or voided.
+function reverseReceipt(db, rec) {
+  postMovement(db, receiptEntry(rec, -1));
+}
+
+function reverseDispatch(db, d) {
+  postMovement(db, dispatchEntry(d, -1));
+}
+
+// Why a receipt cannot be voided (rec null) or replaced by `rec`: taking it back out of its bin
+// would leave the bin below zero because some of that stock has already been dispatched or moved.
+function receiptReversalError(db, original, rec) {
+  if (original.voided) return null;
+  const stock = availableStock(db, original.cargo_id, null, original.location_id);
+  const kept = rec && rec.cargo_id === original.cargo_id && rec.location_id === original.location_id;
+  const quantity = stock.quantity - Number(original.quantity) + (kept ? Number(rec.quantity) : 0);
+  const weight = stock.weight_kg - Number(original.weight_kg) + (kept ? Number(rec.weight_kg) : 0);
+  if (quantity >= 0 && weight >= -0.05) return null;
+  const where = original.location_id ? `in ${locationLabel(db, original.location_id)}` : "on hand";
+  return `Only ${stock.quantity} units (${stock.weight_kg} kg) of ${original.cargo_id} are still ${where}; the rest has already left`;
+}
+
+// ---- Customs bonds ----
+// Bonded cargo is held under a customs entry (db.customs_entries) for a permitted bond period and
+// may only leave against customs releases (db.customs_releases). Dispatches of bonded cargo record
+// the entry they were released under, so the released quantity they have used can be summed.
+const BOND_WARNING_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const bondExpiry = (entry) => addDays(entry.bond_date, Number(entry.bond_days));
+const bondDaysLeft = (entry, now = new Date()) => Math.ceil((new Date(bondExpiry(entry)) - now) / DAY_MS);
+
+// Released, dispatched and still-releasable quantities for one entry. When editing a dispatch,
+// pass it as `original` so its own quantity is not counted against itself. Only a dispatch's
+// bonded share (customs_qty) counts; dispatches saved before that existed count in full.
+function bondBalance(db, entry, original) {
+  const released = db.customs_releases.filter(r => r.entry_id === entry.id).reduce((a, r) => a + Number(r.quantity), 0);
+  const dispatched = db.dispatches
+    .filter(d => !d.voided && d.customs_entry_id === entry.id && d.id !== original?.id)
+    .reduce((a, d) => a + Number(d.customs_qty ?? d.qty_packed), 0);
+  return { released, dispatched, available: released - dispatched, unreleased: Math.max(0, Number(entry.quantity) - released) };
+}
+
+// The entry cargo is currently held under: the latest one not yet fully dispatched.
+function openCustomsEntry(db, cargo_id, original) {
+  return db.customs_entries
+    .filter(e => e.cargo_id === cargo_id && bondBalance(db, e, original).dispatched < Number(e.quantity))
+    .sort((a, b) => new Date(b.bond_date) - new Date(a.bond_date))[0] || null;
+}
+
+const isBonded = (db, cargo_id) =>
+  !!openCustomsEntry(db, cargo_id) || db.inventory_snapshot.some(i => i.cargo_id === cargo_id && i.status === "Bonded");
+
+// How much of a dispatch has to come out of bond. Stock on hand beyond what the entry still holds
+// is not bonded and may leave freely, so it is used first. `pending` is what rows not saved yet
+// (CSV import) have already taken of this cargo and of the bond.
+function bondedShare(db, d, entry, original, pending = { quantity: 0, bonded: 0 }) {
+  const held = Number(entry.quantity) - bondBalance(db, entry, original).dispatched - pending.bonded;
+  const onHand = availableStock(db, d.cargo_id, original).quantity - pending.quantity;
+  return Math.max(0, Number(d.qty_packed) - Math.max(0, onHand - held));
+}
+
+function customsDispatchError(db, d, original, pending = { quantity: 0, bonded: 0 }) {
+  const entry = openCustomsEntry(db, d.cargo_id, original);
+  if (!entry) return isBonded(db, d.cargo_id) ? `${d.cargo_id} is bonded but has no customs entry; record one and release it first` : null;
+  const bonded = bondedShare(db, d, entry, original, pending);
+  if (!bonded) return null;
+  const available = bondBalance(db, entry, original).available - pending.bonded;
+  if (available <= 0) return `No customs release covers ${d.cargo_id} (entry ${entry.entry_no})`;
+  if (bonded > available) return `Customs releases for ${d.cargo_id} cover only ${available} more bonded units (entry ${entry.entry_no})`;
+  return null;
+}
+
+// Tags a dispatch with the entry it leaves under, if any, and the bonded share it draws from it.
+function withCustomsEntry(db, d, original) {
+  const entry = openCustomsEntry(db, d.cargo_id, original);
+  return { ...d, customs_entry_id: entry ? entry.id : null, customs_qty: entry ? bondedShare(db, d, entry, original) : null };
+}
+
+// Open entries with stock still awaiting release whose bond period ends within BOND_WARNING_DAYS
+// (or has already ended), soonest first.
+function bondAlerts(db, now = new Date()) {
+  return db.customs_entries
+    .filter(e => openCustomsEntry(db, e.cargo_id)?.id === e.id && bondBalance(db, e).unreleased > 0)
+    .map(e => ({ ...e, expires_at: bondExpiry(e), days_left: bondDaysLeft(e, now) }))
+    .filter(e => e.days_left <= BOND_WARNING_DAYS)
+    .sort((a, b) => a.days_left - b.days_left);
+}
+
+// ---- Receipt labels ----
+// 4" x 2" thermal labels at 203 dpi: cargo id, indent number, marks, weight and a Code 128 barcode
+// of the cargo id. ZPL is for Zebra printers, DPL for Honeywell/Datamax; the HTML layout is for
+// printing from the browser.
+const LABEL_FORMATS = { zpl: "ZPL (Zebra)", dpl: "DPL (Honeywell / Datamax)" };
+
+const labelText = (s) => String(s ?? "").replace(/[^\x20-\x7E]/g, "");
+
+function receiptLabelZPL(rec, copies = 1) {
+  const f = (s) => labelText(s).replace(/[\^~]/g, " ");
+  return [
+    "^XA",
+    "^PW812",
+    "^LL406",
+    `^FO30,25^A0N,44,44^FD${f(rec.cargo_id)}^FS`,
+    `^FO30,80^A0N,28,28^FDIndent: ${f(rec.indent_number)}^FS`,
+    `^FO30,115^A0N,28,28^FDMarks: ${f(rec.marks_numbers)}^FS`,
+    `^FO30,150^A0N,28,28^FDQty: ${f(rec.quantity)}   Weight: ${f(rec.weight_kg)} kg^FS`,
+    `^FO30,200^BY3^BCN,120,Y,N,N^FD${f(rec.cargo_id)}^FS`,
+    `^PQ${Number(copies) || 1}`,
+    "^XZ",
+  ].join("\n");
+}
+
+// DPL rows count up from the bottom edge in hundredths of an inch.
+function receiptLabelDPL(rec, copies = 1) {
+  const text = (row, col, s) => `1211000${String(row).padStart(4, "0")}${String(col).padStart(4, "0")}${labelText(s)}`;
+  return [
+    "\x02L",
+    "D11",
+    "H15",
+    text(175, 15, rec.cargo_id),
+    text(150, 15, `Indent: ${rec.indent_number}`),
+    text(133, 15, `Marks: ${rec.marks_numbers}`),
+    text(116, 15, `Qty: ${rec.quantity}   Weight: ${rec.weight_kg} kg`),
+    `1E3106000150015${labelText(rec.cargo_id)}`,
+    `Q${String(Number(copies) || 1).padStart(4, "0")}`,
+    "E",
+  ].join("\r\n");
+}
+
+const receiptLabel = (format, rec, copies) => (format === "dpl" ? receiptLabelDPL : receiptLabelZPL)(rec, copies);
+
+function receiptLabelHTML(rec) {
+  const esc = (s) => String(s ?? "").replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+  return `<div class="label"><div class="cargo">${esc(rec.cargo_id)}</div><div>Indent: ${esc(rec.indent_number)}</div><div>Marks: ${esc(rec.marks_numbers)}</div><div>Qty: ${esc(rec.quantity)} · Weight: ${esc(rec.weight_kg)} kg</div><div class="barcode">${code128Svg(labelText(rec.cargo_id), { module: 2, height: 56 })}</div><div class="hr">${esc(rec.cargo_id)}</div></div>`;
+}
+
+// Opens the labels in a new window sized to the label stock and starts the browser print.
+function printReceiptLabels(recs, copies = 1) {
+  const w = window.open("", "_blank", "width=480,height=640");
+  if (!w) throw new Error("Allow pop-ups to print labels");
+  const body = recs.flatMap(r => Array.from({ length: Number(copies) || 1 }, () => receiptLabelHTML(r))).join("");
+  w.document.write(`<!doctype html><html><head><title>Receipt labels</title><style>
+    @page { size: 4in 2in; margin: 0; }
+    body { margin: 0; font-family: Arial, sans-serif; }
+    .label { width: 4in; height: 2in; box-sizing: border-box; padding: 0.1in 0.15in; page-break-after: always; font-size: 11pt; overflow: hidden; }
+    .cargo { font-size: 18pt; font-weight: bold; }
+    .barcode svg { display: block; margin-top: 4px; max-width: 100%; }
+    .hr { font-size: 9pt; letter-spacing: 2px; }
+  </style></head><body>${body}</body></html>`);
+  w.document.close();
+  w.focus();
+  w.print();
+}
+
+// ---- Dispatch documents ----
+// Packing list, delivery note and waybill are laid out once, as items on an A4 page in points
+// with y measured down from the top (text y is the baseline). The same layout is rendered to SVG
+// for preview and browser printing, and to a PDF file by pdfFromPages, so both always match.
+const A4 = { width: 595, height: 842 };
+const DISPATCH_DOCS = { packing_list: "Packing List", delivery_note: "Delivery Note", waybill: "Waybill" };
+
+function pageBuilder() {
+  const items = [];
+  const page = {
+    items,
+    text(x, y, text, size = 10, bold = false) { items.push({ type: "text", x, y, text: labelText(text), size, bold }); return page; },
+    line(x1, y1, x2, y2, width = 0.75) { items.push({ type: "line", x1, y1, x2, y2, width }); return page; },
+    rect(x, y, w, h, fill = false) { items.push({ type: "rect", x, y, w, h, fill }); return page; },
+    // Code 128 bars as filled rects, `module` points per module
+    barcode(x, y, value, height = 40, module = 1) {
+      let cx = x;
+      code128Values(labelText(value)).flatMap(v => [...CODE128_PATTERNS[v]].map(Number)).forEach((w, i) => {
+        if (i % 2 === 0) page.rect(cx, y, w * module, height, true);
+        cx += w * module;
+      });
+      return page.text(x, y + height + 12, value, 9);
+    },
+  };
+  return page;
+}
+
+const docNumber = (prefix, d) => `${prefix}-${d.id.split("_").pop().toUpperCase()}`;
+
+function docHeader(page, db, d, title, number) {
+  const bin = db.bins.find(b => b.id === d.location_id);
+  const wh = bin && db.warehouses.find(w => w.id === bin.warehouse_id);
+  page.text(40, 60, "Curiata CargoOps", 16, true)
+    .text(40, 78, wh ? `${wh.name} (${wh.code})` : "Warehouse", 10)
+    .text(360, 60, title.toUpperCase(), 18, true)
+    .text(360, 78, `No. ${number}`, 10)
+    .text(360, 92, `Date: ${formatDay(d.date_dispatched)}`, 10)
+    .line(40, 104, 555, 104, 1.5);
+}
+
+// Label/value pairs in two columns; returns the y below the last row.
+function docFields(page, y, pairs) {
+  pairs.forEach(([label, value], i) => {
+    const x = i % 2 === 0 ? 40 : 300;
+    const row = y + Math.floor(i / 2) * 18;
+    page.text(x, row, `${label}:`, 9, true).text(x + 95, row, value ?? "", 10);
+  });
+  return y + Math.ceil(pairs.length / 2) * 18;
+}
+
+// Approximate Helvetica advance widths at 10 pt, erring wide so text never runs into the next
+// column of a table.
+const charWidth = (c) => (/[A-Z]/.test(c) ? 7.2 : /[a-z]/.test(c) ? 5.2 : /[0-9]/.test(c) ? 5.6 : c === " " ? 2.8 : 4);
+const textWidth = (s) => [...s].reduce((a, c) => a + charWidth(c), 0);
+
+// Lines of 10 pt text no wider than `width` points, broken at spaces where possible. Past
+// `maxLines` the last line is cut short and ends in "~".
+function wrapCell(v, width, maxLines = 3) {
+  const fits = (t) => textWidth(t) <= width;
+  const lines = [];
+  let line = "";
+  labelText(v).split(" ").forEach((word) => {
+    const joined = line ? `${line} ${word}` : word;
+    if (fits(joined)) { line = joined; return; }
+    if (line) lines.push(line);
+    line = "";
+    for (const c of word) {
+      if (line && !fits(line + c)) { lines.push(line); line = ""; }
+      line += c;
+    }
+  });
+  lines.push(line);
+  if (lines.length <= maxLines) return lines;
+  let last = lines[maxLines - 1];
+  while (last && !fits(`${last}~`)) last = last.slice(0, -1);
+  return [...lines.slice(0, maxLines - 1), `${last}~`];
+}
+
+const fitCell = (v, width) => wrapCell(v, width, 1)[0];
+
+// columns: [{ header, x }]; rows: arrays of cell text. Each column runs to the next one's x (the
+// last to the right margin) and cells wrap to that width. Returns the y below the table.
+function docTable(page, y, columns, rows) {
+  const widths = columns.map((c, j) => (columns[j + 1]?.x ?? 555) - c.x - 5);
+  page.rect(40, y - 13, 515, 18, false);
+  columns.forEach((c, j) => page.text(c.x, y, fitCell(c.header, widths[j]), 9, true));
+  let ry = y + 20;
+  rows.forEach((r) => {
+    const cells = r.map((cell, j) => wrapCell(cell, widths[j]));
+    cells.forEach((lines, j) => lines.forEach((l, k) => page.text(columns[j].x, ry + k * 11, l, 10)));
+    const extra = (Math.max(1, ...cells.map(c => c.length)) - 1) * 11;
+    page.line(40, ry + extra + 6, 555, ry + extra + 6, 0.25);
+    ry += 18 + extra;
+  });
+  return ry;
+}
+
+function docSignatures(page, y, roles) {
+  const w = 515 / roles.length;
+  roles.forEach((role, i) => {
+    const x = 40 + i * w;
+    page.text(x, y, role, 10, true);
+    ["Name", "Signature", "Date / Time"].forEach((label, j) => {
+      const ly = y + 30 + j * 30;
+      page.text(x, ly, label, 8).line(x + 55, ly + 1, x + w - 15, ly + 1, 0.5);
+    });
+  });
+  return y + 120;
+}
+
+function dispatchDocument(kind, db, d) {
+  const page = pageBuilder();
+  const entry = d.customs_entry_id && db.customs_entries.find(e => e.id === d.customs_entry_id);
+  const seals = `${d.seal_no_1} / ${d.seal_no_2}`;
+  const goods = [[d.cargo_id, d.marks_numbers_packed || "-", String(d.qty_packed), String(d.total_weight_kg), locationLabel(db, d.location_id)]];
+  const goodsCols = [{ header: "Cargo ID", x: 45 }, { header: "Marks / Numbers", x: 140 }, { header: "Qty", x: 330 }, { header: "Weight (kg)", x: 390 }, { header: "From Bin", x: 480 }];
+  let y;
+
+  if (kind === "packing_list") {
+    const number = docNumber("PL", d);
+    docHeader(page, db, d, DISPATCH_DOCS[kind], number);
+    y = docFields(page, 130, [
+      ["Container", d.container_no], ["Seals", seals],
+      ["Date packed", formatDate(d.date_packed)], ["Truck", d.truck_reg],
+      ["Inspections", d.inspections_completed ? "Completed" : "Not completed"], ["Customs entry", entry ? entry.entry_no : "n/a"],
+    ]);
+    y = docTable(page, y + 25, goodsCols, goods);
+    page.text(330, y + 10, `Total: ${d.qty_packed} units, ${d.total_weight_kg} kg`, 10, true);
+    docSignatures(page, y + 60, ["Packed by", "Checked by"]);
+    return { title: `${DISPATCH_DOCS[kind]} ${number}`, number, pages: [page.items] };
+  }
+
+  if (kind === "delivery_note") {
+    const number = docNumber("DN", d);
+    docHeader(page, db, d, DISPATCH_DOCS[kind], number);
+    y = docFields(page, 130, [
+      ["Consignee", ""], ["Delivery address", ""],
+      ["Container", d.container_no], ["Seals", seals],
+      ["Truck", d.truck_reg], ["Driver", d.driver_name],
+      ["Dispatched", formatDate(d.date_dispatched)], ["Total weight", `${d.total_weight_kg} kg`],
+    ]);
+    page.line(135, 131, 290, 131, 0.5).line(395, 131, 555, 131, 0.5);
+    y = docTable(page, y + 25, goodsCols, goods);
+    page.text(40, y + 20, "Received the goods listed above in apparent good order and condition, with seals intact unless noted:", 9)
+      .line(40, y + 45, 555, y + 45, 0.5).line(40, y + 65, 555, y + 65, 0.5);
+    docSignatures(page, y + 100, ["Dispatched by", "Driver", "Received by"]);
+    return { title: `${DISPATCH_DOCS[kind]} ${number}`, number, pages: [page.items] };
+  }
+
+  const number = docNumber("WB", d);
+  docHeader(page, db, d, DISPATCH_DOCS.waybill, number);
+  y = docFields(page, 130, [
+    ["Shipper", "Curiata CargoOps"], ["Consignee", ""],
+    ["Origin", locationLabel(db, d.location_id)], ["Destination", ""],
+    ["Vehicle", d.truck_reg], ["Driver", d.driver_name],
+    ["Container", d.container_no], ["Seals", seals],
+    ["Departure", formatDate(d.date_dispatched)], ["Customs entry", entry ? entry.entry_no : "n/a"],
+  ]);
+  page.line(395, 131, 555, 131, 0.5).line(395, 149, 555, 149, 0.5);
+  y = docTable(page, y + 25, goodsCols, goods);
+  page.text(40, y + 20, `Gross weight: ${d.total_weight_kg} kg    Packages: ${d.qty_packed}`, 10, true);
+  page.barcode(40, y + 40, normalizeContainerNo(d.container_no), 40, 1.2);
+  docSignatures(page, y + 130, ["Shipper", "Carrier / Driver", "Consignee"]);
+  return { title: `${DISPATCH_DOCS.waybill} ${number}`, number, pages: [page.items] };
+}
+
+function pageSvg(items) {
+  const esc = (s) => String(s).replace(/[&<>]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" })[c]);
+  const body = items.map((it) => {
+    if (it.type === "text") return `<text x="${it.x}" y="${it.y}" font-size="${it.size}"${it.bold ? ' font-weight="bold"' : ""}>${esc(it.text)}</text>`;
+    if (it.type === "line") return `<line x1="${it.x1}" y1="${it.y1}" x2="${it.x2}" y2="${it.y2}" stroke="#000" stroke-width="${it.width}"/>`;
+    return `<rect x="${it.x}" y="${it.y}" width="${it.w}" height="${it.h}" ${it.fill ? 'fill="#000"' : 'fill="none" stroke="#000" stroke-width="0.75"'}/>`;
+  }).join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${A4.width} ${A4.height}" width="100%" font-family="Helvetica, Arial, sans-serif"><rect width="${A4.width}" height="${A4.height}" fill="#fff"/>${body}</svg>`;
+}
+
+// Minimal PDF 1.4 writer: one content stream per page, Helvetica and Helvetica-Bold (built into
+// every PDF reader, so nothing is embedded). Text is limited to printable ASCII.
+function pdfFromPages(pages) {
+  const num = (n) => Number(n.toFixed(2));
+  const pdfText = (s) => s.replace(/[\\()]/g, c => `\\${c}`);
+  const streams = pages.map(items => items.map((it) => {
+    if (it.type === "text") return `BT /${it.bold ? "F2" : "F1"} ${it.size} Tf ${num(it.x)} ${num(A4.height - it.y)} Td (${pdfText(it.text)}) Tj ET`;
+    if (it.type === "line") return `${it.width} w ${num(it.x1)} ${num(A4.height - it.y1)} m ${num(it.x2)} ${num(A4.height - it.y2)} l S`;
+    return `${num(it.x)} ${num(A4.height - it.y - it.h)} ${num(it.w)} ${num(it.h)} re ${it.fill ? "f" : "0.75 w S"}`;
+  }).join("\n"));
+
+  // objects 1-4 are fixed; each page then takes a page object and a content object
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + i * 2} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+  ];
+  streams.forEach((content, i) => {
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`);
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+  });
+
+  let out = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const at = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  return new Blob([out], { type: "application/pdf" });
+}
+
+// Prints the pages from a bare window so none of the app chrome ends up on paper.
+function printPages(title, pages) {
+  const w = window.open("", "_blank", "width=800,height=1000");
+  if (!w) throw new Error("Allow pop-ups to print documents");
+  w.document.write(`<!doctype html><html><head><title>${title}</title><style>
+    @page { size: A4; margin: 0; }
+    body { margin: 0; }
+    .page { width: 210mm; height: 297mm; page-break-after: always; }
+    .page svg { width: 210mm; height: 297mm; }
+  </style></head><body>${pages.map(items => `<div class="page">${pageSvg(items)}</div>`).join("")}</body></html>`);
+  w.document.close();
+  w.focus();
+  w.print();
+}
+
+// ---- Operations reports ----
+// A report is built once from the data for its period and stored whole in db.reports, so a
+// re-download shows exactly what was generated even after records change. HTML, PDF and CSV are
+// all rendered from that stored copy. db.report_settings holds the schedule: the first sign-in
+// after the daily cutoff generates the report for the period ending at the cutoff, plus any
+// earlier periods missed since the last scheduled report (days nobody signed in). Report bodies
+// are left out of the audit trail (AUDIT_OMITTED_FIELDS).
+const DEFAULT_REPORT_SETTINGS = { enabled: true, period: "daily", cutoff: "06:00", shift_hours: 8 };
+const REPORT_HISTORY_LIMIT = 60;
+
+const reportSettings = (db) => ({ ...DEFAULT_REPORT_SETTINGS, ...(db.report_settings || {}) });
+
+// The period ending at the cutoff on `day`: 24 hours, or one shift.
+function reportPeriod(settings, day = new Date()) {
+  const [h, m] = settings.cutoff.split(":").map(Number);
+  const to = new Date(day);
+  to.setHours(h, m, 0, 0);
+  const hours = settings.period === "shift" ? Number(settings.shift_hours) : 24;
+  return { from: new Date(to.getTime() - hours * HOUR_MS), to };
+}
+
+// Scheduled periods that have closed without a report, oldest first: every cutoff since the last
+// scheduled report, at most REPORT_HISTORY_LIMIT of them. Before the first scheduled report only
+// the latest closed period is due.
+function dueReportPeriods(db, now = new Date()) {
+  const settings = reportSettings(db);
+  if (!settings.enabled) return [];
+  const scheduled = db.reports.filter(r => r.scheduled).map(r => r.to);
+  const last = Math.max(...scheduled.map(to => new Date(to).getTime()));
+  const periods = [];
+  for (let day = new Date(now), i = 0; i < REPORT_HISTORY_LIMIT; day = new Date(addDays(day, -1)), i++) {
+    const period = reportPeriod(settings, day);
+    if (period.to > now) continue;
+    if (period.to.getTime() <= last) break;
+    if (!scheduled.includes(period.to.toISOString())) periods.unshift(period);
+    if (!scheduled.length) break;
+  }
+  return periods;
+}
+
+function buildOpsReport(db, { from, to }, { by, scheduled = false, now = new Date() } = {}) {
+  const range = { from, to };
+  const { fuel_price_per_l } = fleetSettings(db);
+  const closing = stockByCargo(db.inventory_ledger.filter(e => new Date(e.at) <= to));
+  const statusOf = (cargo_id) => db.inventory_snapshot.find(i => i.cargo_id === cargo_id)?.status || "On Site";
+
+  const receipts = db.warehouse_receipts.filter(r => !r.voided && inRange(r.date_in, range))
+    .map(r => ({ date_in: r.date_in, cargo_id: r.cargo_id, indent_number: r.indent_number, quantity: r.quantity, weight_kg: r.weight_kg, vehicle_reg: r.vehicle_reg, driver_name: r.driver_name, location: locationLabel(db, r.location_id) }));
+  const dispatches = db.dispatches.filter(d => !d.voided && inRange(d.date_dispatched, range))
+    .map(d => ({ date_dispatched: d.date_dispatched, container_no: d.container_no, cargo_id: d.cargo_id, qty_packed: d.qty_packed, total_weight_kg: d.total_weight_kg, seals: `${d.seal_no_1} / ${d.seal_no_2}`, truck_reg: d.truck_reg, driver_name: d.driver_name }));
+  const byStatus = {};
+  Object.values(closing).filter(s => s.quantity > 0).forEach((s) => {
+    const row = byStatus[statusOf(s.cargo_id)] || (byStatus[statusOf(s.cargo_id)] = { status: statusOf(s.cargo_id), lines: 0, quantity: 0, weight_kg: 0 });
+    row.lines++;
+    row.quantity += s.quantity;
+    row.weight_kg = round1(row.weight_kg + s.weight_kg);
+  });
+  const expiring = db.warehouse_receipts
+    .filter(r => !r.voided && r.expiry_date && closing[r.cargo_id]?.quantity > 0)
+    .map(r => ({ cargo_id: r.cargo_id, indent_number: r.indent_number, expiry_date: r.expiry_date, days_left: Math.ceil((new Date(r.expiry_date) - to) / DAY_MS), on_hand: closing[r.cargo_id].quantity }))
+    .filter(r => r.days_left <= alertSettings(db).expiry_days)
+    .sort((a, b) => a.days_left - b.days_left);
+  const trips = liveTrips(db).filter(t => inRange(t.start_time, range) || (t.end_time && inRange(t.end_time, range)))
+    .map(t => ({ vehicle_reg: t.vehicle_reg, driver_name: t.driver_name, container_no: t.container_no, trip_status: t.trip_status, start_time: t.start_time, end_time: t.end_time, distance_km: t.distance_km ?? null, fuel_used_l: t.fuel_used_l ?? null, l_per_100km: per100km(Number(t.fuel_used_l), Number(t.distance_km)) }));
+  const exceptions = [
+    ...db.warehouse_receipts.filter(r => inRange(r.date_in, range) && String(r.comments || "").trim()).map(r => ({ at: r.date_in, type: "Receipt comment", reference: `${r.cargo_id} / ${r.indent_number}`, detail: r.comments.trim() })),
+    ...db.warehouse_receipts.filter(r => r.voided && inRange(r.voided_at, range)).map(r => ({ at: r.voided_at, type: "Receipt voided", reference: `${r.cargo_id} / ${r.indent_number}`, detail: r.void_reason })),
+    ...db.dispatches.filter(d => d.voided && inRange(d.voided_at, range)).map(d => ({ at: d.voided_at, type: "Dispatch voided", reference: `${d.cargo_id} / ${d.container_no}`, detail: d.void_reason })),
+    ...liveTrips(db).filter(t => t.trip_status === "Cancelled" && inRange(t.cancelled_at, range)).map(t => ({ at: t.cancelled_at, type: "Trip cancelled", reference: `${t.vehicle_reg} / ${t.container_no}`, detail: t.cancel_reason })),
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+  const [fuel] = fuelStats(trips.map(t => ({ ...t, all: "all" })), "all", fuel_price_per_l);
+  const sum = (rows, key) => round1(rows.reduce((a, r) => a + Number(r[key] || 0), 0));
+
+  const stamp = `${dayKey(to).replace(/\D/g, "")}${String(to.getHours()).padStart(2, "0")}${String(to.getMinutes()).padStart(2, "0")}`;
+  const hours = Math.round((to - from) / HOUR_MS);
+  return {
+    id: uid("rpt"),
+    number: `OPS-${stamp}`,
+    title: `${{ 24: "Daily " }[hours] || (hours < 24 ? "Shift " : "")}Operations Report`,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    generated_at: now.toISOString(),
+    generated_by: by || "system",
+    scheduled,
+    summary: [
+      ["Receipts", `${receipts.length} (${sum(receipts, "quantity")} units)`],
+      ["Dispatches", `${dispatches.length} (${sum(dispatches, "qty_packed")} units)`],
+      ["Closing stock", `${sum(Object.values(byStatus), "quantity")} units`],
+      ["Expiring cargo", String(expiring.length)],
+      ["Trips", String(trips.length)],
+      ["Distance / fuel", fuel ? `${fuel.km} km / ${fuel.litres} L` : "-"],
+      ["Fuel cost", formatMoney(fuel?.cost ?? 0)],
+      ["Exceptions", String(exceptions.length)],
+    ],
+    sections: [
+      { id: "receipts", title: "Receipts", rows: receipts, columns: [["date_in", "Date In", "date"], ["cargo_id", "Cargo ID"], ["indent_number", "Indent #"], ["quantity", "Qty"], ["weight_kg", "Weight (kg)"], ["vehicle_reg", "Vehicle"], ["driver_name", "Driver"], ["location", "Bin"]] },
+      { id: "dispatches", title: "Dispatches", rows: dispatches, columns: [["date_dispatched", "Dispatched", "date"], ["container_no", "Container #"], ["cargo_id", "Cargo ID"], ["qty_packed", "Qty"], ["total_weight_kg", "Weight (kg)"], ["seals", "Seals"], ["truck_reg", "Truck"], ["driver_name", "Driver"]] },
+      { id: "closing_stock", title: "Closing Stock by Status", rows: Object.values(byStatus), columns: [["status", "Status"], ["lines", "Cargo Lines"], ["quantity", "Qty"], ["weight_kg", "Weight (kg)"]] },
+      { id: "expiring", title: "Expiring Cargo", rows: expiring, columns: [["cargo_id", "Cargo ID"], ["indent_number", "Indent #"], ["expiry_date", "Expiry", "day"], ["days_left", "Days Left"], ["on_hand", "On Hand"]] },
+      { id: "trips", title: "Trips and Fuel", rows: trips, columns: [["vehicle_reg", "Vehicle"], ["driver_name", "Driver"], ["container_no", "Container #"], ["trip_status", "Status"], ["start_time", "Start", "date"], ["distance_km", "km"], ["fuel_used_l", "Fuel (L)"], ["l_per_100km", "L/100 km"]] },
+      { id: "exceptions", title: "Exceptions", rows: exceptions, columns: [["at", "When", "date"], ["type", "Type"], ["reference", "Reference"], ["detail", "Detail"]] },
+    ],
+  };
+}
+
+const reportCell = (v, format) => (v == null || v === "" ? "-" : format === "date" ? formatDate(v) : format === "day" ? formatDay(v) : String(v));
+const reportRange = (r) => `${formatDate(r.from)} to ${formatDate(r.to)}`;
+
+// Self-contained HTML: inline styles only, so the file opens and prints anywhere.
+function opsReportHTML(r) {
+  const esc = (s) => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+  const table = (s) => !s.rows.length ? "<p class=\"none\">None</p>" : `<table><thead><tr>${s.columns.map(([, h]) => `<th>${esc(h)}</th>`).join("")}</tr></thead><tbody>${s.rows.map(row => `<tr>${s.columns.map(([k, , f]) => `<td>${esc(reportCell(row[k], f))}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${esc(r.title)} ${esc(r.number)}</title><style>
+    body { font-family: Inter, Helvetica, Arial, sans-serif; color: #111; margin: 32px; }
+    h1 { color: ${ACCENT}; font-size: 22px; margin: 0; }
+    h2 { font-size: 15px; margin: 28px 0 8px; border-bottom: 2px solid ${ACCENT}; padding-bottom: 4px; }
+    .meta { color: #555; font-size: 12px; margin: 4px 0 16px; }
+    .kpis { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; }
+    .kpi { border: 1px solid #ddd; border-radius: 8px; padding: 8px 10px; }
+    .kpi div:first-child { color: #666; font-size: 11px; } .kpi div:last-child { font-weight: 600; font-size: 15px; }
+    table { width: 100%; border-collapse: collapse; font-size: 12px; }
+    th { text-align: left; background: #F5F6F7; } th, td { padding: 4px 6px; border-bottom: 1px solid #eee; }
+    .none { color: #777; font-size: 12px; }
+    @media print { body { margin: 12mm; } h2 { break-after: avoid; } }
+  </style></head><body>
+    <h1>${esc(r.title)}</h1>
+    <div class="meta">${esc(r.number)} · ${esc(reportRange(r))} · generated ${esc(formatDate(r.generated_at))} by ${esc(r.generated_by)}${r.scheduled ? " (scheduled)" : ""}</div>
+    <div class="kpis">${r.summary.map(([k, v]) => `<div class="kpi"><div>${esc(k)}</div><div>${esc(v)}</div></div>`).join("")}</div>
+    ${r.sections.map(s => `<h2>${esc(s.title)} (${s.rows.length})</h2>${table(s)}`).join("\n")}
+  </body></html>`;
+}
+
+// A4 pages for pdfFromPages/printPages; long tables continue on the next page.
+function opsReportPages(r) {
+  const pages = [];
+  let page, y;
+  const newPage = () => {
+    page = pageBuilder();
+    pages.push(page.items);
+    page.text(40, 50, "Curiata CargoOps", 12, true).text(330, 50, `${r.title} ${r.number}`, 10, true).text(330, 64, reportRange(r), 8).line(40, 72, 555, 72, 1);
+    y = 100;
+  };
+  newPage();
+  y = docFields(page, y, r.summary) + 10;
+  r.sections.forEach((s) => {
+    const width = 510 / s.columns.length;
+    const cols = s.columns.map(([, header], j) => ({ header, x: 45 + j * width }));
+    // one line per cell, so every row is 18 pt and the page breaks below stay exact
+    const fit = (v) => fitCell(v, width - 5);
+    if (y > A4.height - 140) newPage();
+    page.text(40, y + 10, `${s.title} (${s.rows.length})`, 12, true);
+    y += 35;
+    if (!s.rows.length) { page.text(45, y, "None", 10); y += 25; return; }
+    let rows = s.rows.map(row => s.columns.map(([k, , f]) => fit(reportCell(row[k], f))));
+    while (rows.length) {
+      const room = Math.max(1, Math.floor((A4.height - 60 - y - 20) / 18));
+      y = docTable(page, y, cols, rows.slice(0, room)) + 20;
+      rows = rows.slice(room);
+      if (rows.length) { newPage(); y += 13; }
+    }
+  });
+  pages.forEach((items, i) => items.push({ type: "text", x: 490, y: 815, text: `Page ${i + 1} of ${pages.length}`, size: 8, bold: false }));
+  return pages;
+}
+
+// Adds a report to the history, newest first, dropping the oldest past REPORT_HISTORY_LIMIT.
+const withReport = (db, report) => ({ ...db, reports: [report, ...(db.reports || [])].slice(0, REPORT_HISTORY_LIMIT) });
+
+// ---- Alerts ----
+// Alerts are derived, not stored: each rule turns the current data into alerts with stable ids, so
+// the same condition raises the same alert on every run. Only what users did about an alert is
+// stored, in db.alert_state[id] = { acknowledged_at, acknowledged_by, snoozed_until }. Admins set
+// thresholds in db.alert_settings.
+const DEFAULT_ALERT_SETTINGS = { expiry_days: 7, inspection_grace_days: 0, dispatch_inspections: true, vehicle_doc_days: 30, driver_doc_days: 30 };
+
+const alertSettings = (db) => ({ ...DEFAULT_ALERT_SETTINGS, ...(db.alert_settings || {}) });
+
+// Licence-style expiry dates on master records. `docs` is [[field, label], ...]; `who` names the record.
+function documentExpiryAlerts(rule, records, docs, who, withinDays, route, now) {
+  return records.flatMap(rec => docs
+    .filter(([key]) => rec[key])
+    .map(([key, label]) => ({ key, label, days: Math.ceil((new Date(rec[key]) - now) / DAY_MS) }))
+    .filter(({ days }) => days <= withinDays)
+    .map(({ key, label, days }) => ({
+      id: `${rule}:${rec.id}:${key}:${dayKey(rec[key])}`,
+      severity: days <= 0 ? "critical" : "warning",
+      title: days <= 0 ? `${label} for ${who(rec)} has expired` : `${label} for ${who(rec)} expires in ${days} day${days === 1 ? "" : "s"}`,
+      detail: `Expiry ${formatDay(rec[key])}`,
+      route,
+      at: rec[key],
+    })));
+}
+
+const ALERT_RULES = [
+  {
+    id: "expiry",
+    label: "Cargo expiring",
+    evaluate: (db, settings, now) => {
+      const onHand = new Set(inventoryRows(db).filter(i => i.quantity > 0).map(i => i.cargo_id));
+      return db.warehouse_receipts
+        .filter(r => !r.voided && r.expiry_date && onHand.has(r.cargo_id))
+        .map(r => ({ r, days: Math.ceil((new Date(r.expiry_date) - now) / DAY_MS) }))
+        .filter(({ days }) => days <= settings.expiry_days)
+        .map(({ r, days }) => ({
+          id: `expiry:${r.id}`,
+          severity: days <= 0 ? "critical" : "warning",
+          title: days <= 0 ? `${r.cargo_id} has expired` : `${r.cargo_id} expires in ${days} day${days === 1 ? "" : "s"}`,
+          detail: `Receipt ${r.indent_number} · expiry ${formatDay(r.expiry_date)}`,
+          route: "/inventory",
+          at: r.expiry_date,
+        }));
+    },
+  },
+  {
+    id: "inspection",
+    label: "Inspection past due",
+    evaluate: (db, settings, now) => {
+      const onHand = new Set(inventoryRows(db).filter(i => i.quantity > 0).map(i => i.cargo_id));
+      return db.warehouse_receipts
+        .filter(r => !r.voided && r.inspection_date && onHand.has(r.cargo_id))
+        .filter(r => new Date(addDays(r.inspection_date, settings.inspection_grace_days)) < now)
+        .map(r => ({
+          id: `inspection:${r.id}`,
+          severity: "warning",
+          title: `Inspection overdue for ${r.cargo_id}`,
+          detail: `Receipt ${r.indent_number} · due ${formatDay(r.inspection_date)}`,
+          route: "/receipt",
+          at: r.inspection_date,
+        }));
+    },
+  },
+  {
+    id: "dispatch_inspection",
+    label: "Dispatch without inspections",
+    evaluate: (db, settings) => !settings.dispatch_inspections ? [] : db.dispatches
+      .filter(d => !d.inspections_completed && isOpenDispatch(db, d))
+      .map(d => ({
+        id: `dispatch_inspection:${d.id}`,
+        severity: "critical",
+        title: `Dispatch ${d.container_no} has no completed inspections`,
+        detail: `${d.cargo_id} · ${d.qty_packed} units · ${formatDate(d.date_dispatched)}`,
+        route: "/dispatch",
+        at: d.date_dispatched,
+      })),
+  },
+  {
+    id: "vehicle_docs",
+    label: "Vehicle licence / roadworthy expiring",
+    evaluate: (db, settings, now) => documentExpiryAlerts("vehicle_docs", activeVehicles(db), [["licence_disc_expiry", "Licence disc"], ["roadworthy_expiry", "Roadworthy"]], v => v.vehicle_reg, settings.vehicle_doc_days, "/vehicles", now),
+  },
+  {
+    id: "driver_docs",
+    label: "Driver licence / PrDP expiring",
+    evaluate: (db, settings, now) => documentExpiryAlerts("driver_docs", activeDrivers(db), [["licence_expiry", "Driving licence"], ["prdp_expiry", "PrDP"]], d => d.name, settings.driver_doc_days, "/drivers", now),
+  },
+];
+
+function evaluateAlerts(db, now = new Date()) {
+  const settings = alertSettings(db);
+  return ALERT_RULES.flatMap(rule => rule.evaluate(db, settings, now).map(a => ({ ...a, rule: rule.id })))
+    .sort((a, b) => (a.severity === b.severity ? new Date(a.at) - new Date(b.at) : a.severity === "critical" ? -1 : 1));
+}
+
+// Alerts nobody has acknowledged and that are not snoozed right now.
+function activeAlerts(db, now = new Date()) {
+  const state = db.alert_state || {};
+  return evaluateAlerts(db, now).filter((a) => {
+    const s = state[a.id];
+    return !s?.acknowledged_at && !(s?.snoozed_until && new Date(s.snoozed_until) > now);
+  });
+}
+
+// ---- Fleet analytics ----
+// Consumption is only meaningful with distance, so everything here works from trips that logged
+// both. A trip is an anomaly when its L/100 km is more than anomaly_pct away from the median of
+// the same vehicle's other trips: far above suggests siphoning, far below a logging error.
+const DEFAULT_FLEET_SETTINGS = { fuel_price_per_l: 22.5, anomaly_pct: 35, max_daily_hours: 12, max_weekly_hours: 60 };
+const ANOMALY_MIN_BASELINE_TRIPS = 3;
+
+const fleetSettings = (db) => ({ ...DEFAULT_FLEET_SETTINGS, ...(db.fleet_settings || {}) });
+const measuredTrips = (trips) => trips.filter(t => !t.demo && Number(t.distance_km) > 0 && Number(t.fuel_used_l) > 0);
+const per100km = (litres, km) => (km > 0 ? round1(litres / km * 100) : null);
+const formatMoney = (n) => (n == null ? "—" : `R ${Number(n).toFixed(2)}`);
+
+// Totals per value of `key` (e.g. vehicle_reg or driver_name), worst consumption first.
+function fuelStats(trips, key, price) {
+  const m = {};
+  measuredTrips(trips).forEach((t) => {
+    const s = m[t[key]] || (m[t[key]] = { id: t[key], [key]: t[key], trips: 0, km: 0, litres: 0 });
+    s.trips++;
+    s.km += Number(t.distance_km);
+    s.litres += Number(t.fuel_used_l);
+  });
+  return Object.values(m).map(s => ({
+    ...s,
+    km: round1(s.km),
+    litres: round1(s.litres),
+    l_per_100km: per100km(s.litres, s.km),
+    cost: Math.round(s.litres * price * 100) / 100,
+    cost_per_km: Math.round(s.litres * price / s.km * 100) / 100,
+  })).sort((a, b) => b.l_per_100km - a.l_per_100km);
+}
+
+// Fleet-wide consumption and cost per km for each day in the range.
+function fuelTrend(trips, range, price) {
+  const days = {};
+  for (let d = new Date(range.from); d <= range.to; d = new Date(addDays(d, 1))) days[dayKey(d)] = { date: dayKey(d), km: 0, litres: 0 };
+  measuredTrips(trips).forEach((t) => {
+    const day = days[dayKey(t.start_time)];
+    if (day) { day.km += Number(t.distance_km); day.litres += Number(t.fuel_used_l); }
+  });
+  return Object.values(days).map(d => ({ date: d.date, l_per_100km: per100km(d.litres, d.km), cost_per_km: d.km ? Math.round(d.litres * price / d.km * 100) / 100 : null }));
+}
+
+// Median of an ascending list with one occurrence of `skip` left out (nothing left out for null),
+// without copying the list.
+function medianWithout(sorted, skip) {
+  let i = -1;
+  if (skip != null) {
+    let lo = 0, hi = sorted.length;
+    while (lo < hi) { const mid = (lo + hi) >> 1; if (sorted[mid] < skip) lo = mid + 1; else hi = mid; }
+    if (sorted[lo] === skip) i = lo;
+  }
+  const n = sorted.length - (i < 0 ? 0 : 1);
+  if (!n) return null;
+  const at = (k) => sorted[i >= 0 && k >= i ? k + 1 : k];
+  return n % 2 ? at((n - 1) / 2) : (at(n / 2 - 1) + at(n / 2)) / 2;
+}
+
+const tripRate = (t) => t.fuel_used_l / t.distance_km * 100;
+
+// `baselineTrips` is the history to judge against (all of a vehicle's trips, not just the range).
+// Each vehicle's history is sorted once; a trip's baseline is that history's median without it.
+function fuelAnomalies(trips, baselineTrips, pct) {
+  const history = {};
+  measuredTrips(baselineTrips).forEach((o) => {
+    const h = history[o.vehicle_reg] || (history[o.vehicle_reg] = { ids: new Set(), rates: [] });
+    h.ids.add(o.id);
+    h.rates.push(tripRate(o));
+  });
+  Object.values(history).forEach(h => h.rates.sort((a, b) => a - b));
+  return measuredTrips(trips).flatMap((t) => {
+    const h = history[t.vehicle_reg];
+    const own = h?.ids.has(t.id) ? tripRate(t) : null;
+    if (!h || h.rates.length - (own == null ? 0 : 1) < ANOMALY_MIN_BASELINE_TRIPS) return [];
+    const baseline = round1(medianWithout(h.rates, own));
+    const actual = per100km(Number(t.fuel_used_l), Number(t.distance_km));
+    const deviation = Math.round((actual - baseline) / baseline * 100);
+    if (Math.abs(deviation) < pct) return [];
+    return [{ ...t, l_per_100km: actual, baseline, deviation, suspected: deviation > 0 ? "Possible siphoning" : "Possible logging error" }];
+  }).sort((a, b) => Math.abs(b.deviation) - Math.abs(a.deviation));
+}
+
+// ---- CSV import ----
+// Rows come back from parseCSV as strings; these coerce them to the shapes exportCSV wrote.
+const csvText = (v) => (v == null ? "" : String(v).trim());
+const csvNumber = (v) => (csvText(v) === "" ? NaN : Number(v));
+const csvBool = (v) => /^(true|yes|y|1)$/i.test(csvText(v));
+const csvDate = (v) => {
+  if (!csvText(v)) return null;
+  const d = new Date(v);
+  return isNaN(d) ? null : d.toISOString();
+};
+
+// The ledger is append-only, so quantities and weights must be checked before they are posted.
+const isPositive = (v) => v > 0;
+const RECEIPT_POSITIVE_FIELDS = ["quantity", "weight_kg", "total_qty"];
+
+function checkImportRow(row, { required, positive, dates }, seen) {
+  const errors = [];
+  required.forEach((k) => { if (row[k] === "" || row[k] == null) errors.push(`${k} is required`); });
+  positive.forEach((k) => { if (!isPositive(row[k])) errors.push(`${k} must be a positive number`); });
+  dates.forEach((k) => { if (!row[k]) errors.push(`${k} is not a valid date`); });
+  if (seen.has(row.id)) errors.push(`id ${row.id} already exists`);
+  seen.add(row.id);
+  return errors;
+}
+
+function importReceiptRows(raws, db) {
+  const seen = new Set(db.warehouse_receipts.map(r => r.id));
+  return raws.map((raw) => {
+    const quantity = csvNumber(raw.quantity);
+    const row = {
+      id: csvText(raw.id) || uid("rcpt"),
+      cargo_id: csvText(raw.cargo_id),
+      date_in: csvDate(raw.date_in),
+      indent_number: csvText(raw.indent_number),
+      quantity,
+      marks_numbers: csvText(raw.marks_numbers),
+      weight_kg: csvNumber(raw.weight_kg),
+      total_qty: csvText(raw.total_qty) ? csvNumber(raw.total_qty) : quantity,
+      vehicle_reg: csvText(raw.vehicle_reg),
+      driver_name: csvText(raw.driver_name),
+      expiry_date: csvDate(raw.expiry_date),
+      inspection_date: csvDate(raw.inspection_date),
+      comments: csvText(raw.comments),
+      label_printed: csvBool(raw.label_printed),
+      location_id: csvText(raw.location_id) || defaultBin(db),
+    };
+    const errors = checkImportRow(row, {
+      required: ["cargo_id", "indent_number", "vehicle_reg", "driver_name"],
+      positive: RECEIPT_POSITIVE_FIELDS,
+      dates: ["date_in", "expiry_date", "inspection_date"],
+    }, seen);
+    if (!activeBins(db).some(b => b.id === row.location_id)) errors.push(`location_id ${row.location_id} is not an active bin`);
+    if (row.vehicle_reg && !activeVehicles(db).some(v => v.vehicle_reg === row.vehicle_reg)) errors.push(`vehicle_reg ${row.vehicle_reg} is not an active vehicle`);
+    if (row.driver_name && !activeDrivers(db).some(d => d.name === row.driver_name)) errors.push(`driver_name ${row.driver_name} is not an active driver`);
+    return { row, errors };
+  });
+}
+
+function importDispatchRows(raws, db) {
+  const seen = new Set(db.dispatches.map(d => d.id));
+  const drawn = {};
+  const seals = [];
+  return raws.map((raw) => {
+    const row = {
+      id: csvText(raw.id) || uid("dsp"),
+      cargo_id: csvText(raw.cargo_id),
+      container_no: normalizeContainerNo(raw.container_no),
+      seal_no_1: csvText(raw.seal_no_1),
+      seal_no_2: csvText(raw.seal_no_2),
+      date_packed: csvDate(raw.date_packed),
+      date_dispatched: csvDate(raw.date_dispatched),
+      truck_reg: csvText(raw.truck_reg),
+      driver_name: csvText(raw.driver_name),
+      qty_packed: csvNumber(raw.qty_packed),
+      marks_numbers_packed: csvText(raw.marks_numbers_packed),
+      total_weight_kg: csvNumber(raw.total_weight_kg),
+      inspections_completed: csvBool(raw.inspections_completed),
+      // blank location: pick from the bin holding the most of this cargo
+      location_id: csvText(raw.location_id) || cargoLocations(db, csvText(raw.cargo_id))[0]?.location_id || null,
+    };
+    const errors = checkImportRow(row, {
+      required: ["cargo_id", "container_no", "seal_no_1", "seal_no_2", "truck_reg", "driver_name"],
+      positive: ["qty_packed", "total_weight_kg"],
+      dates: ["date_packed", "date_dispatched"],
+    }, seen);
+    errors.push(...Object.values(dispatchFieldErrors(db, row, seals)));
+    if (row.truck_reg && !activeVehicles(db).some(v => v.vehicle_reg === row.truck_reg)) errors.push(`truck_reg ${row.truck_reg} is not an active vehicle`);
+    if (row.driver_name && !activeDrivers(db).some(d => d.name === row.driver_name)) errors.push(`driver_name ${row.driver_name} is not an active driver`);
+    seals.push(row.seal_no_1, row.seal_no_2);
+    if (!errors.length) {
+      // earlier rows in the same file draw down the stock available to later ones
+      const a = availableStock(db, row.cargo_id, null, row.location_id);
+      const key = `${row.cargo_id}@${row.location_id}`;
+      const used = drawn[key] || (drawn[key] = { quantity: 0, weight_kg: 0 });
+      const err = ledgerFor(db, row.cargo_id).length
+        ? stockShortfall(row, { quantity: a.quantity - used.quantity, weight_kg: round1(a.weight_kg - used.weight_kg) }, `in ${locationLabel(db, row.location_id)}`)
+        : `Cargo ${row.cargo_id} is not in inventory`;
+      const entry = openCustomsEntry(db, row.cargo_id);
+      const claimed = entry ? drawn[entry.id] || (drawn[entry.id] = { quantity: 0, bonded: 0 }) : undefined;
+      const bondErr = err ? null : customsDispatchError(db, row, null, claimed);
+      if (err || bondErr) errors.push(err || bondErr);
+      else {
+        used.quantity += row.qty_packed;
+        used.weight_kg += row.total_weight_kg;
+        if (entry) {
+          row.customs_entry_id = entry.id;
+          row.customs_qty = bondedShare(db, row, entry, null, claimed);
+          claimed.quantity += row.qty_packed;
+          claimed.bonded += row.customs_qty;
+        }
+      }
+    }
+    return { row, errors };
+  });
+}
+
+// PWA manifest injection
+function ensureManifest() {
+  const link = document.querySelector('link[rel="manifest"]');
+  if (link) return;
+  const manifest = {
+    name: "Curiata CargoOps",
+    short_name: "CargoOps",
+    start_url: "./index.html#\\/login",
+    display: "standalone",
+    background_color: "#FFFFFF",
+    theme_color: ACCENT,
+    icons: [],
+  };
+  const blob = new Blob([JSON.stringify(manifest)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const l = document.createElement("link");
+  l.rel = "manifest"; l.href = url; document.head.appendChild(l);
+}
+
+// Hash Router
+// The route is the hash up to any "?"; the query after it carries drill-down filters.
+const currentRoute = () => (location.hash.slice(1) || "/login").split("?")[0];
+
+function useHashRoute() {
+  const [route, setRoute] = useState(currentRoute());
+  useEffect(() => {
+    const h = () => setRoute(currentRoute());
+    window.addEventListener("hashchange", h);
+    return () => window.removeEventListener("hashchange", h);
+  }, []);
+  return [route, (r) => (location.hash = `#${r}`)];
+}
+
+// Filters passed in the hash, e.g. #/inventory?status=Bonded from a dashboard drill-down.
+const routeQuery = () => new URLSearchParams(location.hash.split("?")[1] || "");
+
+// Drops the query once a page has cleared the filter it carried, without a hashchange.
+const clearRouteQuery = () => history.replaceState(null, "", `#${currentRoute()}`);
+
+// Permission guard
+function Guard({ perm, children }) {
+  const auth = getAuth();
+  if (!auth) {
+    location.hash = "#/login";
+    return null;
+  }
+  const expired = sessionExpiry(auth);
+  if (expired) {
+    signOut(expired);
+    return null;
+  }
+  if (auth.mustChangePassword) {
+    location.hash = "#/change-password";
+    return null;
+  }
+  if (!can(perm, auth)) {
+    return (
+      <div className="p-8 text-center text-red-700">Access denied for role <b>{auth.role}</b>.</div>
+    );
+  }
+  return children;
+}
+
+// Layout components
+function Sidebar({ routeTo }) {
+  const [route] = useHashRoute();
+  const items = [
+    { to: "/dashboard", label: "Dashboard", perm: "dashboard.view" },
+    { to: "/receipt", label: "Stock Receipt", perm: "receipt.view" },
+    { to: "/dispatch", label: "Stock Dispatch", perm: "dispatch.view" },
+    { to: "/inventory", label: "Inventory", perm: "inventory.view" },
+    { to: "/locations", label: "Locations", perm: "inventory.view" },
+    { to: "/trace", label: "Traceability", perm: "inventory.view" },
+    { to: "/customs", label: "Customs", perm: "customs.view" },
+    { to: "/transport", label: "Transport Log", perm: "transport.view" },
+    { to: "/vehicles", label: "Vehicles", perm: "transport.view" },
+    { to: "/drivers", label: "Drivers", perm: "transport.view" },
+    { to: "/fleet", label: "Fleet Analytics", perm: "transport.view" },
+    { to: "/reports", label: "Reports", perm: "report.view" },
+    { to: "/users", label: "Users", perm: "user.view" },
+    { to: "/audit", label: "Audit Log", perm: "audit.view" },
+    { to: "/settings", label: "Settings", perm: "settings.manage" },
+  ];
+  const auth = getAuth();
+  const granted = rolePermissions(auth?.role);
+  return (
+    <aside className="w-64 border-r border-gray-200 h-screen sticky top-0 hidden md:flex flex-col">
+      <div className="h-16 flex items-center gap-2 px-4" style={{ borderBottom: "1px solid #eee" }}>
+        <div className="w-6 h-6 rounded bg-[var(--accent)]" />
+        <div className="font-semibold">Curiata CargoOps</div>
+      </div>
+      <nav className="flex-1 p-2">
+        {items.map((it) => {
+          if (!granted.has(it.perm)) return null;
+          const active = route === it.to;
+          return (
+            <button key={it.to} onClick={() => routeTo(it.to)}
+              className={`w-full text-left px-3 py-2 rounded-lg mb-1 hover:bg-[var(--accent-light)]/10 ${active ? "bg-[var(--accent)]/10 border-l-4 border-[var(--accent)]" : ""}`}>{it.label}</button>
+          );
+        })}
+      </nav>
+      <div className="p-3 text-xs text-gray-500">v0.1 demo</div>
+    </aside>
+  );
+}
+
+function HeaderBar() {
+  const auth = getAuth();
+  return (
+    <header className="h-16 w-full flex items-center justify-between px-4 border-b border-gray-200 sticky top-0 bg-white z-40">
+      <div className="md:hidden flex items-center gap-2">
+        <div className="w-6 h-6 rounded bg-[var(--accent)]" />
+        <div className="font-semibold">CargoOps</div>
+      </div>
+      <div className="flex-1"></div>
+      <div className="flex items-center gap-3">
+        <ScanModeToggle />
+        <AlertBell />
+        <span className="text-sm text-gray-600">{auth?.email} · {auth?.role}</span>
+        <div className="w-8 h-8 rounded-full bg-[var(--accent)]/10 flex items-center justify-center text-[var(--accent)] font-bold">{auth?.email?.[0]?.toUpperCase()}</div>
+        <button onClick={() => signOut()} className="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 text-sm">Sign out</button>
+      </div>
+    </header>
+  );
+}
+
+function ScanModeToggle() {
+  const [on, toggle] = useScanMode();
+  return (
+    <button onClick={toggle} title="Detect keyboard-wedge barcode scanners" className={`px-3 py-1 rounded-lg text-sm border ${on ? "bg-[var(--accent)] text-white border-[var(--accent)]" : "bg-white hover:bg-gray-50"}`}>
+      Scan {on ? "on" : "off"}
+    </button>
+  );
+}
+
+// App-wide scan handling: a cargo code opens its movement history, a container number its
+// dispatch record. It has the lowest priority, so pages and drawers that take scans themselves
+// (TracePage, DispatchDrawer) win while they are open.
+function ScanLookup() {
+  const [scanMode] = useScanMode();
+  const [found, setFound] = useState(null);
+  const { push, node } = useToasts();
+
+  useScanner((code) => {
+    const hit = scanLookup(getDB(), code);
+    const allowed = hit && can(hit.type === "dispatch" ? "dispatch.view" : "inventory.view");
+    scanBeep(!!allowed);
+    if (!hit) { push(`No cargo or container matches ${code}`); return; }
+    if (!allowed) { push(`You do not have access to ${code}`); return; }
+    setFound(hit);
+  }, scanMode, SCAN_PRIORITY.global);
+
+  return (
+    <>
+      {node}
+      {found?.type === "cargo" && <MovementDrawer key={found.cargo_id} cargo={{ cargo_id: found.cargo_id }} onClose={()=> setFound(null)} />}
+      {found?.type === "dispatch" && <DispatchRecordDrawer key={found.dispatch.id} dispatch={found.dispatch} onClose={()=> setFound(null)} />}
+    </>
+  );
+}
+
+// Generates the scheduled operations reports due on the first sign-in after the cutoff.
+function ReportScheduler() {
+  const { push, node } = useToasts();
+  useEffect(() => {
+    const db = getDB();
+    const periods = dueReportPeriods(db);
+    if (!periods.length) return;
+    const reports = periods.map(period => buildOpsReport(db, period, { by: getAuth()?.email, scheduled: true }));
+    const first = reports[0], last = reports[reports.length - 1];
+    setDB(reports.reduce(withReport, db), { note: reports.length > 1 ? `Scheduled reports ${first.number}–${last.number}` : `Scheduled report ${first.number}` });
+    if (can("report.view")) push(reports.length > 1 ? `${reports.length} scheduled reports are ready under Reports` : `${first.title} ${first.number} is ready under Reports`);
+  }, []);
+  return node;
+}
+
+// Re-evaluates the alert rules on mount and every AUTO_REFRESH_MS (with the inventory refresh)
+// against freshly loaded data.
+function AlertBell() {
+  const [db, setDbState] = useState(getDB);
+  const [open, setOpen] = useState(false);
+  const [, navigate] = useHashRoute();
+  const canManage = can("alert.manage");
+
+  useEffect(() => {
+    const h = setInterval(() => reloadDB().then(setDbState), AUTO_REFRESH_MS);
+    return () => clearInterval(h);
+  }, []);
+
+  const alerts = activeAlerts(db);
+
+  function update(alert, patch) {
+    const next = getDB();
+    next.alert_state = { ...next.alert_state, [alert.id]: { ...(next.alert_state?.[alert.id] || {}), ...patch } };
+    setDB(next, { note: `Alert ${alert.id}` });
+    setDbState(next);
+  }
+  const acknowledge = (a) => update(a, { acknowledged_at: new Date().toISOString(), acknowledged_by: getAuth()?.email });
+  const snooze = (a, hours) => update(a, { snoozed_until: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(), snoozed_by: getAuth()?.email });
+
+  return (
+    <div className="relative">
+      <button onClick={() => { setOpen(o => !o); if (!open) setDbState(getDB()); }} className="relative w-8 h-8 rounded-full hover:bg-gray-100 flex items-center justify-center" aria-label="Alerts">
+        <span>🔔</span>
+        {alerts.length > 0 && <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs flex items-center justify-center">{alerts.length > 99 ? "99+" : alerts.length}</span>}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 max-h-[70vh] overflow-auto bg-white border border-gray-200 rounded-2xl shadow-lg z-50">
+          <div className="flex items-center justify-between p-3 border-b">
+            <div className="font-semibold">Alerts</div>
+            <button onClick={() => setOpen(false)} className="text-gray-500">✕</button>
+          </div>
+          {alerts.length === 0 && <div className="p-4 text-sm text-gray-500">Nothing needs attention.</div>}
+          {alerts.map(a => (
+            <div key={a.id} className="p-3 border-b last:border-b-0">
+              <div className="flex items-start gap-2">
+                <span className={`mt-1.5 w-2 h-2 rounded-full shrink-0 ${a.severity === "critical" ? "bg-red-600" : "bg-orange-500"}`} />
+                <div className="flex-1">
+                  <button onClick={() => { setOpen(false); navigate(a.route); }} className="text-sm font-medium text-left hover:text-[var(--accent)]">{a.title}</button>
+                  <div className="text-xs text-gray-500">{a.detail}</div>
+                  {canManage && (
+                    <div className="flex gap-3 mt-1 text-xs">
+                      <button onClick={() => acknowledge(a)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">Acknowledge</button>
+                      <button onClick={() => snooze(a, 4)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">Snooze 4h</button>
+                      <button onClick={() => snooze(a, 24)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">Snooze 1d</button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Shell({ children, routeTo }) {
+  const [storageError, setStorageError] = useState("");
+  useEffect(() => {
+    const h = (e) => setStorageError(e.detail);
+    window.addEventListener("cc-storage-error", h);
+    return () => window.removeEventListener("cc-storage-error", h);
+  }, []);
+
+  // Keep the session alive while the user is active, and end it on idle even if nothing re-renders.
+  useEffect(() => {
+    let last = 0;
+    const activity = () => {
+      if (Date.now() - last < 15000) return;
+      last = Date.now();
+      touchSession();
+    };
+    const check = setInterval(() => {
+      const a = getAuth();
+      const expired = a && sessionExpiry(a);
+      if (expired) signOut(expired);
+    }, 30000);
+    ["pointerdown", "keydown"].forEach(ev => window.addEventListener(ev, activity));
+    return () => {
+      clearInterval(check);
+      ["pointerdown", "keydown"].forEach(ev => window.removeEventListener(ev, activity));
+    };
+  }, []);
+
+  return (
+    <div className="min-h-screen bg-white text-gray-900" style={{ ['--accent']: ACCENT, ['--accent-light']: ACCENT_LIGHT }}>
+      {/* Font link */}
+      <link rel="preconnect" href="https://fonts.googleapis.com" />
+      <link rel="preconnect" href="https://fonts.gstatic.com" crossOrigin="anonymous" />
+      <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet" />
+      <div className="flex" style={{ fontFamily: 'Inter, ui-sans-serif, system-ui, -apple-system, "SF Pro", Segoe UI, Roboto' }}>
+        <Sidebar routeTo={routeTo} />
+        <main className="flex-1 min-h-screen">
+          <HeaderBar />
+          {storageError && (
+            <div className="no-print mx-4 mt-4 px-4 py-2 rounded-lg bg-red-50 text-red-700 text-sm flex justify-between">
+              <span>{storageError}</span>
+              <button onClick={() => setStorageError("")}>✕</button>
+            </div>
+          )}
+          <div className="p-4 md:p-6">{children}</div>
+          <ScanLookup />
+          <ReportScheduler />
+        </main>
+      </div>
+    </div>
+  );
+}
+
+// Reusable Table
+// onAdd/onImport are only offered when the signed-in role holds addPermission (if given).
+// onImport gets the parsed CSV rows, or (null, message) when the file could not be read.
+// Columns may declare `type` (text, number, date, enum, boolean), which drives sorting and the
+// per-column filters; undeclared columns are inferred from their first non-empty value. Drawer-
+// entered numbers are stored as strings, so numeric columns should declare `type: 'number'`.
+// Shift-click a header to add a secondary sort. Rows are paged so large logs stay responsive.
+const PAGE_SIZES = [25, 50, 100, 250];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function inferColumnType(rows, key) {
+  const v = rows.find(r => r[key] != null && r[key] !== "")?.[key];
+  if (typeof v === "boolean") return "boolean";
+  if (typeof v === "number") return "number";
+  if (typeof v === "string" && ISO_DATE.test(v)) return "date";
+  return "text";
+}
+
+// Comparable form of a cell: numbers and dates as numbers, text lower-cased, blanks as null.
+function typedValue(v, type) {
+  if (v == null || v === "") return null;
+  if (type === "number") { const n = Number(v); return Number.isNaN(n) ? null : n; }
+  if (type === "date") { const t = new Date(v).getTime(); return Number.isNaN(t) ? null : t; }
+  if (type === "boolean") return v ? 1 : 0;
+  return String(v).toLowerCase();
+}
+
+const textCollator = new Intl.Collator(undefined, { numeric: true });
+const compareTyped = (a, b) => (typeof a === "string" ? textCollator.compare(a, b) : a - b);
+
+function matchesFilter(v, type, f) {
+  if (type === "enum") return !f.values?.length || f.values.includes(String(v ?? ""));
+  if (type === "boolean") return !f.value || (f.value === "yes") === (v === 1);
+  if (type === "text") return !f.contains || (v ?? "").includes(f.contains.toLowerCase());
+  const min = f.min === "" || f.min == null ? null : typedValue(type === "date" ? `${f.min}T00:00:00` : f.min, type);
+  const max = f.max === "" || f.max == null ? null : typedValue(type === "date" ? `${f.max}T23:59:59.999` : f.max, type);
+  if (min == null && max == null) return true;
+  return v != null && (min == null || v >= min) && (max == null || v <= max);
+}
+
+// What an enum filter option shows, and what enum columns sort by: ids such as bins sort by name.
+const enumLabel = (column, v) => (column.optionLabel ? column.optionLabel(v) : v);
+
+const filterActive = (f) => !!f && Object.values(f).some(v => (Array.isArray(v) ? v.length : v !== "" && v != null));
+
+function ColumnFilter({ column, type, options, value = {}, onChange }) {
+  const input = "w-full px-2 py-1 border rounded text-xs font-normal";
+  if (type === "number" || type === "date") {
+    return (
+      <div className="flex gap-1 min-w-[8rem]">
+        {["min", "max"].map(k => (
+          <input key={k} type={type === "date" ? "date" : "number"} className={input} placeholder={k === "min" ? "From" : "To"} value={value[k] ?? ""} onChange={(e)=> onChange({ ...value, [k]: e.target.value })} />
+        ))}
+      </div>
+    );
+  }
+  if (type === "boolean") {
+    return (
+      <select className={input} value={value.value || ""} onChange={(e)=> onChange({ value: e.target.value })}>
+        <option value="">All</option>
+        <option value="yes">Yes</option>
+        <option value="no">No</option>
+      </select>
+    );
+  }
+  if (type === "enum") {
+    const chosen = value.values || [];
+    const toggle = (o) => onChange({ values: chosen.includes(o) ? chosen.filter(x => x !== o) : [...chosen, o] });
+    return (
+      <details className="relative">
+        <summary className={`${input} cursor-pointer list-none bg-white`}>{chosen.length ? `${chosen.length} selected` : "All"}</summary>
+        <div className="absolute z-10 mt-1 max-h-60 overflow-auto bg-white border rounded-lg shadow p-2 space-y-1 min-w-[10rem]">
+          {options.map(o => (
+            <label key={o} className="flex items-center gap-2 text-xs font-normal whitespace-nowrap">
+              <input type="checkbox" checked={chosen.includes(o)} onChange={()=> toggle(o)} /> {enumLabel(column, o) || "—"}
+            </label>
+          ))}
+        </div>
+      </details>
+    );
+  }
+  return <input className={input} placeholder="Contains…" value={value.contains || ""} onChange={(e)=> onChange({ contains: e.target.value })} />;
+}
+
+function DataTable({ rows, columns, title, filename, onAdd, onImport, addPermission, actions, initialSort }) {
+  const [query, setQuery] = useState("");
+  const fileRef = useRef(null);
+  const canAdd = !addPermission || can(addPermission);
+
+  async function pickFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    let raws;
+    try { raws = parseCSV(await readFileText(file)); } catch (err) { onImport(null, `Could not read ${file.name}: ${err.message}`); return; }
+    onImport(raws);
+  }
+  // initialSort=[] keeps the order the rows were passed in
+  const [sort, setSort] = useState(() => initialSort || (columns[0] ? [{ key: columns[0].key, dir: "asc" }] : []));
+  const [filters, setFilters] = useState({});
+  const [showFilters, setShowFilters] = useState(false);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[1]);
+
+  const types = useMemo(() => Object.fromEntries(columns.map(c => [c.key, c.type || inferColumnType(rows, c.key)])), [rows, columns]);
+  const enumOptions = useMemo(() => Object.fromEntries(columns.filter(c => types[c.key] === "enum").map(c => [
+    c.key, c.options || Array.from(new Set(rows.map(r => String(r[c.key] ?? "")))).sort((a, b) => textCollator.compare(enumLabel(c, a), enumLabel(c, b))),
+  ])), [rows, columns, types]);
+
+  // typed values are worked out once per row, not once per comparison; enums sort by their label
+  const prepared = useMemo(() => rows.map((row) => ({
+    row,
+    values: Object.fromEntries(columns.map(c => [c.key, types[c.key] === "enum" ? typedValue(enumLabel(c, row[c.key] ?? ""), "text") : typedValue(row[c.key], types[c.key])])),
+    text: columns.map(c => String(row[c.key] ?? "")).join("\u0000").toLowerCase(),
+  })), [rows, columns, types]);
+
+  const filtered = useMemo(() => {
+    const q = query.toLowerCase();
+    const active = Object.entries(filters).filter(([, f]) => filterActive(f));
+    const r = prepared.filter(p => (!q || p.text.includes(q)) && active.every(([key, f]) => matchesFilter(types[key] === "enum" ? p.row[key] : p.values[key], types[key], f)));
+    if (sort.length) {
+      r.sort((a, b) => {
+        for (const { key, dir } of sort) {
+          const av = a.values[key], bv = b.values[key];
+          if (av === bv) continue;
+          // blanks sort last either way
+          if (av == null) return 1;
+          if (bv == null) return -1;
+          return compareTyped(av, bv) * (dir === "asc" ? 1 : -1);
+        }
+        return 0;
+      });
+    }
+    return r.map(p => p.row);
+  }, [prepared, query, filters, sort, types]);
+
+  const pageCount = Math.max(1, Math.ceil(filtered.length / pageSize));
+  const current = Math.min(page, pageCount - 1);
+  const visible = filtered.slice(current * pageSize, (current + 1) * pageSize);
+  const activeFilters = Object.values(filters).filter(filterActive).length;
+
+  function sortBy(key, additive) {
+    setSort((s) => {
+      const existing = s.find(x => x.key === key);
+      if (!additive) return [{ key, dir: existing && s.length === 1 && existing.dir === "asc" ? "desc" : "asc" }];
+      if (!existing) return [...s, { key, dir: "asc" }];
+      // asc -> desc -> removed
+      return existing.dir === "asc" ? s.map(x => x.key === key ? { ...x, dir: "desc" } : x) : s.filter(x => x.key !== key);
+    });
+  }
+
+  function setFilter(key, value) {
+    setFilters(f => ({ ...f, [key]: value }));
+    setPage(0);
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between p-4">
+        <div className="font-semibold">{title}</div>
+        <div className="flex gap-2">
+          <input className="px-3 py-1.5 border rounded-lg text-sm" placeholder="Filter..." value={query} onChange={(e) => { setQuery(e.target.value); setPage(0); }} />
+          <button onClick={() => setShowFilters(v => !v)} className={`px-3 py-1.5 rounded-lg text-sm ${showFilters || activeFilters ? "bg-blue-50 text-[var(--accent)]" : "bg-gray-100 hover:bg-gray-200"}`}>Columns{activeFilters ? ` (${activeFilters})` : ""}</button>
+          <button onClick={() => exportCSV(filename || title, filtered)} className="px-3 py-1.5 rounded-lg text-sm bg-[var(--accent)] text-white hover:bg-[var(--accent-light)]">Export CSV</button>
+          {onImport && canAdd && (
+            <>
+              <input ref={fileRef} type="file" accept=".csv,text/csv" className="hidden" onChange={pickFile} />
+              <button onClick={() => fileRef.current?.click()} className="px-3 py-1.5 rounded-lg text-sm bg-gray-100 hover:bg-gray-200">Import CSV</button>
+            </>
+          )}
+          {onAdd && canAdd && (
+            <button onClick={onAdd} className="px-3 py-1.5 rounded-lg text-sm bg-gray-100 hover:bg-gray-200">New</button>
+          )}
+        </div>
+      </div>
       <div className="overflow-auto">
         <table className="w-full text-sm">
-          <thead>
-            <tr className="bg-gray-50">
-              {columns.map((c) => (
-                <th key={c.key} className="text-left px-3 py-2 cursor-pointer select-none" onClick={() => setSort((s) => ({ key: c.key, dir: s.dir === "asc" ? "desc" : "asc" }))}>
-                  <div className="flex items-center gap-1">
-                    <span>{c.header}</span>
-                    {sort.key === c.key && <span className="text-gray-400">{sort.dir === "asc" ? "▲" : "▼"}</span>}
+          <thead>
+            <tr className="bg-gray-50">
+              {columns.map((c) => {
+                const i = sort.findIndex(s => s.key === c.key);
+                return (
+                  <th key={c.key} className="text-left px-3 py-2 cursor-pointer select-none" title="Shift-click to add a secondary sort" onClick={(e) => sortBy(c.key, e.shiftKey)}>
+                    <div className="flex items-center gap-1">
+                      <span>{c.header}</span>
+                      {i >= 0 && <span className="text-gray-400">{sort[i].dir === "asc" ? "▲" : "▼"}{sort.length > 1 ? i + 1 : ""}</span>}
+                    </div>
+                  </th>
+                );
+              })}
+              {actions && <th className="px-3 py-2"/>}
+            </tr>
+            {showFilters && (
+              <tr className="bg-gray-50 align-top">
+                {columns.map((c) => (
+                  <th key={c.key} className="px-3 pb-2">
+                    <ColumnFilter column={c} type={types[c.key]} options={enumOptions[c.key]} value={filters[c.key]} onChange={(v)=> setFilter(c.key, v)} />
+                  </th>
+                ))}
+                {actions && (
+                  <th className="px-3 pb-2 text-right">
+                    {activeFilters > 0 && <button onClick={() => { setFilters({}); setPage(0); }} className="text-xs font-normal text-[var(--accent)] hover:text-[var(--accent-light)] whitespace-nowrap">Clear</button>}
+                  </th>
+                )}
+              </tr>
+            )}
+          </thead>
+          <tbody>
+            {visible.map((row, idx) => (
+              <tr key={row.id || idx} className={idx % 2 === 0 ? "bg-[var(--zebra-a)]" : "bg-[var(--zebra-b)]"} style={{ ['--zebra-a']: ZEBRA_A, ['--zebra-b']: ZEBRA_B }}>
+                {columns.map((c) => (
+                  <td key={c.key} className="px-3 py-2 whitespace-nowrap">{c.render ? c.render(row[c.key], row) : String(row[c.key])}</td>
+                ))}
+                {actions && <td className="px-3 py-2">{actions(row)}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {filtered.length > PAGE_SIZES[0] && (
+        <div className="flex items-center justify-between px-4 py-2 text-sm text-gray-600 border-t border-gray-100">
+          <div>
+            {current * pageSize + 1}–{Math.min(filtered.length, (current + 1) * pageSize)} of {filtered.length}{filtered.length !== rows.length ? ` (filtered from ${rows.length})` : ""}
+          </div>
+          <div className="flex items-center gap-2">
+            <select className="px-2 py-1 border rounded-lg" value={pageSize} onChange={(e) => { setPageSize(Number(e.target.value)); setPage(0); }}>
+              {PAGE_SIZES.map(n => <option key={n} value={n}>{n} / page</option>)}
+            </select>
+            <button disabled={current === 0} onClick={() => setPage(current - 1)} className="px-2 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50">‹ Prev</button>
+            <span>Page {current + 1} of {pageCount}</span>
+            <button disabled={current >= pageCount - 1} onClick={() => setPage(current + 1)} className="px-2 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50">Next ›</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// A file that could not be read shows up as a single failed row, so the preview still explains why.
+const importFailure = (message) => [{ row: {}, errors: [message] }];
+
+function ImportPreviewModal({ title, entries, columns, onClose, onApply }) {
+  const valid = entries.filter((e) => !e.errors.length);
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
+      <div className="w-full max-w-4xl max-h-[80vh] overflow-auto bg-white rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-semibold">Import Preview – {title}</div>
+          <button onClick={onClose} className="text-gray-500">✕</button>
+        </div>
+        <div className="text-sm text-gray-600 mb-3">
+          {entries.length} rows read · <span className="text-green-700">{valid.length} valid</span> · <span className="text-red-700">{entries.length - valid.length} with errors</span>
+        </div>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="bg-gray-50">
+              <th className="text-left px-3 py-2">Row</th>
+              {columns.map((c) => <th key={c.key} className="text-left px-3 py-2">{c.header}</th>)}
+              <th className="text-left px-3 py-2">Errors</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((e, i) => (
+              <tr key={i}>
+                <td className="px-3 py-2">{i + 2}</td>
+                {columns.map((c) => {
+                  const v = e.row[c.key];
+                  return <td key={c.key} className="px-3 py-2 whitespace-nowrap">{v == null || Number.isNaN(v) ? "—" : c.render ? c.render(v, e.row) : String(v)}</td>;
+                })}
+                <td className="px-3 py-2 text-red-700">{e.errors.join("; ") || <span className="text-green-700">OK</span>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="mt-3 flex justify-end gap-2">
+          <button onClick={onClose} className="px-3 py-2 rounded-lg bg-gray-100">Cancel</button>
+          <button disabled={!valid.length} onClick={() => onApply(valid.map((e) => e.row))} className="px-3 py-2 rounded-lg text-white disabled:opacity-50" style={{ background: ACCENT }}>Import {valid.length} valid rows</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Edit/Void buttons for the receipt and dispatch tables; voided rows show their reason instead.
+// Pass no handlers for read-only roles.
+function RecordActions({ row, onEdit, onVoid }) {
+  if (row.voided) {
+    return <span className="px-2 py-1 rounded text-xs bg-red-50 text-red-700" title={`Voided by ${row.voided_by || "unknown"} on ${formatDate(row.voided_at)}`}>Voided: {row.void_reason}</span>;
+  }
+  if (!onEdit && !onVoid) return null;
+  return (
+    <div className="flex gap-3">
+      {onEdit && <button onClick={onEdit} className="text-[var(--accent)] hover:text-[var(--accent-light)]">Edit</button>}
+      {onVoid && <button onClick={onVoid} className="text-red-600 hover:text-red-700">Void</button>}
+    </div>
+  );
+}
+
+// `error` explains why the record cannot be voided and blocks the confirmation.
+function VoidDialog({ label, error, onClose, onConfirm }) {
+  const [reason, setReason] = useState("");
+  function submit(e) { e.preventDefault(); if (!error) onConfirm(reason.trim()); }
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
+      <form onSubmit={submit} className="w-full max-w-md bg-white rounded-2xl p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="font-semibold">Void {label}</div>
+          <button type="button" onClick={onClose} className="text-gray-500">✕</button>
+        </div>
+        <div className="text-sm text-gray-600">The record stays in the table but its quantity and weight are reversed out of inventory.</div>
+        <div>
+          <label className="text-xs text-gray-600">Reason</label>
+          <textarea className="w-full px-3 py-2 border rounded-lg" value={reason} onChange={(e)=> setReason(e.target.value)} required />
+        </div>
+        {error && <div className="text-sm text-red-600">{error}</div>}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-3 py-2 rounded-lg bg-gray-100">Cancel</button>
+          <button disabled={!!error} className="px-3 py-2 rounded-lg text-white bg-red-600 hover:bg-red-700 disabled:opacity-50">Void Record</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// Shows the date filter a drill-down link applied to a table, with a way to drop it.
+function RangeFilterChip({ label, range, onClear }) {
+  return (
+    <div className="inline-flex items-center gap-2 px-3 py-1.5 rounded-lg bg-[var(--accent)]/10 text-sm">
+      <span>{label}: {rangeLabel(range)}</span>
+      <button onClick={onClear} className="text-gray-500 hover:text-gray-700">✕</button>
+    </div>
+  );
+}
+
+// Preview of a receipt label with ZPL/DPL output. onGenerated(format) fires once the label has
+// actually been printed, downloaded or copied, so label_printed is only set for real labels.
+function LabelModal({ rec, onClose, onGenerated }) {
+  const [format, setFormat] = useState("zpl");
+  const [copies, setCopies] = useState(1);
+  const [err, setErr] = useState("");
+  const code = receiptLabel(format, rec, copies);
+
+  async function generate(how) {
+    setErr("");
+    try {
+      if (how === "print") printReceiptLabels([rec], copies);
+      if (how === "copy") await navigator.clipboard.writeText(code);
+      if (how === "download") downloadBlob(`label_${rec.cargo_id}.${format}`, new Blob([code], { type: "text/plain" }));
+      onGenerated(how === "print" ? "html" : format);
+    } catch (e) {
+      setErr(e.message);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
+      <div className="w-full max-w-xl bg-white rounded-2xl p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="font-semibold">Receipt Label – {rec.cargo_id}</div>
+          <button onClick={onClose} className="text-gray-500">✕</button>
+        </div>
+        <div className="border rounded-lg p-3 w-[4in] max-w-full">
+          <div className="text-lg font-bold">{rec.cargo_id}</div>
+          <div className="text-sm">Indent: {rec.indent_number}</div>
+          <div className="text-sm">Marks: {rec.marks_numbers}</div>
+          <div className="text-sm">Qty: {rec.quantity} · Weight: {rec.weight_kg} kg</div>
+          <div className="mt-1" dangerouslySetInnerHTML={{ __html: code128Svg(labelText(rec.cargo_id), { module: 2, height: 56 }) }} />
+        </div>
+        <div className="flex items-end gap-3">
+          <div>
+            <label className="text-xs text-gray-600">Printer language</label>
+            <select className="w-full px-3 py-2 border rounded-lg" value={format} onChange={(e)=> setFormat(e.target.value)}>
+              {Object.entries(LABEL_FORMATS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+          </div>
+          <div className="w-24">
+            <label className="text-xs text-gray-600">Copies</label>
+            <input type="number" min="1" max="99" className="w-full px-3 py-2 border rounded-lg" value={copies} onChange={(e)=> setCopies(e.target.value)} />
+          </div>
+        </div>
+        <textarea readOnly className="w-full h-40 px-3 py-2 border rounded-lg font-mono text-xs" value={code.replace("\x02", "<STX>")} />
+        {err && <div className="text-sm text-red-600">{err}</div>}
+        <div className="flex justify-end gap-2">
+          <button onClick={()=> generate("copy")} className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200">Copy {format.toUpperCase()}</button>
+          <button onClick={()=> generate("download")} className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200">Download .{format}</button>
+          <button onClick={()=> generate("print")} className="px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Print</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Active vehicles; a retired vehicle already on the record stays selectable so edits don't lose it.
+function VehicleSelect({ db, value, onChange, required = true }) {
+  const options = activeVehicles(db);
+  const retired = value && !options.some(v => v.vehicle_reg === value);
+  return (
+    <select className="w-full px-3 py-2 border rounded-lg" value={value || ""} onChange={(e)=> onChange(e.target.value)} required={required}>
+      <option value="">Select vehicle…</option>
+      {retired && <option value={value}>{value} (retired)</option>}
+      {options.map(v => <option key={v.id} value={v.vehicle_reg}>{v.vehicle_reg}{v.type ? ` · ${v.type}` : ""}</option>)}
+    </select>
+  );
+}
+
+// Active drivers, keeping a retired driver already on the record.
+function DriverSelect({ db, value, onChange, required = true }) {
+  const options = activeDrivers(db);
+  const retired = value && !options.some(d => d.name === value);
+  return (
+    <select className="w-full px-3 py-2 border rounded-lg" value={value || ""} onChange={(e)=> onChange(e.target.value)} required={required}>
+      <option value="">Select driver…</option>
+      {retired && <option value={value}>{value} (retired)</option>}
+      {options.map(d => <option key={d.id} value={d.name}>{d.name}{d.licence_class ? ` · Code ${d.licence_class}` : ""}</option>)}
+    </select>
+  );
+}
+
+// Active bins grouped by warehouse.
+function BinSelect({ db, value, onChange, exclude, required = true }) {
+  const bins = activeBins(db).filter(b => b.id !== exclude);
+  return (
+    <select className="w-full px-3 py-2 border rounded-lg" value={value || ""} onChange={(e)=> onChange(e.target.value)} required={required}>
+      <option value="">Select bin…</option>
+      {db.warehouses.filter(w => bins.some(b => b.warehouse_id === w.id)).map(w => (
+        <optgroup key={w.id} label={`${w.code} – ${w.name}`}>
+          {bins.filter(b => b.warehouse_id === w.id).map(b => <option key={b.id} value={b.id}>{w.code} · {b.code}</option>)}
+        </optgroup>
+      ))}
+    </select>
+  );
+}
+
+// ----- Pages -----
+function LoginPage() {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [err, setErr] = useState(() => {
+    const reason = sessionStorage.getItem("cc_auth_reason") || "";
+    sessionStorage.removeItem("cc_auth_reason");
+    return reason;
+  });
+  const [busy, setBusy] = useState(false);
+  const { push, node } = useToasts();
+
+  async function doLogin(e) {
+    e.preventDefault();
+    setBusy(true);
+    await ensureHashedPasswords();
+    const db = getDB();
+    const user = db.users.find((u) => u.email === email);
+    const temp = db.temp_passwords?.[email];
+    setBusy(false);
+    if (user && await verifyPassword(password, db.passwords[email])) {
+      startSession(user, { mustChangePassword: !!user.mustChangePassword });
+      location.hash = user.mustChangePassword ? "#/change-password" : "#/dashboard";
+    } else if (user && temp && Date.now() < temp.expires_at && await verifyPassword(password, temp)) {
+      // temp passwords only grant a session that must set a new password
+      startSession(user, { mustChangePassword: true });
+      location.hash = "#/change-password";
+    } else if (user && temp && Date.now() >= temp.expires_at) {
+      setErr("Temporary password has expired. Request a new one.");
+    } else {
+      setErr("Invalid credentials");
+    }
+  }
+
+  async function forgot() {
+    const db = getDB();
+    const user = db.users.find((u) => u.email === email);
+    if (!user) { setErr("Email not found"); return; }
+    const temp = `Temp${rand(10000,99999)}!`;
+    await issueTempPassword(db, email, temp);
+    setDB(db, { actor: `anonymous (${email})`, note: "Forgot password: temp password issued" });
+    push(`Temporary password issued: ${temp}`);
+  }
+
+  useEffect(() => { ensureManifest(); }, []);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-white" style={{ ['--accent']: ACCENT, ['--accent-light']: ACCENT_LIGHT }}>
+      {node}
+      <div className="w-full max-w-sm border border-gray-200 rounded-2xl p-6 shadow-sm">
+        <div className="text-center mb-4">
+          <div className="w-10 h-10 mx-auto rounded bg-[var(--accent)]" />
+          <h1 className="mt-2 text-lg font-semibold">Sign in</h1>
+        </div>
+        <form onSubmit={doLogin} className="space-y-3">
+          <input type="email" placeholder="Email" className="w-full px-3 py-2 border rounded-lg" value={email} onChange={(e) => setEmail(e.target.value)} required />
+          <input type="password" placeholder="Password" className="w-full px-3 py-2 border rounded-lg" value={password} onChange={(e) => setPassword(e.target.value)} required />
+          {err && <div className="text-sm text-red-600">{err}</div>}
+          <button disabled={busy} className="w-full py-2 rounded-lg text-white disabled:opacity-50" style={{ background: ACCENT }}>{busy ? "Signing in…" : "Sign in"}</button>
+        </form>
+        <div className="mt-3 text-right text-sm">
+          <button className="text-[var(--accent)] hover:text-[var(--accent-light)]" onClick={forgot}>Forgot password?</button>
+        </div>
+        <div className="mt-4 text-xs text-gray-500">
+          Demo users:<br/>
+          admin@curiata.dev / admin123<br/>
+          supervisor@curiata.dev / super123<br/>
+          viewer@curiata.dev / view123
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ChangePasswordPage() {
+  const auth = getAuth();
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [err, setErr] = useState("");
+  const policy = passwordPolicyErrors(password, auth?.email);
+
+  const expired = auth && sessionExpiry(auth);
+  if (expired) {
+    signOut(expired);
+    return null;
+  }
+
+  async function submit(e) {
+    e.preventDefault();
+    if (policy.length) { setErr("Password does not meet the policy"); return; }
+    if (password !== confirm) { setErr("Passwords do not match"); return; }
+    const db = getDB();
+    if (await verifyPassword(password, db.temp_passwords?.[auth.email])) { setErr("Choose a password different from the temporary one"); return; }
+    const next = { ...db, passwords: { ...db.passwords, [auth.email]: await hashPassword(password) }, temp_passwords: { ...(db.temp_passwords || {}) } };
+    delete next.temp_passwords[auth.email];
+    next.users = next.users.map(u => u.email === auth.email ? { ...u, mustChangePassword: false } : u);
+    setDB(next, { note: "Password changed" });
+    setAuth({ ...auth, mustChangePassword: false, last_active: Date.now() });
+    location.hash = "#/dashboard";
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-white" style={{ ['--accent']: ACCENT, ['--accent-light']: ACCENT_LIGHT }}>
+      <div className="w-full max-w-sm border border-gray-200 rounded-2xl p-6 shadow-sm">
+        <div className="text-center mb-4">
+          <div className="w-10 h-10 mx-auto rounded bg-[var(--accent)]" />
+          <h1 className="mt-2 text-lg font-semibold">Set a new password</h1>
+          <div className="text-sm text-gray-500">{auth?.email}</div>
+        </div>
+        <form onSubmit={submit} className="space-y-3">
+          <input type="password" placeholder="New password" className="w-full px-3 py-2 border rounded-lg" value={password} onChange={(e) => setPassword(e.target.value)} required />
+          <input type="password" placeholder="Confirm new password" className="w-full px-3 py-2 border rounded-lg" value={confirm} onChange={(e) => setConfirm(e.target.value)} required />
+          <ul className="text-xs space-y-0.5">
+            {["At least 10 characters", "Upper- and lower-case letters", "At least one digit", "Must not contain your email name"].map(rule => (
+              <li key={rule} className={password && !policy.includes(rule) ? "text-green-700" : "text-gray-500"}>{password && !policy.includes(rule) ? "✓" : "•"} {rule}</li>
+            ))}
+          </ul>
+          {err && <div className="text-sm text-red-600">{err}</div>}
+          <button className="w-full py-2 rounded-lg text-white" style={{ background: ACCENT }}>Save password</button>
+        </form>
+        <div className="mt-3 text-right text-sm">
+          <button className="text-[var(--accent)] hover:text-[var(--accent-light)]" onClick={() => signOut()}>Cancel and sign out</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DashboardPage() {
+  return (
+    <Guard perm="dashboard.view">
+      <DashboardView />
+    </Guard>
+  );
+}
+
+function DashboardView() {
+  const [db] = useState(getDB);
+  const [, navigate] = useHashRoute();
+  const [preset, setPreset] = useState("30d");
+  const [custom, setCustom] = useState({ from: dayKey(addDays(new Date(), -6)), to: dayKey(new Date()) });
+  const [selectedDay, setSelectedDay] = useState(null);
+  const range = React.useMemo(() => presetRange(preset, custom), [preset, custom]);
+  const rangeQuery = `from=${dayKey(range.from)}&to=${dayKey(range.to)}`;
+
+  const warehouse_receipts = React.useMemo(() => db.warehouse_receipts.filter(r => !r.voided && inRange(r.date_in, range)), [db, range]);
+  const dispatches = React.useMemo(() => db.dispatches.filter(d => !d.voided && inRange(d.date_dispatched, range)), [db, range]);
+
+  // Stock as it stood at the end of the range. Statuses are today's, as the snapshot keeps no history.
+  const stock = React.useMemo(() => {
+    const totals = stockByCargo(db.inventory_ledger.filter(e => new Date(e.at) <= range.to));
+    const status = Object.fromEntries(inventoryRows(db).map(i => [i.cargo_id, i.status]));
+    return Object.values(totals).map(s => ({ ...s, status: s.quantity <= 0 ? "Dispatched" : status[s.cargo_id] === "Dispatched" ? "On Site" : status[s.cargo_id] || "On Site" }));
+  }, [db, range]);
+
+  const totals = React.useMemo(() => {
+    const onSite = stock.filter(i => i.status === "On Site").reduce((a, b) => a + (b.quantity || 0), 0);
+    return { receipts: warehouse_receipts.length, dispatches: dispatches.length, onSite };
+  }, [stock, warehouse_receipts, dispatches]);
+
+  const doughnutData = React.useMemo(() => {
+    const counts = {};
+    ["Bonded","FAK","On Site","In Transit","Dispatched"].forEach(k=>counts[k]=0);
+    stock.forEach(i => counts[i.status] = (counts[i.status]||0) + Math.max(0, i.quantity));
+    return Object.entries(counts).map(([name, value]) => ({ name, value }));
+  }, [stock]);
+
+  // every day in the range appears, so quiet days show as zero rather than being skipped
+  const dailyMovement = React.useMemo(() => {
+    const map = {};
+    for (let d = new Date(range.from); d <= range.to; d = new Date(addDays(d, 1))) map[dayKey(d)] = { date: dayKey(d), qty: 0, receipts: 0, dispatches: 0 };
+    warehouse_receipts.forEach(r => { const m = map[dayKey(r.date_in)]; if (m) { m.qty += Number(r.quantity); m.receipts++; } });
+    dispatches.forEach(d => { const m = map[dayKey(d.date_dispatched)]; if (m) { m.qty -= Number(d.qty_packed); m.dispatches++; } });
+    return Object.values(map);
+  }, [range, warehouse_receipts, dispatches]);
+
+  const fuelByVehicle = React.useMemo(() =>
+    fuelStats(liveTrips(db).filter(t => inRange(t.start_time, range)), "vehicle_reg", fleetSettings(db).fuel_price_per_l)
+      .map(s => ({ vehicle: s.vehicle_reg, l_per_100km: s.l_per_100km })),
+  [db, range]);
+
+  const day = selectedDay && dailyMovement.find(d => d.date === selectedDay);
+
+  function printPDF() {
+    window.print();
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold">Executive Dashboard</h2>
+        <button onClick={printPDF} className="no-print px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Download PDF Snapshot</button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {Object.entries(DATE_PRESETS).map(([k, label]) => (
+          <button key={k} onClick={()=> { setPreset(k); setSelectedDay(null); }} className={`no-print px-3 py-1.5 rounded-lg text-sm border ${preset===k? 'bg-[var(--accent)] text-white border-[var(--accent)]':'bg-white hover:bg-gray-50'}`}>{label}</button>
+        ))}
+        {preset === "custom" && (
+          <div className="no-print flex items-center gap-2 text-sm">
+            <input type="date" className="px-2 py-1 border rounded-lg" value={custom.from} max={custom.to} onChange={(e)=> setCustom(c=>({...c, from: e.target.value}))} />
+            <span>to</span>
+            <input type="date" className="px-2 py-1 border rounded-lg" value={custom.to} min={custom.from} onChange={(e)=> setCustom(c=>({...c, to: e.target.value}))} />
+          </div>
+        )}
+        <span className="text-sm text-gray-500 ml-2">{rangeLabel(range)}</span>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4">
+        <KPI title="On-Site at End of Range" value={totals.onSite} />
+        <KPI title="Receipts" value={totals.receipts} onClick={()=> navigate(`/receipt?${rangeQuery}`)} />
+        <KPI title="Dispatches" value={totals.dispatches} onClick={()=> navigate(`/dispatch?${rangeQuery}`)} />
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="bg-white rounded-2xl border border-gray-200 p-4">
+          <div className="font-semibold mb-2">Bonded vs FAK vs Other</div>
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <PieChart>
+                <Pie data={doughnutData} dataKey="value" nameKey="name" innerRadius={60} outerRadius={90} cursor="pointer" onClick={(slice)=> navigate(`/inventory?status=${encodeURIComponent(slice.payload?.name ?? slice.name)}`)}>
+                  {doughnutData.map((_, i) => <Cell key={i} />)}
+                </Pie>
+                <Tooltip />
+                <Legend />
+              </PieChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+        <div className="bg-white rounded-2xl border border-gray-200 p-4">
+          <div className="font-semibold mb-2">Daily Movement</div>
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={dailyMovement} onClick={(e)=> e?.activeLabel && setSelectedDay(e.activeLabel)} style={{ cursor: "pointer" }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="date" tick={{ fontSize: 12 }} tickFormatter={(v)=> formatDay(`${v}T00:00:00`)} />
+                <YAxis />
+                <Tooltip labelFormatter={(v)=> formatDay(`${v}T00:00:00`)} />
+                <Line type="monotone" dataKey="qty" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          {day && (
+            <div className="no-print flex items-center gap-3 text-sm mt-2">
+              <span className="text-gray-600">{formatDay(`${day.date}T00:00:00`)}:</span>
+              <button onClick={()=> navigate(`/receipt?from=${day.date}&to=${day.date}`)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">{day.receipts} receipts →</button>
+              <button onClick={()=> navigate(`/dispatch?from=${day.date}&to=${day.date}`)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">{day.dispatches} dispatches →</button>
+              <button onClick={()=> setSelectedDay(null)} className="ml-auto text-gray-500">✕</button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl border border-gray-200 p-4">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-semibold">Fuel Efficiency by Vehicle (L/100 km)</div>
+          <a href="#/fleet" className="no-print text-sm text-[var(--accent)] hover:text-[var(--accent-light)]">Fleet analytics →</a>
+        </div>
+        <div className="h-80">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={fuelByVehicle}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="vehicle" />
+              <YAxis />
+              <Tooltip />
+              <Bar dataKey="l_per_100km" name="L/100 km" cursor="pointer" onClick={(bar)=> navigate(`/transport?vehicle=${encodeURIComponent(bar.payload?.vehicle ?? bar.vehicle)}&${rangeQuery}`)} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <BondExpiryPanel db={db} />
+
+      <VehicleStatusCards />
+    </div>
+  );
+}
+
+// Bonded cargo whose bond period is about to run out; shared by the dashboard and Inventory page.
+function BondExpiryPanel({ db, hideEmpty }) {
+  const alerts = bondAlerts(db);
+  if (hideEmpty && !alerts.length) return null;
+  return (
+    <div className="bg-white rounded-2xl border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-semibold">Bonds Expiring (next {BOND_WARNING_DAYS} days)</div>
+        <a href="#/customs" className="text-sm text-[var(--accent)] hover:text-[var(--accent-light)]">Customs →</a>
+      </div>
+      {alerts.length === 0 ? <div className="text-sm text-gray-500">No bonded cargo is near its bond expiry.</div> : (
+        <table className="w-full text-sm">
+          <thead><tr className="bg-gray-50"><th className="text-left px-3 py-2">Cargo ID</th><th className="text-left px-3 py-2">Entry #</th><th className="text-left px-3 py-2">Expires</th><th className="text-left px-3 py-2">Days Left</th><th className="text-left px-3 py-2">Unreleased</th></tr></thead>
+          <tbody>
+            {alerts.map((e, i) => (
+              <tr key={e.id} className={i%2===0? 'bg-white':'bg-gray-50'}>
+                <td className="px-3 py-2">{e.cargo_id}</td>
+                <td className="px-3 py-2">{e.entry_no}</td>
+                <td className="px-3 py-2">{formatDay(e.expires_at)}</td>
+                <td className={`px-3 py-2 font-medium ${e.days_left <= 0 ? 'text-red-700' : e.days_left <= 7 ? 'text-orange-700' : ''}`}>{e.days_left <= 0 ? `Expired ${-e.days_left}d ago` : e.days_left}</td>
+                <td className="px-3 py-2">{bondBalance(db, e).unreleased}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function KPI({ title, value, onClick }) {
+  return (
+    <div onClick={onClick} className={`rounded-2xl border border-gray-200 bg-white p-4 ${onClick ? "cursor-pointer hover:border-[var(--accent)]" : ""}`}>
+      <div className="text-sm text-gray-500">{title}</div>
+      <div className="text-3xl font-semibold mt-1">{value}</div>
+    </div>
+  );
+}
+
+function VehicleStatusCards() {
+  const db = getDB();
+  const vehicles = activeVehicles(db).map(v => v.vehicle_reg);
+  const latestByVehicle = vehicles.map(v => {
+    const t = currentTrip(db, v);
+    return { vehicle_reg: v, status: t?.trip_status || "Idle", driver: t?.driver_name || "-" };
+  });
+  return (
+    <div className="grid md:grid-cols-4 gap-4">
+      {latestByVehicle.map((v) => (
+        <div key={v.vehicle_reg} className="rounded-2xl border border-gray-200 overflow-hidden">
+          <div className="px-4 py-2" style={{ background: ACCENT, color: 'white' }}>{v.vehicle_reg}</div>
+          <div className="p-4 text-sm flex justify-between">
+            <div>
+              <div className="text-gray-500">Driver</div>
+              <div className="font-medium">{v.driver}</div>
+            </div>
+            <div className={`px-2 h-fit rounded ${tripBadge[v.status]}`}>{v.status}</div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ReceiptPage() {
+  const [db, setDbState] = useState(getDB);
+  const [show, setShow] = useState(false);
+  const [importing, setImporting] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [voiding, setVoiding] = useState(null);
+  const [labelling, setLabelling] = useState(null);
+  const [range, setRange] = useState(() => queryRange(routeQuery()));
+  const { push, node } = useToasts();
+  const auth = getAuth();
+  const canEdit = can("receipt.edit", auth);
+  const canLabel = can("label.print", auth);
+
+  function save(newRec) {
+    const next = { ...db };
+    next.warehouse_receipts = [newRec, ...next.warehouse_receipts];
+    // upsert inventory snapshot
+    receiveIntoInventory(next, newRec);
+    setDB(next);
+    setDbState(next);
+    setShow(false);
+    push("Receipt saved");
+    if (canLabel) setLabelling(newRec);
+  }
+
+  function labelGenerated(rec, format) {
+    const next = { ...db };
+    const at = new Date().toISOString();
+    next.warehouse_receipts = next.warehouse_receipts.map(r => r.id === rec.id ? { ...r, label_printed: true, label_printed_at: at, label_format: format } : r);
+    setDB(next);
+    setDbState(next);
+    setLabelling(null);
+    push(`Label generated for ${rec.cargo_id}`);
+  }
+
+  function applyImport(recs) {
+    const next = { ...db };
+    next.warehouse_receipts = [...recs, ...next.warehouse_receipts];
+    recs.forEach((r) => receiveIntoInventory(next, r));
+    setDB(next);
+    setDbState(next);
+    setImporting(null);
+    push(`Imported ${recs.length} receipts`);
+  }
+
+  function update(rec) {
+    const original = db.warehouse_receipts.find(r => r.id === rec.id);
+    const err = receiptReversalError(db, original, rec);
+    if (err) { push(err); return; }
+    const next = { ...db };
+    reverseReceipt(next, original);
+    receiveIntoInventory(next, rec);
+    next.warehouse_receipts = next.warehouse_receipts.map(r => r.id === rec.id ? { ...rec, updated_at: new Date().toISOString(), updated_by: auth?.email } : r);
+    setDB(next);
+    setDbState(next);
+    setEditing(null);
+    push("Receipt updated");
+  }
+
+  function voidReceipt(rec, reason) {
+    const err = receiptReversalError(db, rec, null);
+    if (err) { push(err); return; }
+    const next = { ...db };
+    reverseReceipt(next, rec);
+    next.warehouse_receipts = next.warehouse_receipts.map(r => r.id === rec.id ? { ...r, voided: true, void_reason: reason, voided_at: new Date().toISOString(), voided_by: auth?.email } : r);
+    setDB(next);
+    setDbState(next);
+    setVoiding(null);
+    push("Receipt voided");
+  }
+
+  const rows = useMemo(() => db.warehouse_receipts.filter(r => inRange(r.date_in, range)), [db, range]);
+  const cols = useMemo(() => [
+    { key: 'date_in', header: 'Date In', type: 'date', render: (v)=> formatDate(v)},
+    { key: 'cargo_id', header: 'Cargo ID' },
+    { key: 'indent_number', header: 'Indent #' },
+    { key: 'quantity', header: 'Qty', type: 'number' },
+    { key: 'weight_kg', header: 'Weight (kg)', type: 'number' },
+    { key: 'vehicle_reg', header: 'Vehicle' },
+    { key: 'driver_name', header: 'Driver' },
+    { key: 'expiry_date', header: 'Expiry', type: 'date', render: (v)=> formatDay(v)},
+    { key: 'inspection_date', header: 'Inspection', type: 'date', render: (v)=> formatDay(v)},
+    { key: 'location_id', header: 'Bin', type: 'enum', optionLabel: (v)=> locationLabel(db, v), render: (v)=> locationLabel(db, v) },
+    { key: 'label_printed', header: 'Label', type: 'boolean', render: (v, row)=> v ? <span title={row.label_printed_at ? `Generated ${formatDate(row.label_printed_at)}` : undefined}>Yes</span> : 'No' },
+  ], [db]);
+
+  return (
+    <Guard perm="receipt.view">
+      <div className="space-y-3">
+        {node}
+        {range && <RangeFilterChip label="Received" range={range} onClear={()=> { setRange(null); clearRouteQuery(); }} />}
+        <DataTable title="Warehouse Receipts" filename="warehouse_receipts" rows={rows} columns={cols} addPermission="receipt.create" onAdd={() => setShow(true)} onImport={(raws, error) => setImporting(raws ? importReceiptRows(raws, db) : importFailure(error))} actions={(row)=> (
+          <div className="flex gap-3">
+            {canLabel && !row.voided && <button onClick={()=> setLabelling(row)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">{row.label_printed ? "Reprint" : "Label"}</button>}
+            <RecordActions row={row} onEdit={canEdit ? ()=> setEditing(row) : undefined} onVoid={canEdit ? ()=> setVoiding(row) : undefined} />
+          </div>
+        )} />
+        {labelling && <LabelModal rec={labelling} onClose={()=> setLabelling(null)} onGenerated={(format)=> labelGenerated(labelling, format)} />}
+        {show && <ReceiptDrawer onClose={()=>setShow(false)} onSave={save} />}
+        {editing && <ReceiptDrawer initial={editing} onClose={()=>setEditing(null)} onSave={update} />}
+        {voiding && <VoidDialog label={`receipt ${voiding.indent_number} (${voiding.cargo_id})`} error={receiptReversalError(db, voiding, null)} onClose={()=> setVoiding(null)} onConfirm={(reason)=> voidReceipt(voiding, reason)} />}
+        {importing && <ImportPreviewModal title="Warehouse Receipts" entries={importing} columns={cols} onClose={()=> setImporting(null)} onApply={applyImport} />}
+      </div>
+    </Guard>
+  );
+}
+
+function ReceiptDrawer({ initial, onClose, onSave }) {
+  const db = getDB();
+  const [form, setForm] = useState(initial || {
+    id: uid("rcpt"),
+    cargo_id: `CG-${rand(100,999)}`,
+    date_in: new Date().toISOString(),
+    indent_number: `${rand(10000, 99999)}`,
+    quantity: 10,
+    marks_numbers: "",
+    weight_kg: 100,
+    total_qty: 10,
+    vehicle_reg: "",
+    driver_name: "",
+    expiry_date: addDays(new Date(), 30),
+    inspection_date: new Date().toISOString(),
+    comments: "",
+    label_printed: false,
+    location_id: defaultBin(db),
+  });
+  const numbers = Object.fromEntries(RECEIPT_POSITIVE_FIELDS.map(k => [k, csvNumber(form[k])]));
+  const numberErrors = RECEIPT_POSITIVE_FIELDS.filter(k => !isPositive(numbers[k]));
+  const stockErr = initial && !numberErrors.length ? receiptReversalError(db, initial, { ...form, ...numbers }) : null;
+
+  function submit(e) {
+    e.preventDefault();
+    if (stockErr || numberErrors.length) return;
+    onSave({ ...form, ...numbers });
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex justify-end z-50">
+      <div className="w-full max-w-md bg-white h-full p-4 overflow-auto">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-semibold">{initial ? "Edit Receipt" : "New Receipt"}</div>
+          <button onClick={onClose} className="text-gray-500">✕</button>
+        </div>
+        <form onSubmit={submit} className="grid grid-cols-2 gap-3">
+          {Object.entries({
+            cargo_id: "Cargo ID", indent_number: "Indent #", quantity: "Quantity", marks_numbers: "Marks/Numbers", weight_kg: "Weight (kg)", total_qty: "Total Qty", comments: "Comments"
+          }).map(([key, label]) => (
+            <div key={key} className="col-span-2">
+              <label className="text-xs text-gray-600">{label}</label>
+              {RECEIPT_POSITIVE_FIELDS.includes(key) ? (
+                <input type="number" min="0" step={key === "weight_kg" ? "0.1" : "1"} className={`w-full px-3 py-2 border rounded-lg ${numberErrors.includes(key) ? 'border-red-500' : ''}`} value={form[key]} onChange={(e)=> setForm(f=>({...f,[key]: e.target.value}))} required />
+              ) : (
+                <input className="w-full px-3 py-2 border rounded-lg" value={form[key]} onChange={(e)=> setForm(f=>({...f,[key]: e.target.value}))} required={['comments','marks_numbers'].includes(key)?false:true} />
+              )}
+              {numberErrors.includes(key) && <div className="text-xs text-red-600 mt-1">{label} must be a positive number</div>}
+            </div>
+          ))}
+          <div>
+            <label className="text-xs text-gray-600">Date In</label>
+            <input type="datetime-local" className="w-full px-3 py-2 border rounded-lg" value={localDateTime(form.date_in)} onChange={(e)=> e.target.value && setForm(f=>({...f,date_in: new Date(e.target.value).toISOString()}))} />
+          </div>
+          <div className="col-span-2">
+            <label className="text-xs text-gray-600">Vehicle</label>
+            <VehicleSelect db={db} value={form.vehicle_reg} onChange={(vehicle_reg)=> setForm(f=>({...f, vehicle_reg}))} />
+          </div>
+          <div className="col-span-2">
+            <label className="text-xs text-gray-600">Driver</label>
+            <DriverSelect db={db} value={form.driver_name} onChange={(driver_name)=> setForm(f=>({...f, driver_name}))} />
+          </div>
+          <div className="col-span-2">
+            <label className="text-xs text-gray-600">Put-away Bin</label>
+            <BinSelect db={db} value={form.location_id} onChange={(location_id)=> setForm(f=>({...f, location_id}))} />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">Inspection Date</label>
+            <input type="date" className="w-full px-3 py-2 border rounded-lg" value={new Date(form.inspection_date).toISOString().slice(0,10)} onChange={(e)=> setForm(f=>({...f,inspection_date: new Date(e.target.value).toISOString()}))} />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">Expiry Date</label>
+            <input type="date" className="w-full px-3 py-2 border rounded-lg" value={new Date(form.expiry_date).toISOString().slice(0,10)} onChange={(e)=> setForm(f=>({...f,expiry_date: new Date(e.target.value).toISOString()}))} />
+          </div>
+          {stockErr && <div className="col-span-2 text-sm text-red-600">{stockErr}</div>}
+          <div className="flex items-center gap-2 mt-2 text-sm text-gray-600">
+            Label: {form.label_printed ? (form.label_printed_at ? `generated ${formatDate(form.label_printed_at)}` : "printed") : "not yet generated"}
+          </div>
+          <div className="col-span-2 mt-2 flex justify-end gap-2">
+            <button type="button" onClick={onClose} className="px-3 py-2 rounded-lg bg-gray-100">Cancel</button>
+            <button disabled={!!stockErr || numberErrors.length > 0} className="px-3 py-2 rounded-lg text-white disabled:opacity-50" style={{ background: ACCENT }}>{initial ? "Save Changes" : can("label.print") ? "Save & Print Label" : "Save Receipt"}</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function DispatchPage() {
+  const [db, setDbState] = useState(getDB);
+  const [show, setShow] = useState(false);
+  const [importing, setImporting] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [voiding, setVoiding] = useState(null);
+  const [documents, setDocuments] = useState(null);
+  const [range, setRange] = useState(() => queryRange(routeQuery()));
+  const { push, node } = useToasts();
+  const auth = getAuth();
+  const canEdit = can("dispatch.edit", auth);
+
+  function save(d) {
+    const err = dispatchStockError(db, d) || customsDispatchError(db, d) || Object.values(dispatchFieldErrors(db, d))[0];
+    if (err) { push(err); return; }
+    const newD = withCustomsEntry(db, d);
+    const next = { ...db };
+    next.dispatches = [newD, ...next.dispatches];
+    // deduct from inventory
+    deductFromInventory(next, newD);
+    setDB(next);
+    setDbState(next);
+    setShow(false);
+  }
+
+  function applyImport(rows) {
+    const next = { ...db };
+    next.dispatches = [...rows, ...next.dispatches];
+    rows.forEach((d) => deductFromInventory(next, d));
+    setDB(next);
+    setDbState(next);
+    setImporting(null);
+    push(`Imported ${rows.length} dispatches`);
+  }
+
+  function update(d) {
+    const original = db.dispatches.find(x => x.id === d.id);
+    const err = dispatchStockError(db, d, original) || customsDispatchError(db, d, original) || Object.values(dispatchFieldErrors(db, d))[0];
+    if (err) { push(err); return; }
+    const next = { ...db };
+    reverseDispatch(next, original);
+    deductFromInventory(next, d);
+    next.dispatches = next.dispatches.map(x => x.id === d.id ? { ...withCustomsEntry(db, d, original), updated_at: new Date().toISOString(), updated_by: auth?.email } : x);
+    setDB(next);
+    setDbState(next);
+    setEditing(null);
+    push("Dispatch updated");
+  }
+
+  function voidDispatch(d, reason) {
+    const next = { ...db };
+    reverseDispatch(next, d);
+    next.dispatches = next.dispatches.map(x => x.id === d.id ? { ...x, voided: true, void_reason: reason, voided_at: new Date().toISOString(), voided_by: auth?.email } : x);
+    setDB(next);
+    setDbState(next);
+    setVoiding(null);
+    push("Dispatch voided");
+  }
+
+  const rows = useMemo(() => db.dispatches.filter(d => inRange(d.date_dispatched, range)), [db, range]);
+  const cols = useMemo(() => [
+    { key: 'date_packed', header: 'Date Packed', type: 'date', render: (v)=> formatDate(v)},
+    { key: 'date_dispatched', header: 'Date Dispatched', type: 'date', render: (v)=> formatDate(v)},
+    { key: 'cargo_id', header: 'Cargo ID' },
+    { key: 'container_no', header: 'Container #' },
+    { key: 'qty_packed', header: 'Qty', type: 'number' },
+    { key: 'total_weight_kg', header: 'Weight (kg)', type: 'number' },
+    { key: 'truck_reg', header: 'Truck' },
+    { key: 'driver_name', header: 'Driver' },
+    { key: 'location_id', header: 'From Bin', type: 'enum', optionLabel: (v)=> locationLabel(db, v), render: (v)=> locationLabel(db, v) },
+    { key: 'inspections_completed', header: 'Inspections', type: 'boolean', render: (v)=> v? '✅':'—' },
+  ], [db]);
+
+  return (
+    <Guard perm="dispatch.view">
+      <div className="space-y-3">
+        {node}
+        {range && <RangeFilterChip label="Dispatched" range={range} onClear={()=> { setRange(null); clearRouteQuery(); }} />}
+        <DataTable title="Dispatches" filename="dispatches" rows={rows} columns={cols} addPermission="dispatch.create" onAdd={() => setShow(true)} onImport={(raws, error) => setImporting(raws ? importDispatchRows(raws, db) : importFailure(error))} actions={(row)=> (
+          <div className="flex gap-3">
+            {!row.voided && <button onClick={()=> setDocuments(row)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">Documents</button>}
+            <RecordActions row={row} onEdit={canEdit ? ()=> setEditing(row) : undefined} onVoid={canEdit ? ()=> setVoiding(row) : undefined} />
+          </div>
+        )} />
+        {documents && <DispatchDocumentsModal dispatch={documents} onClose={()=> setDocuments(null)} />}
+        {show && <DispatchDrawer onClose={()=>setShow(false)} onSave={save} />}
+        {editing && <DispatchDrawer initial={editing} onClose={()=>setEditing(null)} onSave={update} />}
+        {voiding && <VoidDialog label={`dispatch of ${voiding.cargo_id} in ${voiding.container_no}`} onClose={()=> setVoiding(null)} onConfirm={(reason)=> voidDispatch(voiding, reason)} />}
+        {importing && <ImportPreviewModal title="Dispatches" entries={importing} columns={cols} onClose={()=> setImporting(null)} onApply={applyImport} />}
+      </div>
+    </Guard>
+  );
+}
+
+function DispatchDrawer({ initial, onClose, onSave }) {
+  const db = getDB();
+  const [form, setForm] = useState(initial || {
+    id: uid("dsp"),
+    cargo_id: "",
+    container_no: randomContainerNo(),
+    seal_no_1: `${rand(100000,999999)}`,
+    seal_no_2: `${rand(100000,999999)}`,
+    date_packed: new Date().toISOString(),
+    date_dispatched: new Date().toISOString(),
+    truck_reg: "",
+    driver_name: "",
+    qty_packed: "",
+    marks_numbers_packed: "",
+    total_weight_kg: "",
+    inspections_completed: true,
+    location_id: "",
+  });
+
+  // cargo with stock on hand, plus the one being edited even if this dispatch emptied it
+  const onHand = inventoryRows(db).filter(i => i.quantity > 0 || i.cargo_id === initial?.cargo_id);
+  // bins holding this cargo, plus the one being edited even if this dispatch emptied it
+  const bins = form.cargo_id ? cargoLocations(db, form.cargo_id) : [];
+  if (initial && initial.cargo_id === form.cargo_id && !bins.some(b => b.location_id === initial.location_id)) bins.push({ location_id: initial.location_id, quantity: 0, weight_kg: 0 });
+  const available = form.cargo_id ? availableStock(db, form.cargo_id, initial, form.location_id) : null;
+  const stockErr = form.cargo_id && form.qty_packed !== "" ? dispatchStockError(db, form, initial) || customsDispatchError(db, form, initial) : null;
+  const bond = form.cargo_id ? openCustomsEntry(db, form.cargo_id, initial) : null;
+  const fieldErrors = dispatchFieldErrors(db, form);
+  const [scanMode] = useScanMode();
+  const [scans, setScans] = useState([]);
+
+  function scanned(code, ok, message) {
+    scanBeep(ok);
+    setScans(s => [{ id: uid("scan"), code, ok, message }, ...s].slice(0, 6));
+  }
+
+  // Each cargo label scanned adds one unit (the first picks the cargo); a container number scan
+  // fills in the container.
+  useScanner((raw) => {
+    const code = raw.toUpperCase();
+    const container = normalizeContainerNo(code);
+    if (!validateContainerNo(container)) {
+      const other = db.dispatches.find(d => d.id !== form.id && isOpenDispatch(db, d) && normalizeContainerNo(d.container_no) === container);
+      if (other) return scanned(code, false, `Container already dispatched with ${other.cargo_id}`);
+      setForm(f => ({ ...f, container_no: container }));
+      return scanned(code, true, "Container set");
+    }
+    const hit = scanLookup(db, code);
+    if (hit?.type !== "cargo") return scanned(code, false, hit ? "Container is on a delivered or voided dispatch" : "Unknown code");
+    const { cargo_id } = hit;
+    if (form.cargo_id && form.cargo_id !== cargo_id) return scanned(code, false, `This dispatch is for ${form.cargo_id}`);
+    if (!form.cargo_id) {
+      const bin = cargoLocations(db, cargo_id)[0];
+      if (!bin) return scanned(code, false, `${cargo_id} has already been dispatched`);
+      setForm(f => ({ ...f, cargo_id, location_id: bin.location_id }));
+      setQty(1);
+      return scanned(code, true, `${cargo_id} added · 1 unit`);
+    }
+    const a = availableStock(db, cargo_id, initial, form.location_id);
+    const n = Number(form.qty_packed || 0) + 1;
+    if (a.quantity <= 0) return scanned(code, false, `${cargo_id} has already been dispatched`);
+    if (n > a.quantity) return scanned(code, false, `All ${a.quantity} units in the bin are already on this dispatch`);
+    setQty(n);
+    scanned(code, true, `${cargo_id} confirmed · ${n} units`);
+  }, scanMode, SCAN_PRIORITY.drawer);
+
+  // Weight follows quantity pro rata so a partial dispatch leaves the matching weight behind.
+  function setQty(qty) {
+    setForm((f) => {
+      const a = availableStock(db, f.cargo_id, initial, f.location_id);
+      const n = Number(qty);
+      const total_weight_kg = a.quantity > 0 && n > 0 ? (n >= a.quantity ? a.weight_kg : round1(a.weight_kg * n / a.quantity)) : f.total_weight_kg;
+      return { ...f, qty_packed: qty, total_weight_kg };
+    });
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    if (stockErr || Object.keys(fieldErrors).length) return;
+    onSave({ ...form, container_no: normalizeContainerNo(form.container_no), qty_packed: Number(form.qty_packed), total_weight_kg: Number(form.total_weight_kg) });
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex justify-end z-50">
+      <div className="w_full max-w-md bg-white h-full p-4 overflow-auto">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-semibold">{initial ? "Edit Dispatch" : "New Dispatch"}</div>
+          <button onClick={onClose} className="text-gray-500">✕</button>
+        </div>
+        {scanMode && (
+          <div className={`mb-3 p-3 rounded-lg border text-sm ${scans[0] ? (scans[0].ok ? "border-green-400 bg-green-50" : "border-red-400 bg-red-50") : "border-gray-200 bg-gray-50"}`}>
+            <div className="text-gray-600">Scan cargo labels to add units, or a container number to set the container.</div>
+            {scans.map(s => (
+              <div key={s.id} className={s.ok ? "text-green-700" : "text-red-700"}>{s.ok ? "✓" : "✕"} {s.code} – {s.message}</div>
+            ))}
+          </div>
+        )}
+        <form onSubmit={submit} className="grid grid-cols-2 gap-3">
+          <div className="col-span-2">
+            <label className="text-xs text-gray-600">Cargo ID</label>
+            <select className="w-full px-3 py-2 border rounded-lg" value={form.cargo_id} onChange={(e)=> setForm(f=>({...f, cargo_id: e.target.value, location_id: cargoLocations(db, e.target.value)[0]?.location_id || "", qty_packed: "", total_weight_kg: ""}))} required>
+              <option value="">Select cargo on hand…</option>
+              {onHand.map(i => <option key={i.cargo_id} value={i.cargo_id}>{i.cargo_id} · {i.quantity} units · {i.weight_kg} kg · {i.status}</option>)}
+            </select>
+          </div>
+          <div className="col-span-2">
+            <label className="text-xs text-gray-600">From Bin</label>
+            <select className="w-full px-3 py-2 border rounded-lg" value={form.location_id} onChange={(e)=> setForm(f=>({...f, location_id: e.target.value, qty_packed: "", total_weight_kg: ""}))} disabled={!form.cargo_id} required>
+              {bins.map(b => <option key={b.location_id} value={b.location_id}>{locationLabel(db, b.location_id)} · {b.quantity} units · {b.weight_kg} kg</option>)}
+            </select>
+            {available && <div className="text-xs text-gray-500 mt-1">Available in bin: {available.quantity} units · {available.weight_kg} kg</div>}
+            {bond && <div className="text-xs text-amber-700 mt-1">Bonded under entry {bond.entry_no} · released, not yet dispatched: {bondBalance(db, bond, initial).available} units</div>}
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">Quantity</label>
+            <input type="number" min="1" className="w-full px-3 py-2 border rounded-lg" value={form.qty_packed} onChange={(e)=> setQty(e.target.value)} disabled={!form.cargo_id} required />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">Weight (kg)</label>
+            <input type="number" min="0" step="0.1" className="w-full px-3 py-2 border rounded-lg" value={form.total_weight_kg} onChange={(e)=> setForm(f=>({...f,total_weight_kg: e.target.value}))} disabled={!form.cargo_id} required />
+          </div>
+          {stockErr && <div className="col-span-2 text-sm text-red-600">{stockErr}</div>}
+          {Object.entries({
+            container_no: "Container #", seal_no_1: "Seal #1", seal_no_2: "Seal #2", marks_numbers_packed: "Marks/Numbers"
+          }).map(([key, label]) => (
+            <div key={key} className="col-span-2">
+              <label className="text-xs text-gray-600">{label}</label>
+              <input className={`w-full px-3 py-2 border rounded-lg ${fieldErrors[key] ? 'border-red-500' : ''}`} value={form[key]} onChange={(e)=> setForm(f=>({...f,[key]: e.target.value}))} required={['marks_numbers_packed'].includes(key)?false:true} />
+              {fieldErrors[key] && <div className="text-xs text-red-600 mt-1">{fieldErrors[key]}</div>}
+            </div>
+          ))}
+          <div className="col-span-2">
+            <label className="text-xs text-gray-600">Truck</label>
+            <VehicleSelect db={db} value={form.truck_reg} onChange={(truck_reg)=> setForm(f=>({...f, truck_reg}))} />
+          </div>
+          <div className="col-span-2">
+            <label className="text-xs text-gray-600">Driver</label>
+            <DriverSelect db={db} value={form.driver_name} onChange={(driver_name)=> setForm(f=>({...f, driver_name}))} />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">Date Packed</label>
+            <input type="datetime-local" className="w-full px-3 py-2 border rounded-lg" value={localDateTime(form.date_packed)} onChange={(e)=> e.target.value && setForm(f=>({...f,date_packed: new Date(e.target.value).toISOString()}))} />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">Date Dispatched</label>
+            <input type="datetime-local" className="w-full px-3 py-2 border rounded-lg" value={localDateTime(form.date_dispatched)} onChange={(e)=> e.target.value && setForm(f=>({...f,date_dispatched: new Date(e.target.value).toISOString()}))} />
+          </div>
+          <div className="flex items-center gap-2 mt-2">
+            <input type="checkbox" checked={form.inspections_completed} onChange={(e)=> setForm(f=>({...f,inspections_completed: e.target.checked}))} />
+            <span className="text-sm">Inspections completed</span>
+          </div>
+          <div className="col-span-2 mt-2 flex justify-end gap-2">
+            <button type="button" onClick={onClose} className="px-3 py-2 rounded-lg bg-gray-100">Cancel</button>
+            <button disabled={!!stockErr || Object.keys(fieldErrors).length > 0} className="px-3 py-2 rounded-lg text-white disabled:opacity-50" style={{ background: ACCENT }}>Save Dispatch</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function DispatchDocumentsModal({ dispatch, onClose }) {
+  const db = getDB();
+  const [kind, setKind] = useState("packing_list");
+  const [err, setErr] = useState("");
+  const doc = dispatchDocument(kind, db, dispatch);
+
+  function print() {
+    setErr("");
+    try { printPages(doc.title, doc.pages); } catch (e) { setErr(e.message); }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
+      <div className="w-full max-w-3xl max-h-[95vh] bg-white rounded-2xl p-4 flex flex-col gap-3">
+        <div className="flex items-center justify-between">
+          <div className="font-semibold">Documents – {dispatch.container_no}</div>
+          <button onClick={onClose} className="text-gray-500">✕</button>
+        </div>
+        <div className="flex gap-2">
+          {Object.entries(DISPATCH_DOCS).map(([k, label]) => (
+            <button key={k} onClick={()=> setKind(k)} className={`px-3 py-1.5 rounded-lg text-sm border ${kind===k? 'bg-[var(--accent)] text-white border-[var(--accent)]':'bg-white hover:bg-gray-50'}`}>{label}</button>
+          ))}
+        </div>
+        <div className="flex-1 overflow-auto border rounded-lg bg-gray-100 p-3">
+          <div className="mx-auto max-w-[595px] shadow" dangerouslySetInnerHTML={{ __html: pageSvg(doc.pages[0]) }} />
+        </div>
+        {err && <div className="text-sm text-red-600">{err}</div>}
+        <div className="flex justify-end gap-2">
+          <button onClick={print} className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200">Print</button>
+          <button onClick={()=> downloadBlob(`${doc.number}.pdf`, pdfFromPages(doc.pages))} className="px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Download PDF</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DispatchRecordDrawer({ dispatch: d, onClose }) {
+  const db = getDB();
+  const fields = [
+    ["Cargo ID", d.cargo_id],
+    ["Container #", d.container_no],
+    ["Seals", `${d.seal_no_1} / ${d.seal_no_2}`],
+    ["From Bin", locationLabel(db, d.location_id)],
+    ["Quantity", d.qty_packed],
+    ["Weight (kg)", d.total_weight_kg],
+    ["Truck", d.truck_reg],
+    ["Driver", d.driver_name],
+    ["Marks/Numbers", d.marks_numbers_packed || "—"],
+    ["Packed", formatDate(d.date_packed)],
+    ["Dispatched", formatDate(d.date_dispatched)],
+    ["Inspections", d.inspections_completed ? "Completed" : "Not completed"],
+    ["Status", d.voided ? `Voided: ${d.void_reason}` : isOpenDispatch(db, d) ? "Open" : "Delivered"],
+  ];
+  return (
+    <div className="fixed inset-0 bg-black/40 flex justify-end z-50">
+      <div className="w-full max-w-md bg-white h-full p-4 overflow-auto">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-semibold">Dispatch – {d.container_no}</div>
+          <div className="flex items-center gap-3">
+            <a href={`#/trace?q=${encodeURIComponent(d.container_no)}`} onClick={onClose} className="text-sm text-[var(--accent)] hover:text-[var(--accent-light)]">Full trace →</a>
+            <button onClick={onClose} className="text-gray-500">✕</button>
+          </div>
+        </div>
+        <dl className="grid grid-cols-3 gap-y-2 text-sm">
+          {fields.map(([label, value]) => (
+            <React.Fragment key={label}>
+              <dt className="text-gray-500">{label}</dt>
+              <dd className="col-span-2">{value}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      </div>
+    </div>
+  );
+}
+
+function TracePage() {
+  const [db] = useState(getDB);
+  // status changes come from the audit trail, which the backend shares between clients
+  const [audit, setAudit] = useState(getAudit);
+  const [input, setInput] = useState(() => routeQuery().get("q") || "");
+  const [query, setQuery] = useState(input);
+  const [scanMode] = useScanMode();
+  const { push, node } = useToasts();
+
+  useEffect(() => {
+    loadAudit().then(setAudit);
+  }, []);
+
+  // links from other pages (#/trace?q=...) can land while this page is open
+  useEffect(() => {
+    const h = () => { const q = routeQuery().get("q"); if (q) { setInput(q); setQuery(q); } };
+    window.addEventListener("hashchange", h);
+    return () => window.removeEventListener("hashchange", h);
+  }, []);
+
+  useScanner((code) => {
+    const found = !!traceScope(getDB(), code);
+    scanBeep(found);
+    if (!found) push(`Nothing to trace for ${code}`);
+    setInput(code);
+    setQuery(code);
+  }, scanMode);
+
+  const scope = useMemo(() => traceScope(db, query), [db, query]);
+  const events = useMemo(() => (scope ? traceTimeline(db, scope, audit) : []), [db, scope, audit]);
+
+  function submit(e) {
+    e.preventDefault();
+    setQuery(input);
+  }
+
+  return (
+    <Guard perm="inventory.view">
+      <div className="space-y-4">
+        {node}
+        <form onSubmit={submit} className="bg-white rounded-2xl border border-gray-200 p-4 flex gap-2 items-end">
+          <div className="flex-1">
+            <label className="text-xs text-gray-600">Cargo ID, container #, indent # or seal #</label>
+            <input className="w-full px-3 py-2 border rounded-lg" value={input} onChange={(e)=> setInput(e.target.value)} placeholder={scanMode ? "Scan or type…" : "e.g. CG-123 or MSCU1234566"} autoFocus />
+          </div>
+          <button className="px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Trace</button>
+        </form>
+        {query && !scope && <div className="text-sm text-gray-500">No cargo, container, indent or seal matches “{query}”.</div>}
+        {scope && (
+          <div className="bg-white rounded-2xl border border-gray-200 p-4 space-y-3">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="text-gray-500">Matched {scope.matchedBy} {scope.query} ·</span>
+              {scope.cargo_ids.map(c => <button key={c} onClick={()=> { setInput(c); setQuery(c); }} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200">{c}</button>)}
+              {scope.containers.map(c => <button key={c} onClick={()=> { setInput(c); setQuery(c); }} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 font-mono">{c}</button>)}
+            </div>
+            <ol className="relative border-l border-gray-200 ml-2">
+              {events.map((e, i) => (
+                <li key={i} className="ml-4 py-2">
+                  <div className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full border border-white" style={{ background: ACCENT }} />
+                  <div className="flex items-center gap-2 text-xs text-gray-500">
+                    <span>{formatDate(e.at)}</span>
+                    <span className={`px-2 py-0.5 rounded ${TRACE_KINDS[e.kind].className}`}>{TRACE_KINDS[e.kind].label}</span>
                   </div>
-                </th>
+                  <div className="text-sm font-medium">{e.title}</div>
+                  {e.detail && <div className="text-sm text-gray-600">{e.detail}</div>}
+                  {e.route && <a href={`#${e.route}`} className="text-xs text-[var(--accent)] hover:text-[var(--accent-light)]">Open {e.route.slice(1)} →</a>}
+                </li>
               ))}
-              {actions && <th className="px-3 py-2"/>}
-            </tr>
-          </thead>
-          <tbody>
-            {filtered.map((row, idx) => (
-              <tr key={row.id || idx} className={idx % 2 === 0 ? "bg-[var(--zebra-a)]" : "bg-[var(--zebra-b)]"} style={{ ['--zebra-a']: ZEBRA_A, ['--zebra-b']: ZEBRA_B }}>
-                {columns.map((c) => (
-                  <td key={c.key} className="px-3 py-2 whitespace-nowrap">{c.render ? c.render(row[c.key], row) : String(row[c.key])}</td>
-                ))}
-                {actions && <td className="px-3 py-2">{actions(row)}</td>}
+            </ol>
+          </div>
+        )}
+      </div>
+    </Guard>
+  );
+}
+
+const INVENTORY_FILTERS = ['All','Bonded','FAK','On Site','In Transit','Dispatched'];
+
+function InventoryPage() {
+  const [db, setDbState] = useState(getDB);
+  const [filter, setFilter] = useState(() => INVENTORY_FILTERS.includes(routeQuery().get("status")) ? routeQuery().get("status") : "All");
+  const [location, setLocation] = useState("All");
+  const [selected, setSelected] = useState(null);
+  const [transferring, setTransferring] = useState(null);
+  const { push, node } = useToasts();
+  const auth = getAuth();
+
+  // Auto-refresh every 30s
+  useEffect(() => {
+    const h = setInterval(() => reloadDB().then(setDbState), AUTO_REFRESH_MS);
+    return () => clearInterval(h);
+  }, []);
+
+  // location is "All", "wh:<warehouse id>" or "bin:<bin id>"
+  const [scope, scopeId] = location.split(":");
+  const rows = useMemo(() => {
+    const inScope = (location_id) => scope === "bin" ? location_id === scopeId : db.bins.find(b => b.id === location_id)?.warehouse_id === scopeId;
+    const byCargo = inventoryRows(db);
+    return (location === "All"
+      ? byCargo.map(i => ({ ...i, locations: cargoLocations(db, i.cargo_id).map(s => locationLabel(db, s.location_id)).join(", ") }))
+      : Object.values(stockByLocation(db.inventory_ledger))
+          .filter(s => s.quantity > 0 && inScope(s.location_id))
+          .map(s => ({ ...s, status: byCargo.find(i => i.cargo_id === s.cargo_id)?.status || "On Site" }))
+    ).filter(i => filter === "All" || i.status === filter);
+  }, [db, location, filter]);
+  const mismatches = useMemo(() => reconcileRows(db), [db]);
+
+  function transfer(t) {
+    const next = { ...db };
+    postTransfer(next, t);
+    setDB(next);
+    setDbState({ ...next });
+    setTransferring(null);
+    push(`Moved ${t.qty} units of ${t.cargo_id} to ${locationLabel(next, t.to_location_id)}`);
+  }
+
+  function syncFromLedger(cargo_id) {
+    const next = { ...db };
+    syncSnapshot(next, cargo_id);
+    setDB(next);
+    setDbState({ ...next });
+  }
+
+  const reconcileCols = useMemo(() => [
+    { key: 'cargo_id', header: 'Cargo ID' },
+    { key: 'stored_qty', header: 'Snapshot Qty', type: 'number', render: (v) => v ?? '—' },
+    { key: 'ledger_qty', header: 'Ledger Qty', type: 'number' },
+    { key: 'qty_diff', header: 'Qty Δ', type: 'number', render: (v) => <span className={v ? 'text-red-700 font-medium' : ''}>{v > 0 ? `+${v}` : v}</span> },
+    { key: 'stored_weight', header: 'Snapshot Weight (kg)', type: 'number', render: (v) => v ?? '—' },
+    { key: 'ledger_weight', header: 'Ledger Weight (kg)', type: 'number' },
+    { key: 'weight_diff', header: 'Weight Δ', type: 'number', render: (v) => <span className={v ? 'text-red-700 font-medium' : ''}>{v > 0 ? `+${v}` : v}</span> },
+  ], []);
+  const cols = useMemo(() => [
+    { key: 'cargo_id', header: 'Cargo ID' },
+    { key: 'status', header: 'Status', type: 'enum', render: (v) => <span className={`px-2 py-1 rounded ${enumBadge[v]}`}>{v}</span> },
+    { key: 'quantity', header: 'Qty', type: 'number' },
+    { key: 'weight_kg', header: 'Weight (kg)', type: 'number' },
+    location === "All"
+      ? { key: 'locations', header: 'Locations', render: (v)=> v || '—' }
+      : { key: 'location_id', header: 'Bin', type: 'enum', optionLabel: (v)=> locationLabel(db, v), render: (v)=> locationLabel(db, v) },
+    { key: 'last_movement', header: 'Last Movement', type: 'date', render: (v)=> formatDate(v)},
+  ], [db, location]);
+
+  return (
+    <Guard perm="inventory.view">
+      <div className="space-y-3">
+        <div className="flex gap-2">
+          {INVENTORY_FILTERS.map(s => (
+            <button key={s} onClick={()=> setFilter(s)} className={`px-3 py-1.5 rounded-lg text-sm border ${filter===s? 'bg-[var(--accent)] text-white border-[var(--accent)]':'bg-white hover:bg-gray-50'}`}>{s}</button>
+          ))}
+          <select className="ml-auto px-3 py-1.5 border rounded-lg text-sm" value={location} onChange={(e)=> setLocation(e.target.value)}>
+            <option value="All">All locations</option>
+            {db.warehouses.map(w => (
+              <optgroup key={w.id} label={`${w.code} – ${w.name}`}>
+                <option value={`wh:${w.id}`}>{w.code} (all bins)</option>
+                {db.bins.filter(b => b.warehouse_id === w.id).map(b => <option key={b.id} value={`bin:${b.id}`}>{w.code} · {b.code}</option>)}
+              </optgroup>
+            ))}
+          </select>
+          <button onClick={()=> setFilter("Reconcile")} className={`px-3 py-1.5 rounded-lg text-sm border ${filter==="Reconcile"? 'bg-red-600 text-white border-red-600':'bg-white hover:bg-gray-50'}`}>Reconcile{mismatches.length ? ` (${mismatches.length})` : ''}</button>
+        </div>
+        <BondExpiryPanel db={db} hideEmpty />
+        {filter === "Reconcile" ? (
+          <DataTable title="Snapshot vs Ledger" filename="inventory_reconcile" rows={mismatches} columns={reconcileCols} actions={(row)=> (
+            <div className="flex gap-3">
+              <button onClick={()=> setSelected(row)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">View</button>
+              {can("inventory.reconcile", auth) && <button onClick={()=> syncFromLedger(row.cargo_id)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">Sync from ledger</button>}
+            </div>
+          )} />
+        ) : (
+          <DataTable title="Inventory" filename="inventory" rows={rows} columns={cols} actions={(row)=> (
+            <div className="flex gap-3">
+              <button onClick={()=> setSelected(row)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">View</button>
+              {can("inventory.transfer", auth) && row.quantity > 0 && <button onClick={()=> setTransferring(row)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">Transfer</button>}
+            </div>
+          )} />
+        )}
+        {selected && <MovementDrawer cargo={selected} onClose={()=> setSelected(null)} />}
+        {transferring && <TransferDrawer db={db} cargo_id={transferring.cargo_id} from={transferring.location_id} onClose={()=> setTransferring(null)} onSave={transfer} />}
+        {node}
+      </div>
+    </Guard>
+  );
+}
+
+function MovementDrawer({ cargo, onClose }) {
+  const db = getDB();
+  const kindLabel = { receipt: 'Receipt', dispatch: 'Dispatch', receipt_reversal: 'Receipt reversal', dispatch_reversal: 'Dispatch reversal', transfer_in: 'Transfer in', transfer_out: 'Transfer out' };
+  const sources = { receipt: db.warehouse_receipts, dispatch: db.dispatches, transfer: db.stock_transfers };
+  const detailOf = { receipt: r => r.indent_number, dispatch: d => d.container_no, transfer: t => t.reference };
+  let balance = 0;
+  const rows = ledgerFor(db, cargo.cargo_id)
+    .sort((a,b)=> new Date(a.at) - new Date(b.at))
+    .map((e) => {
+      balance += e.qty;
+      const rec = (sources[e.source.type] || []).find(x => x.id === e.source.id);
+      const details = rec && detailOf[e.source.type](rec);
+      return { type: kindLabel[e.kind] || e.kind, date: e.at, location: locationLabel(db, e.location_id), qty: e.qty, weight: e.weight_kg, balance, details: details || e.source.id };
+    });
+  return (
+    <div className="fixed inset-0 bg-black/40 flex justify-end z-50">
+      <div className="w-full max-w-2xl bg-white h-full p-4 overflow-auto">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-semibold">Movement History – {cargo.cargo_id}</div>
+          <div className="flex items-center gap-3">
+            <a href={`#/trace?q=${encodeURIComponent(cargo.cargo_id)}`} onClick={onClose} className="text-sm text-[var(--accent)] hover:text-[var(--accent-light)]">Full trace →</a>
+            <button onClick={onClose} className="text-gray-500">✕</button>
+          </div>
+        </div>
+        <table className="w-full text-sm">
+          <thead><tr className="bg-gray-50"><th className="text-left px-3 py-2">Type</th><th className="text-left px-3 py-2">Date</th><th className="text-left px-3 py-2">Location</th><th className="text-left px-3 py-2">Qty</th><th className="text-left px-3 py-2">Weight (kg)</th><th className="text-left px-3 py-2">Balance</th><th className="text-left px-3 py-2">Details</th></tr></thead>
+          <tbody>
+            {rows.map((r,i)=> (
+              <tr key={i} className={i%2===0? 'bg-white':'bg-gray-50'}>
+                <td className="px-3 py-2">{r.type}</td>
+                <td className="px-3 py-2">{formatDate(r.date)}</td>
+                <td className="px-3 py-2">{r.location}</td>
+                <td className="px-3 py-2">{r.qty}</td>
+                <td className="px-3 py-2">{r.weight}</td>
+                <td className="px-3 py-2">{r.balance}</td>
+                <td className="px-3 py-2">{r.details}</td>
               </tr>
             ))}
           </tbody>
@@ -423,314 +4353,772 @@ function DataTable({ rows, columns, title, filename, onAdd, actions }) {
   );
 }
 
-// ----- Pages -----
-function LoginPage() {
-  const [email, setEmail] = useState("");
-  const [password, setPassword] = useState("");
-  const [err, setErr] = useState("");
-  const { push, node } = useToasts();
+function TransferDrawer({ db, cargo_id, from, onClose, onSave }) {
+  const held = cargoLocations(db, cargo_id);
+  const [form, setForm] = useState({
+    id: uid("trf"),
+    reference: `TRF-${rand(100000, 999999)}`,
+    cargo_id,
+    from_location_id: from || held[0]?.location_id || "",
+    to_location_id: "",
+    qty: "",
+    weight_kg: "",
+    date: new Date().toISOString(),
+    notes: "",
+  });
+  const available = availableStock(db, cargo_id, null, form.from_location_id);
+  const error = form.qty !== "" ? stockShortfall({ cargo_id, qty_packed: form.qty, total_weight_kg: form.weight_kg }, available, `in ${locationLabel(db, form.from_location_id)}`) : null;
+
+  function setQty(v) {
+    // weight moves pro rata with quantity, the same way dispatch fills it
+    const qty = v === "" ? "" : Number(v);
+    const weight_kg = qty && available.quantity ? round1(available.weight_kg * qty / available.quantity) : "";
+    setForm(f => ({ ...f, qty, weight_kg }));
+  }
 
-  function doLogin(e) {
+  function submit(e) {
     e.preventDefault();
-    const db = getDB();
-    const ok = db.passwords[email] && db.passwords[email] === password;
-    const user = db.users.find((u) => u.email === email);
-    if (ok && user) {
-      setAuth({ email, role: user.role, name: user.name });
-      location.hash = "#/dashboard";
-    } else if (user && user.tempPassword === password) {
-      // consume temp password
-      user.tempPassword = null;
-      db.passwords[email] = password; // set password to temp as permanent
-      setDB(db);
-      setAuth({ email, role: user.role, name: user.name });
-      location.hash = "#/dashboard";
-    } else {
-      setErr("Invalid credentials");
-    }
+    if (error || Number(form.qty) <= 0) return;
+    onSave({ ...form, qty: Number(form.qty), weight_kg: Number(form.weight_kg), created_by: getAuth()?.email });
   }
 
-  function forgot() {
-    const db = getDB();
-    const user = db.users.find((u) => u.email === email);
-    if (!user) { setErr("Email not found"); return; }
-    const temp = `Temp${rand(10000,99999)}!`;
-    user.tempPassword = temp;
-    setDB(db);
-    push(`Temporary password issued: ${temp}`);
+  return (
+    <div className="fixed inset-0 bg-black/40 flex justify-end z-50">
+      <div className="w-full max-w-md bg-white h-full p-4 overflow-auto">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-semibold">Transfer Stock – {cargo_id}</div>
+          <button onClick={onClose} className="text-gray-500">✕</button>
+        </div>
+        <form onSubmit={submit} className="space-y-3">
+          <div>
+            <label className="text-xs text-gray-600">Reference</label>
+            <input className="w-full px-3 py-2 border rounded-lg" value={form.reference} onChange={(e)=> setForm(f=>({...f, reference: e.target.value}))} required />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">From Bin</label>
+            <select className="w-full px-3 py-2 border rounded-lg" value={form.from_location_id} onChange={(e)=> setForm(f=>({...f, from_location_id: e.target.value, qty: "", weight_kg: ""}))} required>
+              {held.map(s => <option key={s.location_id} value={s.location_id}>{locationLabel(db, s.location_id)} · {s.quantity} units · {s.weight_kg} kg</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">To Bin</label>
+            <BinSelect db={db} value={form.to_location_id} exclude={form.from_location_id} onChange={(to_location_id)=> setForm(f=>({...f, to_location_id}))} />
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="text-xs text-gray-600">Quantity</label>
+              <input type="number" min="1" max={available.quantity} className="w-full px-3 py-2 border rounded-lg" value={form.qty} onChange={(e)=> setQty(e.target.value)} required />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">Weight (kg)</label>
+              <input type="number" step="0.1" min="0" className="w-full px-3 py-2 border rounded-lg" value={form.weight_kg} onChange={(e)=> setForm(f=>({...f, weight_kg: e.target.value}))} required />
+            </div>
+          </div>
+          <div className="text-xs text-gray-500">Available in bin: {available.quantity} units · {available.weight_kg} kg</div>
+          {error && <div className="text-sm text-red-700">{error}</div>}
+          <div>
+            <label className="text-xs text-gray-600">Date</label>
+            <input type="datetime-local" className="w-full px-3 py-2 border rounded-lg" value={localDateTime(form.date)} onChange={(e)=> e.target.value && setForm(f=>({...f, date: new Date(e.target.value).toISOString()}))} required />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">Notes</label>
+            <textarea className="w-full px-3 py-2 border rounded-lg" value={form.notes} onChange={(e)=> setForm(f=>({...f, notes: e.target.value}))} />
+          </div>
+          <div className="flex justify-end gap-2 pt-2">
+            <button type="button" onClick={onClose} className="px-3 py-2 rounded-lg bg-gray-100">Cancel</button>
+            <button disabled={!!error} className="px-3 py-2 rounded-lg text-white disabled:opacity-50" style={{ background: ACCENT }}>Transfer</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function LocationsPage() {
+  const [db, setDbState] = useState(getDB);
+  const [adding, setAdding] = useState(null);
+  const { push, node } = useToasts();
+  const auth = getAuth();
+  const canManage = can("location.manage", auth);
+
+  function commit(next, message) {
+    setDB(next);
+    setDbState(next);
+    push(message);
   }
 
-  useEffect(() => { ensureManifest(); }, []);
+  function toggleWarehouse(w) {
+    commit({ ...db, warehouses: db.warehouses.map(x => x.id === w.id ? { ...x, active: !w.active } : x) }, `${w.code} ${w.active ? "deactivated" : "activated"}`);
+  }
+
+  function toggleBin(b) {
+    commit({ ...db, bins: db.bins.map(x => x.id === b.id ? { ...x, active: !b.active } : x) }, `${locationLabel(db, b.id)} ${b.active ? "deactivated" : "activated"}`);
+  }
+
+  function save(kind, rec) {
+    const list = kind === "warehouse" ? db.warehouses : db.bins.filter(b => b.warehouse_id === rec.warehouse_id);
+    if (list.some(x => x.code.toUpperCase() === rec.code.toUpperCase())) { push(`Code ${rec.code} is already in use`); return; }
+    const key = kind === "warehouse" ? "warehouses" : "bins";
+    setAdding(null);
+    commit({ ...db, [key]: [...db[key], rec] }, `${kind === "warehouse" ? "Warehouse" : "Bin"} ${rec.code} added`);
+  }
+
+  const toggle = (row, onClick) => canManage && (
+    <button onClick={onClick} className="text-[var(--accent)] hover:text-[var(--accent-light)]">{row.active ? "Deactivate" : "Activate"}</button>
+  );
+
+  const [warehouseRows, binRows] = useMemo(() => {
+    const stock = Object.values(stockByLocation(db.inventory_ledger));
+    return [
+      db.warehouses.map(w => ({
+        ...w,
+        bins: db.bins.filter(b => b.warehouse_id === w.id).length,
+        quantity: stock.filter(s => db.bins.find(b => b.id === s.location_id)?.warehouse_id === w.id).reduce((a, s) => a + s.quantity, 0),
+      })),
+      db.bins.map(b => ({
+        ...b,
+        warehouse: db.warehouses.find(w => w.id === b.warehouse_id)?.code,
+        quantity: stock.filter(s => s.location_id === b.id).reduce((a, s) => a + s.quantity, 0),
+      })),
+    ];
+  }, [db]);
+  const transferCols = useMemo(() => [
+    { key: 'date', header: 'Date', type: 'date', render: (v)=> formatDate(v) },
+    { key: 'reference', header: 'Reference' },
+    { key: 'cargo_id', header: 'Cargo ID' },
+    { key: 'from_location_id', header: 'From', type: 'enum', optionLabel: (v)=> locationLabel(db, v), render: (v)=> locationLabel(db, v) },
+    { key: 'to_location_id', header: 'To', type: 'enum', optionLabel: (v)=> locationLabel(db, v), render: (v)=> locationLabel(db, v) },
+    { key: 'qty', header: 'Qty', type: 'number' },
+    { key: 'weight_kg', header: 'Weight (kg)', type: 'number' },
+    { key: 'created_by', header: 'By' },
+  ], [db]);
 
   return (
-    <div className="min-h-screen flex items-center justify-center bg-white" style={{ ['--accent']: ACCENT, ['--accent-light']: ACCENT_LIGHT }}>
-      {node}
-      <div className="w-full max-w-sm border border-gray-200 rounded-2xl p-6 shadow-sm">
-        <div className="text-center mb-4">
-          <div className="w-10 h-10 mx-auto rounded bg-[var(--accent)]" />
-          <h1 className="mt-2 text-lg font-semibold">Sign in</h1>
+    <Guard perm="inventory.view">
+      <div className="space-y-4">
+        {node}
+        <DataTable title="Warehouses" filename="warehouses" rows={warehouseRows} addPermission="location.manage" onAdd={()=> setAdding("warehouse")} columns={warehouseColumns} actions={(row)=> toggle(row, ()=> toggleWarehouse(row))} />
+        <DataTable title="Bins" filename="bins" rows={binRows} addPermission="location.manage" onAdd={()=> setAdding("bin")} columns={binColumns} actions={(row)=> toggle(row, ()=> toggleBin(row))} />
+        <DataTable title="Stock Transfers" filename="stock_transfers" rows={db.stock_transfers} columns={transferCols} />
+        {adding && <LocationDrawer kind={adding} db={db} onClose={()=> setAdding(null)} onSave={(rec)=> save(adding, rec)} />}
+      </div>
+    </Guard>
+  );
+}
+
+const activeBadge = (v) => <span className={`px-2 py-1 rounded ${v ? "bg-green-100 text-green-700" : "bg-gray-100 text-gray-600"}`}>{v ? "Active" : "Inactive"}</span>;
+const warehouseColumns = [
+  { key: 'code', header: 'Code' },
+  { key: 'name', header: 'Name' },
+  { key: 'bins', header: 'Bins', type: 'number' },
+  { key: 'quantity', header: 'On Hand', type: 'number' },
+  { key: 'active', header: 'Status', type: 'boolean', render: activeBadge },
+];
+const binColumns = [
+  { key: 'warehouse', header: 'Warehouse' },
+  { key: 'code', header: 'Bin' },
+  { key: 'quantity', header: 'On Hand', type: 'number' },
+  { key: 'active', header: 'Status', type: 'boolean', render: activeBadge },
+];
+
+function LocationDrawer({ kind, db, onClose, onSave }) {
+  const [form, setForm] = useState(kind === "warehouse"
+    ? { id: uid("wh"), code: "", name: "", active: true }
+    : { id: uid("bin"), warehouse_id: db.warehouses.find(w => w.active)?.id || "", code: "", active: true });
+  function submit(e) { e.preventDefault(); onSave({ ...form, code: form.code.trim().toUpperCase() }); }
+  return (
+    <div className="fixed inset-0 bg-black/40 flex justify-end z-50">
+      <div className="w-full max-w-md bg-white h-full p-4 overflow-auto">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-semibold">{kind === "warehouse" ? "New Warehouse" : "New Bin"}</div>
+          <button onClick={onClose} className="text-gray-500">✕</button>
         </div>
-        <form onSubmit={doLogin} className="space-y-3">
-          <input type="email" placeholder="Email" className="w-full px-3 py-2 border rounded-lg" value={email} onChange={(e) => setEmail(e.target.value)} required />
-          <input type="password" placeholder="Password" className="w-full px-3 py-2 border rounded-lg" value={password} onChange={(e) => setPassword(e.target.value)} required />
-          {err && <div className="text-sm text-red-600">{err}</div>}
-          <button className="w-full py-2 rounded-lg text-white" style={{ background: ACCENT }}>Sign in</button>
+        <form onSubmit={submit} className="space-y-3">
+          {kind === "bin" && (
+            <div>
+              <label className="text-xs text-gray-600">Warehouse</label>
+              <select className="w-full px-3 py-2 border rounded-lg" value={form.warehouse_id} onChange={(e)=> setForm(f=>({...f, warehouse_id: e.target.value}))} required>
+                {db.warehouses.map(w => <option key={w.id} value={w.id}>{w.code} – {w.name}</option>)}
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="text-xs text-gray-600">Code</label>
+            <input className="w-full px-3 py-2 border rounded-lg" value={form.code} onChange={(e)=> setForm(f=>({...f, code: e.target.value}))} placeholder={kind === "warehouse" ? "WH3" : "C-01"} required />
+          </div>
+          {kind === "warehouse" && (
+            <div>
+              <label className="text-xs text-gray-600">Name</label>
+              <input className="w-full px-3 py-2 border rounded-lg" value={form.name} onChange={(e)=> setForm(f=>({...f, name: e.target.value}))} required />
+            </div>
+          )}
+          <div className="flex justify-end gap-2 pt-2">
+            <button type="button" onClick={onClose} className="px-3 py-2 rounded-lg bg-gray-100">Cancel</button>
+            <button className="px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Save</button>
+          </div>
         </form>
-        <div className="mt-3 text-right text-sm">
-          <button className="text-[var(--accent)] hover:text-[var(--accent-light)]" onClick={forgot}>Forgot password?</button>
+      </div>
+    </div>
+  );
+}
+
+function CustomsPage() {
+  const [db, setDbState] = useState(getDB);
+  const [adding, setAdding] = useState(false);
+  const [releasing, setReleasing] = useState(null);
+  const { push, node } = useToasts();
+  const auth = getAuth();
+
+  function addEntry(entry) {
+    const next = { ...db, customs_entries: [entry, ...db.customs_entries] };
+    syncSnapshot(next, entry.cargo_id, "Bonded");
+    setDB(next);
+    setDbState({ ...next });
+    setAdding(false);
+    push(`Customs entry ${entry.entry_no} recorded`);
+  }
+
+  function release(rel) {
+    const next = { ...db, customs_releases: [rel, ...db.customs_releases] };
+    const entry = next.customs_entries.find(e => e.id === rel.entry_id);
+    // fully released cargo is no longer held by customs
+    if (bondBalance(next, entry).unreleased === 0) syncSnapshot(next, entry.cargo_id, "On Site");
+    setDB(next);
+    setDbState({ ...next });
+    setReleasing(null);
+    push(`Release ${rel.release_no} recorded for ${entry.cargo_id}`);
+  }
+
+  const entryRows = useMemo(() => db.customs_entries.map((e) => {
+    const b = bondBalance(db, e);
+    const status = b.dispatched >= Number(e.quantity) ? "Closed" : b.unreleased === 0 ? "Released" : b.released > 0 ? "Part released" : "Under bond";
+    return { ...e, ...b, status, expires_at: bondExpiry(e), days_left: bondDaysLeft(e) };
+  }), [db]);
+  const releaseRows = useMemo(() => db.customs_releases.map(r => ({ ...r, entry_no: db.customs_entries.find(e => e.id === r.entry_id)?.entry_no, cargo_id: db.customs_entries.find(e => e.id === r.entry_id)?.cargo_id })), [db]);
+
+  return (
+    <Guard perm="customs.view">
+      <div className="space-y-4">
+        {node}
+        <BondExpiryPanel db={db} hideEmpty />
+        <DataTable title="Customs Entries" filename="customs_entries" rows={entryRows} columns={customsEntryColumns} addPermission="customs.manage" onAdd={()=> setAdding(true)} actions={(row)=> can("customs.manage", auth) && row.unreleased > 0 && (
+          <button onClick={()=> setReleasing(row)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">Release</button>
+        )} />
+        <DataTable title="Customs Releases" filename="customs_releases" rows={releaseRows} columns={customsReleaseColumns} />
+        {adding && <CustomsEntryDrawer db={db} onClose={()=> setAdding(false)} onSave={addEntry} />}
+        {releasing && <CustomsReleaseDrawer db={db} entry={releasing} onClose={()=> setReleasing(null)} onSave={release} />}
+      </div>
+    </Guard>
+  );
+}
+
+const customsEntryColumns = [
+  { key: 'entry_no', header: 'Entry #' },
+  { key: 'cargo_id', header: 'Cargo ID' },
+  { key: 'bond_date', header: 'Bond Date', type: 'date', render: (v)=> formatDay(v) },
+  { key: 'bond_days', header: 'Period (days)', type: 'number' },
+  { key: 'expires_at', header: 'Expires', type: 'date', render: (v)=> formatDay(v) },
+  { key: 'days_left', header: 'Days Left', type: 'number', render: (v, row)=> row.status === "Closed" ? '—' : <span className={v <= 0 ? 'text-red-700 font-medium' : v <= BOND_WARNING_DAYS ? 'text-orange-700 font-medium' : ''}>{v}</span> },
+  { key: 'quantity', header: 'Bonded Qty', type: 'number' },
+  { key: 'released', header: 'Released', type: 'number' },
+  { key: 'dispatched', header: 'Dispatched', type: 'number' },
+  { key: 'status', header: 'Status', type: 'enum' },
+];
+const customsReleaseColumns = [
+  { key: 'released_at', header: 'Released', type: 'date', render: (v)=> formatDate(v) },
+  { key: 'release_no', header: 'Release #' },
+  { key: 'entry_no', header: 'Entry #' },
+  { key: 'cargo_id', header: 'Cargo ID' },
+  { key: 'kind', header: 'Type', type: 'enum', render: (v)=> v === "full" ? "Full" : "Partial" },
+  { key: 'quantity', header: 'Qty', type: 'number' },
+  { key: 'instructions', header: 'Instructions' },
+  { key: 'created_by', header: 'By' },
+];
+
+function CustomsEntryDrawer({ db, onClose, onSave }) {
+  // cargo on hand that is not already held under an entry
+  const candidates = inventoryRows(db).filter(i => i.quantity > 0 && !openCustomsEntry(db, i.cargo_id));
+  const [form, setForm] = useState({ id: uid("cus"), cargo_id: "", entry_no: "", bond_date: new Date().toISOString(), bond_days: 90, quantity: "", weight_kg: "", notes: "" });
+  const stock = candidates.find(i => i.cargo_id === form.cargo_id);
+  const error = stock && Number(form.quantity) > stock.quantity ? `Only ${stock.quantity} units of ${form.cargo_id} on hand` : null;
+
+  function pick(cargo_id) {
+    const i = candidates.find(c => c.cargo_id === cargo_id);
+    setForm(f => ({ ...f, cargo_id, quantity: i?.quantity ?? "", weight_kg: i?.weight_kg ?? "" }));
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    if (error) return;
+    onSave({ ...form, entry_no: form.entry_no.trim().toUpperCase(), bond_days: Number(form.bond_days), quantity: Number(form.quantity), weight_kg: Number(form.weight_kg), created_at: new Date().toISOString(), created_by: getAuth()?.email });
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex justify-end z-50">
+      <div className="w-full max-w-md bg-white h-full p-4 overflow-auto">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-semibold">New Customs Entry</div>
+          <button onClick={onClose} className="text-gray-500">✕</button>
         </div>
-        <div className="mt-4 text-xs text-gray-500">
-          Demo users:<br/>
-          admin@curiata.dev / admin123<br/>
-          supervisor@curiata.dev / super123<br/>
-          viewer@curiata.dev / view123
+        <form onSubmit={submit} className="space-y-3">
+          <div>
+            <label className="text-xs text-gray-600">Cargo</label>
+            <select className="w-full px-3 py-2 border rounded-lg" value={form.cargo_id} onChange={(e)=> pick(e.target.value)} required>
+              <option value="">Select cargo on hand…</option>
+              {candidates.map(i => <option key={i.cargo_id} value={i.cargo_id}>{i.cargo_id} · {i.quantity} units · {i.status}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">Customs Entry #</label>
+            <input className="w-full px-3 py-2 border rounded-lg" value={form.entry_no} onChange={(e)=> setForm(f=>({...f, entry_no: e.target.value}))} required />
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="text-xs text-gray-600">Bond Date</label>
+              <input type="date" className="w-full px-3 py-2 border rounded-lg" value={dayKey(form.bond_date)} onChange={(e)=> e.target.value && setForm(f=>({...f, bond_date: new Date(`${e.target.value}T00:00:00`).toISOString()}))} required />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">Bond Period (days)</label>
+              <input type="number" min="1" className="w-full px-3 py-2 border rounded-lg" value={form.bond_days} onChange={(e)=> setForm(f=>({...f, bond_days: e.target.value}))} required />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">Bonded Qty</label>
+              <input type="number" min="1" className="w-full px-3 py-2 border rounded-lg" value={form.quantity} onChange={(e)=> setForm(f=>({...f, quantity: e.target.value}))} required />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">Weight (kg)</label>
+              <input type="number" step="0.1" min="0" className="w-full px-3 py-2 border rounded-lg" value={form.weight_kg} onChange={(e)=> setForm(f=>({...f, weight_kg: e.target.value}))} required />
+            </div>
+          </div>
+          {form.bond_date && form.bond_days > 0 && <div className="text-xs text-gray-500">Bond expires {formatDay(bondExpiry(form))}</div>}
+          {error && <div className="text-sm text-red-700">{error}</div>}
+          <div>
+            <label className="text-xs text-gray-600">Notes</label>
+            <textarea className="w-full px-3 py-2 border rounded-lg" value={form.notes} onChange={(e)=> setForm(f=>({...f, notes: e.target.value}))} />
+          </div>
+          <div className="flex justify-end gap-2 pt-2">
+            <button type="button" onClick={onClose} className="px-3 py-2 rounded-lg bg-gray-100">Cancel</button>
+            <button disabled={!!error} className="px-3 py-2 rounded-lg text-white disabled:opacity-50" style={{ background: ACCENT }}>Save Entry</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function CustomsReleaseDrawer({ db, entry, onClose, onSave }) {
+  const { unreleased } = bondBalance(db, entry);
+  const [form, setForm] = useState({ id: uid("rel"), entry_id: entry.id, release_no: "", kind: "full", quantity: unreleased, instructions: "", released_at: new Date().toISOString() });
+  const error = Number(form.quantity) > unreleased ? `Only ${unreleased} units are still under bond` : null;
+
+  function submit(e) {
+    e.preventDefault();
+    if (error) return;
+    onSave({ ...form, release_no: form.release_no.trim().toUpperCase(), quantity: Number(form.quantity), created_by: getAuth()?.email });
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex justify-end z-50">
+      <div className="w-full max-w-md bg-white h-full p-4 overflow-auto">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-semibold">Customs Release – {entry.cargo_id}</div>
+          <button onClick={onClose} className="text-gray-500">✕</button>
         </div>
+        <div className="text-sm text-gray-600 mb-3">Entry {entry.entry_no} · {unreleased} of {entry.quantity} units still under bond</div>
+        <form onSubmit={submit} className="space-y-3">
+          <div>
+            <label className="text-xs text-gray-600">Release #</label>
+            <input className="w-full px-3 py-2 border rounded-lg" value={form.release_no} onChange={(e)=> setForm(f=>({...f, release_no: e.target.value}))} required />
+          </div>
+          <div className="flex gap-4 text-sm">
+            {["full", "partial"].map(k => (
+              <label key={k} className="flex items-center gap-2">
+                <input type="radio" checked={form.kind === k} onChange={()=> setForm(f=>({...f, kind: k, quantity: k === "full" ? unreleased : ""}))} />
+                {k === "full" ? "Full release" : "Partial release"}
+              </label>
+            ))}
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">Quantity</label>
+            <input type="number" min="1" max={unreleased} className="w-full px-3 py-2 border rounded-lg" value={form.quantity} disabled={form.kind === "full"} onChange={(e)=> setForm(f=>({...f, quantity: e.target.value}))} required />
+          </div>
+          {error && <div className="text-sm text-red-700">{error}</div>}
+          <div>
+            <label className="text-xs text-gray-600">Release Date</label>
+            <input type="datetime-local" className="w-full px-3 py-2 border rounded-lg" value={localDateTime(form.released_at)} onChange={(e)=> e.target.value && setForm(f=>({...f, released_at: new Date(e.target.value).toISOString()}))} required />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">Release Instructions</label>
+            <textarea className="w-full px-3 py-2 border rounded-lg" value={form.instructions} onChange={(e)=> setForm(f=>({...f, instructions: e.target.value}))} placeholder="e.g. Release to consignee on payment of duties" />
+          </div>
+          <div className="flex justify-end gap-2 pt-2">
+            <button type="button" onClick={onClose} className="px-3 py-2 rounded-lg bg-gray-100">Cancel</button>
+            <button disabled={!!error} className="px-3 py-2 rounded-lg text-white disabled:opacity-50" style={{ background: ACCENT }}>Record Release</button>
+          </div>
+        </form>
       </div>
     </div>
   );
 }
 
-function DashboardPage() {
-  const db = getDB();
-  const { inventory_snapshot, warehouse_receipts, dispatches, transport_trips } = db;
+function TransportPage() {
+  const [db, setDbState] = useState(getDB);
+  // a dashboard drill-down opens straight onto one vehicle's trips for its date range
+  const [modalVeh, setModalVeh] = useState(() => routeQuery().get("vehicle"));
+  const [modalRange, setModalRange] = useState(() => queryRange(routeQuery()));
+  const [acting, setActing] = useState(null);
+  const { push, node } = useToasts();
+  const auth = getAuth();
+  // per session, so switching it on never starts the simulator in anyone else's browser
+  const [demoMode, setDemoMode] = useState(() => sessionStorage.getItem(DEMO_MODE_KEY) === "1");
+
+  // Demo mode only: every minute start or complete a simulated trip
+  useEffect(() => {
+    if (!demoMode) return;
+    const t = setInterval(() => {
+      const next = simulateTrips(getDB());
+      setDB(next);
+      setDbState(next);
+    }, 60000);
+    return () => clearInterval(t);
+  }, [demoMode]);
+
+  function toggleDemo() {
+    sessionStorage.setItem(DEMO_MODE_KEY, demoMode ? "0" : "1");
+    setDemoMode(!demoMode);
+  }
+
+  function simulateNow() {
+    const next = simulateTrips(getDB());
+    setDB(next); setDbState(next);
+  }
+
+  function transition(trip, to) {
+    const current = getDB();
+    const error = tripTransitionError(current, trip, to);
+    if (error) { push(error); return; }
+    const warning = to === "Active" ? startHoursWarning(current, trip) : null;
+    const saved = applyTripTransition(trip, to, auth?.email);
+    const exists = current.transport_trips.some(t => t.id === trip.id);
+    const next = { ...current, transport_trips: exists ? current.transport_trips.map(t => t.id === trip.id ? saved : t) : [saved, ...current.transport_trips] };
+    const verb = { Idle: "planned", Active: "started", Completed: "completed", Cancelled: "cancelled" }[to];
+    setDB(next, { note: `Trip ${saved.container_no} ${verb}` });
+    setDbState(next);
+    setActing(null);
+    push(to === "Completed" ? `Trip ${saved.container_no} completed · ${saved.distance_km} km` : `Trip ${saved.container_no} ${verb}`);
+    if (warning) push(`Hours limit: ${warning}`);
+  }
+
+  const vehicles = activeVehicles(db).map(v => v.vehicle_reg);
+  // running and planned trips first, then newest
+  const trips = useMemo(() => {
+    const order = { Active: 0, Idle: 1 };
+    return (demoMode ? db.transport_trips : liveTrips(db)).slice().sort((a, b) => (order[a.trip_status] ?? 2) - (order[b.trip_status] ?? 2) || new Date(b.start_time || b.planned_at) - new Date(a.start_time || a.planned_at));
+  }, [db, demoMode]);
+  const actionLabel = { Active: "Start", Completed: "Complete", Cancelled: "Cancel" };
+
+  return (
+    <Guard perm="transport.view">
+      <div className="space-y-3">
+        {node}
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold">Transport Log</h3>
+          {can("trip.generate", auth) && (
+            <div className="flex items-center gap-3">
+              <label className="flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={demoMode} onChange={toggleDemo} /> Demo mode
+              </label>
+              {demoMode && <button onClick={simulateNow} className="px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Simulate Trip</button>}
+            </div>
+          )}
+        </div>
+        {demoMode && <div className="text-sm rounded-lg px-3 py-2 bg-amber-50 text-amber-800">Demo mode is on in this browser session: simulated trips are started and completed every minute. They are marked “demo” in the trip list and left out of odometer checks, driving hours, fleet analytics, reports and trace.</div>}
+        <div className="grid md:grid-cols-4 gap-4">
+          {vehicles.map(v => {
+            const current = currentTrip(db, v);
+            return (
+              <div key={v} className="rounded-2xl border border-gray-200 overflow-hidden cursor-pointer" onClick={()=> setModalVeh(v)}>
+                <div className="px-4 py-2" style={{ background: ACCENT, color: 'white' }}>{v}</div>
+                <div className="p-4 text-sm flex justify-between">
+                  <div>
+                    <div className="text-gray-500">Driver</div>
+                    <div className="font-medium">{current?.driver_name || '-'}</div>
+                  </div>
+                  <div className={`px-2 h-fit rounded ${tripBadge[current?.trip_status || 'Idle']}`}>{current?.trip_status || 'Idle'}</div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        <DataTable title="Trips" filename="trips" rows={trips} columns={tripColumns} initialSort={[]} addPermission="trip.manage" onAdd={()=> setActing({ to: "new" })} actions={(row)=> can("trip.manage", auth) && (
+          <div className="flex gap-3">
+            {(TRIP_TRANSITIONS[row.trip_status] || []).map(to => (
+              <button key={to} onClick={()=> setActing({ trip: row, to })} className="text-[var(--accent)] hover:text-[var(--accent-light)]">{actionLabel[to]}</button>
+            ))}
+          </div>
+        )} />
+        {acting && <TripDrawer db={db} trip={acting.trip} to={acting.to} onClose={()=> setActing(null)} onSave={transition} />}
+        {modalVeh && <TripHistoryModal vehicle={modalVeh} range={modalRange} onClose={()=> { setModalVeh(null); setModalRange(null); clearRouteQuery(); }} />}
+      </div>
+    </Guard>
+  );
+}
 
-  const totals = React.useMemo(() => {
-    const today = new Date().toDateString();
-    const receiptsToday = warehouse_receipts.filter(r => new Date(r.date_in).toDateString() === today).length;
-    const dispatchesToday = dispatches.filter(d => new Date(d.date_dispatched).toDateString() === today).length;
-    const onSite = inventory_snapshot.filter(i => i.status === "On Site").reduce((a, b) => a + (b.quantity || 0), 0);
-    return { receiptsToday, dispatchesToday, onSite };
-  }, [db]);
+const tripColumns = [
+  { key: 'trip_status', header: 'Status', type: 'enum', render: (v, row)=> <span className={`px-2 py-1 rounded ${tripBadge[v]}`}>{v}{row.demo ? ' · demo' : ''}</span> },
+  { key: 'vehicle_reg', header: 'Vehicle', type: 'enum' },
+  { key: 'driver_name', header: 'Driver', type: 'enum' },
+  { key: 'container_no', header: 'Container #' },
+  { key: 'start_time', header: 'Start', type: 'date', render: (v)=> v ? formatDate(v) : '—' },
+  { key: 'end_time', header: 'End', type: 'date', render: (v)=> v ? formatDate(v) : '—' },
+  { key: 'odometer_start', header: 'Odo Start', type: 'number', render: (v)=> v ?? '—' },
+  { key: 'odometer_end', header: 'Odo End', type: 'number', render: (v)=> v ?? '—' },
+  { key: 'distance_km', header: 'Distance (km)', type: 'number', render: (v)=> v ?? '—' },
+  { key: 'fuel_used_l', header: 'Fuel (L)', type: 'number', render: (v)=> v ?? '—' },
+];
 
-  const doughnutData = React.useMemo(() => {
-    const counts = {};
-    ["Bonded","FAK","On Site","In Transit","Dispatched"].forEach(k=>counts[k]=0);
-    db.inventory_snapshot.forEach(i => counts[i.status] = (counts[i.status]||0) + i.quantity);
-    return Object.entries(counts).map(([name, value]) => ({ name, value }));
-  }, [db]);
+// Plan/start a trip (to "new" or "Active"), or complete or cancel one.
+function TripDrawer({ db, trip, to, onClose, onSave }) {
+  const [form, setForm] = useState(() => trip ? { ...trip } : { id: uid("trip"), vehicle_reg: "", driver_name: "", container_no: "", planned_hours: DEFAULT_TRIP_HOURS, odometer_start: "" });
+  const starting = to === "new" || to === "Active";
+  const target = to === "new" ? "Active" : to;
+  const error = tripTransitionError(db, form, target);
+  const planError = to === "new" ? tripTransitionError(db, form, "Idle") : null;
+  const warning = starting && !error ? startHoursWarning(db, form) : null;
+  const onTrip = new Set(liveTrips(db).filter(t => ["Idle", "Active"].includes(t.trip_status)).map(t => normalizeContainerNo(t.container_no)));
+  const containers = db.dispatches.filter(d => isOpenDispatch(db, d) && !onTrip.has(normalizeContainerNo(d.container_no)));
 
-  const dailyMovement = React.useMemo(() => {
-    const map = {};
-    db.warehouse_receipts.forEach(r => { const d = new Date(r.date_in).toDateString(); map[d] = (map[d]||0) + r.quantity; });
-    db.dispatches.forEach(d => { const day = new Date(d.date_dispatched).toDateString(); map[day] = (map[day]||0) - d.qty_packed; });
-    return Object.entries(map).sort((a,b)=> new Date(a[0]) - new Date(b[0])).map(([date, qty]) => ({ date, qty }));
-  }, [db]);
+  function pickVehicle(vehicle_reg) {
+    setForm(f => ({ ...f, vehicle_reg, odometer_start: lastOdometer(db, vehicle_reg) || "" }));
+  }
 
-  const fuelByVehicle = React.useMemo(() => {
-    const m = {};
-    db.transport_trips.forEach(t => { m[t.vehicle_reg] = (m[t.vehicle_reg]||0) + Number(t.fuel_used_l||0); });
-    return Object.entries(m).map(([vehicle, fuel]) => ({ vehicle, fuel }));
-  }, [db]);
+  // a dispatch already names its truck and driver
+  function pickContainer(value) {
+    const d = containers.find(x => normalizeContainerNo(x.container_no) === normalizeContainerNo(value));
+    setForm(f => ({ ...f, container_no: value, ...(d && !f.vehicle_reg && activeVehicles(db).some(v => v.vehicle_reg === d.truck_reg) ? { vehicle_reg: d.truck_reg, odometer_start: lastOdometer(db, d.truck_reg) || "" } : {}), ...(d && !f.driver_name && activeDrivers(db).some(x => x.name === d.driver_name) ? { driver_name: d.driver_name } : {}) }));
+  }
 
-  function printPDF() {
-    window.print();
+  function submit(e, status = target) {
+    e.preventDefault();
+    onSave({ ...form, container_no: normalizeContainerNo(form.container_no) }, status);
   }
 
+  const title = { new: "New Trip", Active: "Start Trip", Completed: "Complete Trip", Cancelled: "Cancel Trip" }[to];
   return (
-    <div className="space-y-4">
-      <div className="flex items-center justify-between">
-        <h2 className="text-xl font-semibold">Executive Dashboard</h2>
-        <button onClick={printPDF} className="px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Download PDF Snapshot</button>
-      </div>
-
-      <div className="grid md:grid-cols-3 gap-4">
-        <KPI title="Total On-Site" value={totals.onSite} />
-        <KPI title="Today's Receipts" value={totals.receiptsToday} />
-        <KPI title="Today's Dispatches" value={totals.dispatchesToday} />
-      </div>
-
-      <div className="grid md:grid-cols-2 gap-4">
-        <div className="bg-white rounded-2xl border border-gray-200 p-4">
-          <div className="font-semibold mb-2">Bonded vs FAK vs Other</div>
-          <div className="h-72">
-            <ResponsiveContainer width="100%" height="100%">
-              <PieChart>
-                <Pie data={doughnutData} dataKey="value" nameKey="name" innerRadius={60} outerRadius={90}>
-                  {doughnutData.map((_, i) => <Cell key={i} />)}
-                </Pie>
-                <Tooltip />
-                <Legend />
-              </PieChart>
-            </ResponsiveContainer>
-          </div>
+    <div className="fixed inset-0 bg-black/40 flex justify-end z-50">
+      <div className="w-full max-w-md bg-white h-full p-4 overflow-auto">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-semibold">{title}</div>
+          <button onClick={onClose} className="text-gray-500">✕</button>
         </div>
-        <div className="bg-white rounded-2xl border border-gray-200 p-4">
-          <div className="font-semibold mb-2">Daily Movement</div>
-          <div className="h-72">
-            <ResponsiveContainer width="100%" height="100%">
-              <LineChart data={dailyMovement}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="date" tick={{ fontSize: 12 }} />
-                <YAxis />
-                <Tooltip />
-                <Line type="monotone" dataKey="qty" dot={false} />
-              </LineChart>
-            </ResponsiveContainer>
+        {!starting && <div className="text-sm text-gray-600 mb-3">{form.vehicle_reg} · {form.driver_name} · {form.container_no}{form.start_time ? ` · started ${formatDate(form.start_time)}` : ""}</div>}
+        <form onSubmit={submit} className="grid grid-cols-2 gap-3">
+          {starting && (
+            <>
+              <div className="col-span-2">
+                <label className="text-xs text-gray-600">Container #</label>
+                <input list="trip-containers" className="w-full px-3 py-2 border rounded-lg" value={form.container_no} onChange={(e)=> pickContainer(e.target.value)} placeholder="MSCU1234566" required />
+                <datalist id="trip-containers">
+                  {containers.map(d => <option key={d.id} value={d.container_no}>{d.cargo_id}</option>)}
+                </datalist>
+              </div>
+              <div className="col-span-2">
+                <label className="text-xs text-gray-600">Vehicle</label>
+                <VehicleSelect db={db} value={form.vehicle_reg} onChange={pickVehicle} />
+              </div>
+              <div className="col-span-2">
+                <label className="text-xs text-gray-600">Driver</label>
+                <DriverSelect db={db} value={form.driver_name} onChange={(driver_name)=> setForm(f=>({...f, driver_name}))} />
+              </div>
+              <div>
+                <label className="text-xs text-gray-600">Planned Hours</label>
+                <input type="number" min="0.5" step="0.5" className="w-full px-3 py-2 border rounded-lg" value={form.planned_hours} onChange={(e)=> setForm(f=>({...f, planned_hours: e.target.value}))} required />
+              </div>
+              <div>
+                <label className="text-xs text-gray-600">Opening Odometer (km)</label>
+                <input type="number" min="0" step="0.1" className="w-full px-3 py-2 border rounded-lg" value={form.odometer_start} onChange={(e)=> setForm(f=>({...f, odometer_start: e.target.value}))} />
+              </div>
+            </>
+          )}
+          {to === "Completed" && (
+            <>
+              <div>
+                <label className="text-xs text-gray-600">Opening Odometer (km)</label>
+                <input className="w-full px-3 py-2 border rounded-lg bg-gray-50" value={form.odometer_start} disabled />
+              </div>
+              <div>
+                <label className="text-xs text-gray-600">Closing Odometer (km)</label>
+                <input type="number" min={form.odometer_start} step="0.1" className="w-full px-3 py-2 border rounded-lg" value={form.odometer_end ?? ""} onChange={(e)=> setForm(f=>({...f, odometer_end: e.target.value}))} required />
+              </div>
+              <div>
+                <label className="text-xs text-gray-600">Fuel Used (L)</label>
+                <input type="number" min="0" step="0.1" className="w-full px-3 py-2 border rounded-lg" value={form.fuel_used_l ?? ""} onChange={(e)=> setForm(f=>({...f, fuel_used_l: e.target.value}))} required />
+              </div>
+              <div>
+                <label className="text-xs text-gray-600">Distance (km)</label>
+                <input className="w-full px-3 py-2 border rounded-lg bg-gray-50" value={Number(form.odometer_end) > Number(form.odometer_start) ? round1(form.odometer_end - form.odometer_start) : ""} disabled />
+              </div>
+            </>
+          )}
+          {to === "Cancelled" && (
+            <div className="col-span-2">
+              <label className="text-xs text-gray-600">Reason</label>
+              <textarea className="w-full px-3 py-2 border rounded-lg" value={form.cancel_reason || ""} onChange={(e)=> setForm(f=>({...f, cancel_reason: e.target.value}))} required />
+            </div>
+          )}
+          {error && <div className="col-span-2 text-sm text-red-700">{error}</div>}
+          {warning && <div className="col-span-2 text-sm text-orange-700">{warning}</div>}
+          <div className="col-span-2 flex justify-end gap-2 pt-2">
+            <button type="button" onClick={onClose} className="px-3 py-2 rounded-lg bg-gray-100">Close</button>
+            {to === "new" && <button type="button" disabled={!!planError} onClick={(e)=> submit(e, "Idle")} className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50">Plan Only</button>}
+            <button disabled={!!error} className={`px-3 py-2 rounded-lg text-white disabled:opacity-50 ${to === "Cancelled" ? "bg-red-600" : ""}`} style={to === "Cancelled" ? undefined : { background: ACCENT }}>{{ new: "Start Trip", Active: "Start Trip", Completed: "Complete Trip", Cancelled: "Cancel Trip" }[to]}</button>
           </div>
-        </div>
-      </div>
-
-      <div className="bg-white rounded-2xl border border-gray-200 p-4">
-        <div className="font-semibold mb-2">Fuel by Vehicle</div>
-        <div className="h-80">
-          <ResponsiveContainer width="100%" height="100%">
-            <BarChart data={fuelByVehicle}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="vehicle" />
-              <YAxis />
-              <Tooltip />
-              <Bar dataKey="fuel" />
-            </BarChart>
-          </ResponsiveContainer>
-        </div>
+        </form>
       </div>
-
-      <VehicleStatusCards />
-    </div>
-  );
-}
-
-function KPI({ title, value }) {
-  return (
-    <div className="rounded-2xl border border-gray-200 bg-white p-4">
-      <div className="text-sm text-gray-500">{title}</div>
-      <div className="text-3xl font-semibold mt-1">{value}</div>
     </div>
   );
 }
 
-function VehicleStatusCards() {
-  const db = getDB();
-  const vehicles = Array.from(new Set(db.transport_trips.map(t => t.vehicle_reg)));
-  const latestByVehicle = vehicles.map(v => {
-    const t = db.transport_trips.filter(x => x.vehicle_reg === v).sort((a,b)=> new Date(b.start_time)-new Date(a.start_time))[0];
-    return { vehicle_reg: v, status: t?.trip_status || "Idle", driver: t?.driver_name || "-" };
-  });
+function TripHistoryModal({ vehicle, range, onClose }) {
+  const rows = useMemo(() => liveTrips(getDB()).filter(t => t.vehicle_reg === vehicle && inRange(t.start_time, range)).sort((a,b)=> new Date(b.start_time)-new Date(a.start_time)), [vehicle, range]);
   return (
-    <div className="grid md:grid-cols-4 gap-4">
-      {latestByVehicle.map((v) => (
-        <div key={v.vehicle_reg} className="rounded-2xl border border-gray-200 overflow-hidden">
-          <div className="px-4 py-2" style={{ background: ACCENT, color: 'white' }}>{v.vehicle_reg}</div>
-          <div className="p-4 text-sm flex justify-between">
-            <div>
-              <div className="text-gray-500">Driver</div>
-              <div className="font-medium">{v.driver}</div>
-            </div>
-            <div className={`px-2 h-fit rounded ${tripBadge[v.status]}`}>{v.status}</div>
-          </div>
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
+      <div className="w-full max-w-3xl max-h-[80vh] overflow-auto bg-white rounded-2xl p-4">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-semibold">Trip History – {vehicle}{range ? ` · ${rangeLabel(range)}` : ""}</div>
+          <button onClick={onClose} className="text-gray-500">✕</button>
         </div>
-      ))}
+        <DataTable title="" filename={`trips_${vehicle}`} rows={rows} columns={tripHistoryColumns} />
+      </div>
     </div>
   );
 }
 
-function ReceiptPage() {
-  const [db, setDbState] = useState(getDB());
-  const [show, setShow] = useState(false);
+const tripHistoryColumns = [
+  { key:'start_time', header:'Start', type: 'date', render:(v)=> v ? formatDate(v) : '—' },
+  { key:'end_time', header:'End', type: 'date', render:(v)=> v ? formatDate(v) : '—' },
+  { key:'distance_km', header:'Distance (km)', type: 'number' },
+  { key:'fuel_used_l', header:'Fuel (L)', type: 'number' },
+  { key:'container_no', header:'Container #' },
+  { key:'driver_name', header:'Driver' },
+  { key:'trip_status', header:'Status', type: 'enum' },
+];
+
+// Renders an expiry date, orange within warnDays and red once passed.
+const expiryCell = (warnDays) => (v) => {
+  if (!v) return '—';
+  const days = Math.ceil((new Date(v) - new Date()) / DAY_MS);
+  return <span className={days <= 0 ? 'text-red-700 font-medium' : days <= warnDays ? 'text-orange-700 font-medium' : ''}>{formatDay(v)}</span>;
+};
+
+function VehiclesPage() {
+  const [db, setDbState] = useState(getDB);
+  const [editing, setEditing] = useState(null);
   const { push, node } = useToasts();
   const auth = getAuth();
+  const canManage = can("vehicle.manage", auth);
+  const warnDays = alertSettings(db).vehicle_doc_days;
 
-  function save(newRec) {
-    const next = { ...db };
-    next.warehouse_receipts = [newRec, ...next.warehouse_receipts];
-    // upsert inventory snapshot
-    let inv = next.inventory_snapshot.find(i => i.cargo_id === newRec.cargo_id);
-    if (!inv) {
-      inv = { id: uid("inv"), cargo_id: newRec.cargo_id, status: "On Site", quantity: 0, weight_kg: 0, last_movement: newRec.date_in };
-      next.inventory_snapshot.push(inv);
-    }
-    inv.quantity += Number(newRec.quantity);
-    inv.weight_kg += Number(newRec.weight_kg);
-    inv.status = "On Site";
-    inv.last_movement = newRec.date_in;
-    setDB(next);
+  function commit(next, message) {
+    setDB(next, { note: message });
     setDbState(next);
-    setShow(false);
-    push("Label queued to Honeywell (mock)");
+    push(message);
   }
 
-  const cols = [
-    { key: 'date_in', header: 'Date In', render: (v)=> formatDate(v)},
-    { key: 'cargo_id', header: 'Cargo ID' },
-    { key: 'indent_number', header: 'Indent #' },
-    { key: 'quantity', header: 'Qty' },
-    { key: 'weight_kg', header: 'Weight (kg)' },
-    { key: 'vehicle_reg', header: 'Vehicle' },
-    { key: 'driver_name', header: 'Driver' },
-    { key: 'expiry_date', header: 'Expiry', render: (v)=> formatDay(v)},
-    { key: 'inspection_date', header: 'Inspection', render: (v)=> formatDay(v)},
-    { key: 'label_printed', header: 'Label', render: (v)=> v? 'Yes':'No' },
-  ];
+  function save(rec) {
+    const vehicle_reg = normalizeReg(rec.vehicle_reg);
+    if (db.vehicles.some(v => v.id !== rec.id && v.vehicle_reg === vehicle_reg)) { push(`Registration ${vehicle_reg} is already in use`); return; }
+    const vehicle = { ...rec, vehicle_reg, payload_kg: Number(rec.payload_kg) || null, tank_l: Number(rec.tank_l) || null };
+    const exists = db.vehicles.some(v => v.id === rec.id);
+    setEditing(null);
+    commit({ ...db, vehicles: exists ? db.vehicles.map(v => v.id === rec.id ? vehicle : v) : [...db.vehicles, vehicle] }, `Vehicle ${vehicle_reg} ${exists ? "updated" : "added"}`);
+  }
+
+  function toggle(v) {
+    if (v.active !== false && liveTrips(db).some(t => t.vehicle_reg === v.vehicle_reg && t.trip_status === "Active")) {
+      push(`${v.vehicle_reg} is on an active trip and cannot be retired`);
+      return;
+    }
+    const active = v.active === false;
+    commit({ ...db, vehicles: db.vehicles.map(x => x.id === v.id ? { ...x, active, retired_at: active ? null : new Date().toISOString() } : x) }, `Vehicle ${v.vehicle_reg} ${active ? "reinstated" : "retired"}`);
+  }
+
+  const rows = useMemo(() => db.vehicles.map(v => ({ ...v, trips: liveTrips(db).filter(t => t.vehicle_reg === v.vehicle_reg).length })), [db]);
+  const columns = useMemo(() => [
+    { key: 'vehicle_reg', header: 'Registration' },
+    { key: 'type', header: 'Type', type: 'enum', render: (v)=> v || '—' },
+    { key: 'payload_kg', header: 'Payload (kg)', type: 'number', render: (v)=> v ?? '—' },
+    { key: 'tank_l', header: 'Tank (L)', type: 'number', render: (v)=> v ?? '—' },
+    { key: 'licence_disc_expiry', header: 'Licence Disc', type: 'date', render: expiryCell(warnDays) },
+    { key: 'roadworthy_expiry', header: 'Roadworthy', type: 'date', render: expiryCell(warnDays) },
+    { key: 'trips', header: 'Trips', type: 'number' },
+    { key: 'active', header: 'Status', type: 'boolean', render: (v)=> <span className={`px-2 py-1 rounded ${v !== false ? "bg-green-100 text-green-700" : "bg-gray-100 text-gray-600"}`}>{v !== false ? "Active" : "Retired"}</span> },
+  ], [warnDays]);
 
   return (
-    <Guard allow={["Admin","Supervisor"]}>
-      <div>
+    <Guard perm="transport.view">
+      <div className="space-y-4">
         {node}
-        <DataTable title="Warehouse Receipts" filename="warehouse_receipts" rows={db.warehouse_receipts} columns={cols} onAdd={() => setShow(true)} />
-        {show && <ReceiptDrawer onClose={()=>setShow(false)} onSave={save} />}
+        <DataTable title="Vehicles" filename="vehicles" rows={rows} columns={columns} addPermission="vehicle.manage" onAdd={()=> setEditing({})} actions={(row)=> canManage && (
+          <div className="flex gap-3">
+            <button onClick={()=> setEditing(row)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">Edit</button>
+            <button onClick={()=> toggle(row)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">{row.active !== false ? "Retire" : "Reinstate"}</button>
+          </div>
+        )} />
+        {editing && <VehicleDrawer db={db} initial={editing.id ? editing : null} onClose={()=> setEditing(null)} onSave={save} />}
       </div>
     </Guard>
   );
 }
 
-function ReceiptDrawer({ onClose, onSave }) {
-  const [form, setForm] = useState({
-    id: uid("rcpt"),
-    cargo_id: `CG-${rand(100,999)}`,
-    date_in: new Date().toISOString(),
-    indent_number: `${rand(10000, 99999)}`,
-    quantity: 10,
-    marks_numbers: "",
-    weight_kg: 100,
-    total_qty: 10,
-    vehicle_reg: `ND ${rand(1000,9999)}`,
-    driver_name: "",
-    expiry_date: addDays(new Date(), 30),
-    inspection_date: new Date().toISOString(),
-    comments: "",
-    label_printed: false,
+function VehicleDrawer({ db, initial, onClose, onSave }) {
+  const [form, setForm] = useState(() => {
+    const { trips, ...rest } = initial || {};
+    return initial ? rest : { id: uid("veh"), vehicle_reg: "", type: VEHICLE_TYPES[0], payload_kg: "", tank_l: "", licence_disc_expiry: "", roadworthy_expiry: "", active: true };
   });
-
-  function submit(e) {
-    e.preventDefault();
-    onSave(form);
-  }
-
+  // records point at the registration, so it cannot change once anything uses it
+  const regLocked = !!initial && vehicleInUse(db, initial.vehicle_reg);
+  const dateField = (key) => form[key] ? new Date(form[key]).toISOString().slice(0,10) : "";
+  function submit(e) { e.preventDefault(); onSave(form); }
   return (
     <div className="fixed inset-0 bg-black/40 flex justify-end z-50">
       <div className="w-full max-w-md bg-white h-full p-4 overflow-auto">
         <div className="flex items-center justify-between mb-2">
-          <div className="font-semibold">New Receipt</div>
+          <div className="font-semibold">{initial ? `Edit ${initial.vehicle_reg}` : "New Vehicle"}</div>
           <button onClick={onClose} className="text-gray-500">✕</button>
         </div>
         <form onSubmit={submit} className="grid grid-cols-2 gap-3">
-          {Object.entries({
-            cargo_id: "Cargo ID", indent_number: "Indent #", quantity: "Quantity", marks_numbers: "Marks/Numbers", weight_kg: "Weight (kg)", total_qty: "Total Qty", vehicle_reg: "Vehicle Reg", driver_name: "Driver Name", comments: "Comments"
-          }).map(([key, label]) => (
-            <div key={key} className="col-span-2">
-              <label className="text-xs text-gray-600">{label}</label>
-              <input className="w-full px-3 py-2 border rounded-lg" value={form[key]} onChange={(e)=> setForm(f=>({...f,[key]: e.target.value}))} required={['comments','marks_numbers'].includes(key)?false:true} />
-            </div>
-          ))}
+          <div className="col-span-2">
+            <label className="text-xs text-gray-600">Registration</label>
+            <input className="w-full px-3 py-2 border rounded-lg disabled:bg-gray-50" value={form.vehicle_reg} disabled={regLocked} onChange={(e)=> setForm(f=>({...f, vehicle_reg: e.target.value}))} placeholder="ND 1234" required />
+            {regLocked && <div className="text-xs text-gray-500 mt-1">Used on existing records; retire the vehicle instead of renaming it.</div>}
+          </div>
+          <div className="col-span-2">
+            <label className="text-xs text-gray-600">Type</label>
+            <select className="w-full px-3 py-2 border rounded-lg" value={form.type || ""} onChange={(e)=> setForm(f=>({...f, type: e.target.value}))} required>
+              <option value="">Select type…</option>
+              {VEHICLE_TYPES.map(t => <option key={t}>{t}</option>)}
+            </select>
+          </div>
           <div>
-            <label className="text-xs text-gray-600">Date In</label>
-            <input type="datetime-local" className="w-full px-3 py-2 border rounded-lg" value={new Date(form.date_in).toISOString().slice(0,16)} onChange={(e)=> setForm(f=>({...f,date_in: new Date(e.target.value).toISOString()}))} />
+            <label className="text-xs text-gray-600">Payload Capacity (kg)</label>
+            <input type="number" min="0" className="w-full px-3 py-2 border rounded-lg" value={form.payload_kg ?? ""} onChange={(e)=> setForm(f=>({...f, payload_kg: e.target.value}))} required />
           </div>
           <div>
-            <label className="text-xs text-gray-600">Inspection Date</label>
-            <input type="date" className="w-full px-3 py-2 border rounded-lg" value={new Date(form.inspection_date).toISOString().slice(0,10)} onChange={(e)=> setForm(f=>({...f,inspection_date: new Date(e.target.value).toISOString()}))} />
+            <label className="text-xs text-gray-600">Tank Size (L)</label>
+            <input type="number" min="0" className="w-full px-3 py-2 border rounded-lg" value={form.tank_l ?? ""} onChange={(e)=> setForm(f=>({...f, tank_l: e.target.value}))} required />
           </div>
           <div>
-            <label className="text-xs text-gray-600">Expiry Date</label>
-            <input type="date" className="w-full px-3 py-2 border rounded-lg" value={new Date(form.expiry_date).toISOString().slice(0,10)} onChange={(e)=> setForm(f=>({...f,expiry_date: new Date(e.target.value).toISOString()}))} />
+            <label className="text-xs text-gray-600">Licence Disc Expiry</label>
+            <input type="date" className="w-full px-3 py-2 border rounded-lg" value={dateField("licence_disc_expiry")} onChange={(e)=> setForm(f=>({...f, licence_disc_expiry: e.target.value ? new Date(e.target.value).toISOString() : null}))} required />
           </div>
-          <div className="flex items-center gap-2 mt-2">
-            <input type="checkbox" checked={form.label_printed} onChange={(e)=> setForm(f=>({...f,label_printed: e.target.checked}))} />
-            <span className="text-sm">Label printed</span>
+          <div>
+            <label className="text-xs text-gray-600">Roadworthy Expiry</label>
+            <input type="date" className="w-full px-3 py-2 border rounded-lg" value={dateField("roadworthy_expiry")} onChange={(e)=> setForm(f=>({...f, roadworthy_expiry: e.target.value ? new Date(e.target.value).toISOString() : null}))} required />
           </div>
-          <div className="col-span-2 mt-2 flex justify-end gap-2">
+          <div className="col-span-2 flex justify-end gap-2 pt-2">
             <button type="button" onClick={onClose} className="px-3 py-2 rounded-lg bg-gray-100">Cancel</button>
-            <button className="px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Save & Print Label</button>
+            <button className="px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Save</button>
           </div>
         </form>
       </div>
@@ -738,308 +5126,577 @@ function ReceiptDrawer({ onClose, onSave }) {
   );
 }
 
-function DispatchPage() {
-  const [db, setDbState] = useState(getDB());
-  const [show, setShow] = useState(false);
+// Renders driven hours against a limit, orange past 80% and red over it.
+const hoursCell = (limit) => (v) => <span className={v > limit ? 'text-red-700 font-medium' : v > limit * 0.8 ? 'text-orange-700 font-medium' : ''}>{v} / {limit}</span>;
 
-  function save(newD) {
-    const next = { ...db };
-    next.dispatches = [newD, ...next.dispatches];
-    // deduct from inventory
-    const inv = next.inventory_snapshot.find(i => i.cargo_id === newD.cargo_id);
-    if (inv) {
-      inv.quantity = Math.max(0, inv.quantity - Number(newD.qty_packed));
-      inv.weight_kg = Math.max(0, inv.weight_kg - Number(newD.total_weight_kg));
-      if (inv.quantity === 0) inv.status = "Dispatched";
-      inv.last_movement = newD.date_dispatched;
-    }
-    setDB(next);
+function DriversPage() {
+  const [db, setDbState] = useState(getDB);
+  const [editing, setEditing] = useState(null);
+  const { push, node } = useToasts();
+  const auth = getAuth();
+  const canManage = can("driver.manage", auth);
+  const warnDays = alertSettings(db).driver_doc_days;
+  const { max_daily_hours, max_weekly_hours } = fleetSettings(db);
+
+  function commit(next, message) {
+    setDB(next, { note: message });
     setDbState(next);
-    setShow(false);
+    push(message);
   }
 
-  const cols = [
-    { key: 'date_packed', header: 'Date Packed', render: (v)=> formatDate(v)},
-    { key: 'date_dispatched', header: 'Date Dispatched', render: (v)=> formatDate(v)},
-    { key: 'cargo_id', header: 'Cargo ID' },
-    { key: 'container_no', header: 'Container #' },
-    { key: 'qty_packed', header: 'Qty' },
-    { key: 'total_weight_kg', header: 'Weight (kg)' },
-    { key: 'truck_reg', header: 'Truck' },
-    { key: 'driver_name', header: 'Driver' },
-    { key: 'inspections_completed', header: 'Inspections', render: (v)=> v? '✅':'—' },
-  ];
+  function save(rec) {
+    const name = normalizeDriverName(rec.name);
+    const clash = db.drivers.find(d => d.id !== rec.id && driverKey(d.name) === driverKey(name));
+    if (clash) { push(`${name} is already registered as ${clash.name}`); return; }
+    const driver = { ...rec, name };
+    const exists = db.drivers.some(d => d.id === rec.id);
+    setEditing(null);
+    commit({ ...db, drivers: exists ? db.drivers.map(d => d.id === rec.id ? driver : d) : [...db.drivers, driver] }, `Driver ${name} ${exists ? "updated" : "added"}`);
+  }
+
+  function toggle(d) {
+    if (d.active !== false && liveTrips(db).some(t => t.driver_name === d.name && t.trip_status === "Active")) {
+      push(`${d.name} is on an active trip and cannot be retired`);
+      return;
+    }
+    const active = d.active === false;
+    commit({ ...db, drivers: db.drivers.map(x => x.id === d.id ? { ...x, active, retired_at: active ? null : new Date().toISOString() } : x) }, `Driver ${d.name} ${active ? "reinstated" : "retired"}`);
+  }
+
+  const rows = useMemo(() => db.drivers.map(d => {
+    const h = driverHours(db, d.name);
+    return { ...d, hours_day: h.day, hours_week: h.week };
+  }), [db]);
+  const columns = useMemo(() => [
+    { key: 'name', header: 'Name' },
+    { key: 'licence_class', header: 'Licence Code', type: 'enum', render: (v)=> v || '—' },
+    { key: 'licence_no', header: 'Licence #', render: (v)=> v || '—' },
+    { key: 'licence_expiry', header: 'Licence Expiry', type: 'date', render: expiryCell(warnDays) },
+    { key: 'prdp_expiry', header: 'PrDP Expiry', type: 'date', render: expiryCell(warnDays) },
+    { key: 'phone', header: 'Phone', render: (v)=> v || '—' },
+    { key: 'hours_day', header: 'Hours (24 h)', type: 'number', render: hoursCell(max_daily_hours) },
+    { key: 'hours_week', header: 'Hours (7 days)', type: 'number', render: hoursCell(max_weekly_hours) },
+    { key: 'active', header: 'Status', type: 'boolean', render: (v)=> <span className={`px-2 py-1 rounded ${v !== false ? "bg-green-100 text-green-700" : "bg-gray-100 text-gray-600"}`}>{v !== false ? "Active" : "Retired"}</span> },
+  ], [warnDays, max_daily_hours, max_weekly_hours]);
 
   return (
-    <Guard allow={["Admin","Supervisor"]}>
-      <div>
-        <DataTable title="Dispatches" filename="dispatches" rows={db.dispatches} columns={cols} onAdd={() => setShow(true)} />
-        {show && <DispatchDrawer onClose={()=>setShow(false)} onSave={save} />}
+    <Guard perm="transport.view">
+      <div className="space-y-4">
+        {node}
+        <DataTable title="Drivers" filename="drivers" rows={rows} columns={columns} addPermission="driver.manage" onAdd={()=> setEditing({})} actions={(row)=> canManage && (
+          <div className="flex gap-3">
+            <button onClick={()=> setEditing(row)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">Edit</button>
+            <button onClick={()=> toggle(row)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">{row.active !== false ? "Retire" : "Reinstate"}</button>
+          </div>
+        )} />
+        {editing && <DriverDrawer db={db} initial={editing.id ? editing : null} onClose={()=> setEditing(null)} onSave={save} />}
       </div>
     </Guard>
   );
 }
 
-function DispatchDrawer({ onClose, onSave }) {
-  const [form, setForm] = useState({
-    id: uid("dsp"),
-    cargo_id: `CG-${rand(100,999)}`,
-    container_no: `MSCU${rand(1000000, 9999999)}`,
-    seal_no_1: `${rand(100000,999999)}`,
-    seal_no_2: `${rand(100000,999999)}`,
-    date_packed: new Date().toISOString(),
-    date_dispatched: new Date().toISOString(),
-    truck_reg: `ND ${rand(1000,9999)}`,
-    driver_name: "",
-    qty_packed: 10,
-    marks_numbers_packed: "",
-    total_weight_kg: 100,
-    inspections_completed: true,
+function DriverDrawer({ db, initial, onClose, onSave }) {
+  const [form, setForm] = useState(() => {
+    const { hours_day, hours_week, ...rest } = initial || {};
+    return initial ? rest : { id: uid("drv"), name: "", licence_no: "", licence_class: "EC", licence_expiry: "", prdp_expiry: "", phone: "", email: "", active: true };
   });
-
-  function submit(e) {
-    e.preventDefault();
-    onSave(form);
-  }
-
+  // records carry the driver's name, so it cannot change once anything uses it
+  const nameLocked = !!initial && driverInUse(db, initial.name);
+  const dateField = (key) => form[key] ? new Date(form[key]).toISOString().slice(0,10) : "";
+  const setDate = (key) => (e) => setForm(f=>({...f, [key]: e.target.value ? new Date(e.target.value).toISOString() : null}));
+  function submit(e) { e.preventDefault(); onSave(form); }
   return (
     <div className="fixed inset-0 bg-black/40 flex justify-end z-50">
-      <div className="w_full max-w-md bg-white h-full p-4 overflow-auto">
+      <div className="w-full max-w-md bg-white h-full p-4 overflow-auto">
         <div className="flex items-center justify-between mb-2">
-          <div className="font-semibold">New Dispatch</div>
+          <div className="font-semibold">{initial ? `Edit ${initial.name}` : "New Driver"}</div>
           <button onClick={onClose} className="text-gray-500">✕</button>
         </div>
         <form onSubmit={submit} className="grid grid-cols-2 gap-3">
-          {Object.entries({
-            cargo_id: "Cargo ID", container_no: "Container #", seal_no_1: "Seal #1", seal_no_2: "Seal #2", truck_reg: "Truck Reg", driver_name: "Driver Name", qty_packed: "Quantity", marks_numbers_packed: "Marks/Numbers", total_weight_kg: "Weight (kg)"
-          }).map(([key, label]) => (
-            <div key={key} className="col-span-2">
-              <label className="text-xs text-gray-600">{label}</label>
-              <input className="w-full px-3 py-2 border rounded-lg" value={form[key]} onChange={(e)=> setForm(f=>({...f,[key]: e.target.value}))} required={['marks_numbers_packed'].includes(key)?false:true} />
-            </div>
-          ))}
+          <div className="col-span-2">
+            <label className="text-xs text-gray-600">Name</label>
+            <input className="w-full px-3 py-2 border rounded-lg disabled:bg-gray-50" value={form.name} disabled={nameLocked} onChange={(e)=> setForm(f=>({...f, name: e.target.value}))} placeholder="S. Dlamini" required />
+            {nameLocked && <div className="text-xs text-gray-500 mt-1">Used on existing records; retire the driver instead of renaming.</div>}
+          </div>
           <div>
-            <label className="text-xs text-gray-600">Date Packed</label>
-            <input type="datetime-local" className="w-full px-3 py-2 border rounded-lg" value={new Date(form.date_packed).toISOString().slice(0,16)} onChange={(e)=> setForm(f=>({...f,date_packed: new Date(e.target.value).toISOString()}))} />
+            <label className="text-xs text-gray-600">Licence Code</label>
+            <select className="w-full px-3 py-2 border rounded-lg" value={form.licence_class || ""} onChange={(e)=> setForm(f=>({...f, licence_class: e.target.value}))} required>
+              <option value="">Select…</option>
+              {LICENCE_CLASSES.map(c => <option key={c}>{c}</option>)}
+            </select>
           </div>
           <div>
-            <label className="text-xs text-gray-600">Date Dispatched</label>
-            <input type="datetime-local" className="w-full px-3 py-2 border rounded-lg" value={new Date(form.date_dispatched).toISOString().slice(0,16)} onChange={(e)=> setForm(f=>({...f,date_dispatched: new Date(e.target.value).toISOString()}))} />
+            <label className="text-xs text-gray-600">Licence #</label>
+            <input className="w-full px-3 py-2 border rounded-lg" value={form.licence_no} onChange={(e)=> setForm(f=>({...f, licence_no: e.target.value}))} required />
           </div>
-          <div className="flex items-center gap-2 mt-2">
-            <input type="checkbox" checked={form.inspections_completed} onChange={(e)=> setForm(f=>({...f,inspections_completed: e.target.checked}))} />
-            <span className="text-sm">Inspections completed</span>
+          <div>
+            <label className="text-xs text-gray-600">Licence Expiry</label>
+            <input type="date" className="w-full px-3 py-2 border rounded-lg" value={dateField("licence_expiry")} onChange={setDate("licence_expiry")} required />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">PrDP Expiry</label>
+            <input type="date" className="w-full px-3 py-2 border rounded-lg" value={dateField("prdp_expiry")} onChange={setDate("prdp_expiry")} required />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">Phone</label>
+            <input type="tel" className="w-full px-3 py-2 border rounded-lg" value={form.phone} onChange={(e)=> setForm(f=>({...f, phone: e.target.value}))} required />
+          </div>
+          <div>
+            <label className="text-xs text-gray-600">Email</label>
+            <input type="email" className="w-full px-3 py-2 border rounded-lg" value={form.email} onChange={(e)=> setForm(f=>({...f, email: e.target.value}))} />
+          </div>
+          <div className="col-span-2 flex justify-end gap-2 pt-2">
+            <button type="button" onClick={onClose} className="px-3 py-2 rounded-lg bg-gray-100">Cancel</button>
+            <button className="px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Save</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+const fuelStatColumns = (key, header) => [
+  { key, header },
+  { key: 'trips', header: 'Trips', type: 'number' },
+  { key: 'km', header: 'Distance (km)', type: 'number' },
+  { key: 'litres', header: 'Fuel (L)', type: 'number' },
+  { key: 'l_per_100km', header: 'L/100 km', type: 'number' },
+  { key: 'cost', header: 'Fuel Cost', type: 'number', render: (v)=> formatMoney(v) },
+  { key: 'cost_per_km', header: 'Cost/km', type: 'number', render: (v)=> formatMoney(v) },
+];
+const vehicleFuelColumns = fuelStatColumns('vehicle_reg', 'Vehicle');
+const driverFuelColumns = fuelStatColumns('driver_name', 'Driver');
+const anomalyColumns = [
+  { key: 'start_time', header: 'Start', type: 'date', render: (v)=> formatDate(v) },
+  { key: 'vehicle_reg', header: 'Vehicle' },
+  { key: 'driver_name', header: 'Driver' },
+  { key: 'distance_km', header: 'Distance (km)', type: 'number' },
+  { key: 'fuel_used_l', header: 'Fuel (L)', type: 'number' },
+  { key: 'l_per_100km', header: 'L/100 km', type: 'number' },
+  { key: 'baseline', header: 'Vehicle Baseline', type: 'number' },
+  { key: 'deviation', header: 'Deviation', type: 'number', render: (v)=> <span className={v > 0 ? 'text-red-700 font-medium' : 'text-orange-700 font-medium'}>{v > 0 ? `+${v}` : v}%</span> },
+  { key: 'suspected', header: 'Suspected', type: 'enum' },
+];
+
+function FleetPage() {
+  const [db] = useState(getDB);
+  const [preset, setPreset] = useState("30d");
+  const [custom, setCustom] = useState({ from: dayKey(addDays(new Date(), -29)), to: dayKey(new Date()) });
+  const range = useMemo(() => presetRange(preset, custom), [preset, custom]);
+  const { fuel_price_per_l: price, anomaly_pct } = fleetSettings(db);
+
+  const { trend, anomalies, byVehicle, byDriver, fleet } = useMemo(() => {
+    const trips = liveTrips(db).filter(t => inRange(t.start_time, range));
+    return {
+      byVehicle: fuelStats(trips, "vehicle_reg", price),
+      byDriver: fuelStats(trips, "driver_name", price),
+      trend: fuelTrend(trips, range, price),
+      anomalies: fuelAnomalies(trips, liveTrips(db), anomaly_pct),
+      fleet: fuelStats(trips.map(t => ({ ...t, fleet: "all" })), "fleet", price)[0],
+    };
+  }, [db, range, price, anomaly_pct]);
+
+  return (
+    <Guard perm="transport.view">
+      <div className="space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-xl font-semibold">Fleet Analytics</h2>
+          <div className="text-sm text-gray-500">Fuel price {formatMoney(price)}/L · anomalies at ±{anomaly_pct}% of vehicle baseline</div>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          {Object.entries(DATE_PRESETS).map(([k, label]) => (
+            <button key={k} onClick={()=> setPreset(k)} className={`px-3 py-1.5 rounded-lg text-sm border ${preset===k? 'bg-[var(--accent)] text-white border-[var(--accent)]':'bg-white hover:bg-gray-50'}`}>{label}</button>
+          ))}
+          {preset === "custom" && (
+            <div className="flex items-center gap-2 text-sm">
+              <input type="date" className="px-2 py-1 border rounded-lg" value={custom.from} max={custom.to} onChange={(e)=> setCustom(c=>({...c, from: e.target.value}))} />
+              <span>to</span>
+              <input type="date" className="px-2 py-1 border rounded-lg" value={custom.to} min={custom.from} onChange={(e)=> setCustom(c=>({...c, to: e.target.value}))} />
+            </div>
+          )}
+          <span className="text-sm text-gray-500 ml-2">{rangeLabel(range)}</span>
+        </div>
+
+        <div className="grid md:grid-cols-4 gap-4">
+          <KPI title="Fleet L/100 km" value={fleet?.l_per_100km ?? "—"} />
+          <KPI title="Fuel Cost" value={formatMoney(fleet?.cost ?? 0)} />
+          <KPI title="Cost per km" value={formatMoney(fleet?.cost_per_km)} />
+          <KPI title="Flagged Trips" value={anomalies.length} />
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-4">
+          <div className="bg-white rounded-2xl border border-gray-200 p-4">
+            <div className="font-semibold mb-2">L/100 km by Vehicle</div>
+            <div className="h-72">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={byVehicle}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="vehicle_reg" />
+                  <YAxis />
+                  <Tooltip />
+                  <Bar dataKey="l_per_100km" name="L/100 km" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
           </div>
-          <div className="col-span-2 mt-2 flex justify-end gap-2">
-            <button type="button" onClick={onClose} className="px-3 py-2 rounded-lg bg-gray-100">Cancel</button>
-            <button className="px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Save Dispatch</button>
+          <div className="bg-white rounded-2xl border border-gray-200 p-4">
+            <div className="font-semibold mb-2">Consumption Trend</div>
+            <div className="h-72">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={trend}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" tick={{ fontSize: 12 }} tickFormatter={(v)=> formatDay(`${v}T00:00:00`)} />
+                  <YAxis yAxisId="l" />
+                  <YAxis yAxisId="r" orientation="right" />
+                  <Tooltip labelFormatter={(v)=> formatDay(`${v}T00:00:00`)} />
+                  <Legend />
+                  <Line yAxisId="l" type="monotone" dataKey="l_per_100km" name="L/100 km" connectNulls dot={false} />
+                  <Line yAxisId="r" type="monotone" dataKey="cost_per_km" name="Cost/km (R)" connectNulls dot={false} stroke={ACCENT_LIGHT} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
           </div>
-        </form>
+        </div>
+
+        <DataTable title="Flagged Trips" filename="fuel_anomalies" rows={anomalies} columns={anomalyColumns} />
+        <DataTable title="By Vehicle" filename="fuel_by_vehicle" rows={byVehicle} columns={vehicleFuelColumns} />
+        <DataTable title="By Driver" filename="fuel_by_driver" rows={byDriver} columns={driverFuelColumns} />
       </div>
-    </div>
+    </Guard>
   );
 }
 
-function InventoryPage() {
-  const [db, setDbState] = useState(getDB());
-  const [filter, setFilter] = useState("All");
+const auditColumns = [
+  { key: 'at', header: 'When', type: 'date', render: (v)=> formatDate(v) },
+  { key: 'user', header: 'User' },
+  { key: 'action', header: 'Action', type: 'enum' },
+  { key: 'entity', header: 'Entity', type: 'enum' },
+  { key: 'entity_id', header: 'Record' },
+  { key: 'changes', header: 'Changes', render: (v, row)=> <span className="block max-w-md truncate" title={v}>{v || row.note || '—'}</span> },
+];
+
+function AuditPage() {
+  const [audit, setAudit] = useState(getAudit);
+  const entries = useMemo(() => audit.slice().reverse(), [audit]);
+  const [user, setUser] = useState("All");
+  const [entity, setEntity] = useState("All");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
   const [selected, setSelected] = useState(null);
 
-  // Auto-refresh every 30s
   useEffect(() => {
-    const h = setInterval(() => setDbState(getDB()), 30000);
-    return () => clearInterval(h);
+    loadAudit().then(setAudit);
   }, []);
 
-  const rows = db.inventory_snapshot.filter(i => filter === "All" || i.status === filter);
-  const cols = [
-    { key: 'cargo_id', header: 'Cargo ID' },
-    { key: 'status', header: 'Status', render: (v) => <span className={`px-2 py-1 rounded ${enumBadge[v]}`}>{v}</span> },
-    { key: 'quantity', header: 'Qty' },
-    { key: 'weight_kg', header: 'Weight (kg)' },
-    { key: 'last_movement', header: 'Last Movement', render: (v)=> formatDate(v)},
-  ];
+  const users = useMemo(() => Array.from(new Set(entries.map(e => e.user))).sort(), [entries]);
+  const entities = useMemo(() => Array.from(new Set(entries.map(e => e.entity))).sort(), [entries]);
+  const rows = useMemo(() => entries
+    .filter(e => user === "All" || e.user === user)
+    .filter(e => entity === "All" || e.entity === entity)
+    .filter(e => !from || new Date(e.at) >= new Date(from))
+    .filter(e => !to || new Date(e.at) <= new Date(`${to}T23:59:59.999`))
+    .map(e => ({
+      id: e.id, at: e.at, user: e.user, role: e.role, action: e.action, entity: e.entity, entity_id: e.entity_id,
+      changes: e.action === "update" ? e.fields.map(f => `${f}: ${JSON.stringify(e.before?.[f] ?? null)} → ${JSON.stringify(e.after?.[f] ?? null)}`).join("; ") : "",
+      note: e.note,
+    })), [entries, user, entity, from, to]);
 
   return (
-    <Guard allow={["Admin","Supervisor","Viewer"]}>
+    <Guard perm="audit.view">
       <div className="space-y-3">
-        <div className="flex gap-2">
-          {['All','Bonded','FAK','On Site','In Transit','Dispatched'].map(s => (
-            <button key={s} onClick={()=> setFilter(s)} className={`px-3 py-1.5 rounded-lg text-sm border ${filter===s? 'bg-[var(--accent)] text-white border-[var(--accent)]':'bg-white hover:bg-gray-50'}`}>{s}</button>
-          ))}
+        <div className="flex flex-wrap items-end gap-2">
+          <div>
+            <label className="block text-xs text-gray-600">User</label>
+            <select className="px-3 py-1.5 border rounded-lg text-sm" value={user} onChange={(e)=> setUser(e.target.value)}>
+              {["All", ...users].map(u => <option key={u} value={u}>{u}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600">Entity</label>
+            <select className="px-3 py-1.5 border rounded-lg text-sm" value={entity} onChange={(e)=> setEntity(e.target.value)}>
+              {["All", ...entities].map(x => <option key={x} value={x}>{x}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600">From</label>
+            <input type="date" className="px-3 py-1.5 border rounded-lg text-sm" value={from} onChange={(e)=> setFrom(e.target.value)} />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600">To</label>
+            <input type="date" className="px-3 py-1.5 border rounded-lg text-sm" value={to} onChange={(e)=> setTo(e.target.value)} />
+          </div>
         </div>
-        <DataTable title="Inventory" filename="inventory" rows={rows} columns={cols} actions={(row)=> (
-          <button onClick={()=> setSelected(row)} className="text-[var(--accent)] hover:text-[var(--accent-light)]">View</button>
+        <DataTable title="Audit Log" filename="audit_log" rows={rows} columns={auditColumns} actions={(row)=> (
+          <button onClick={()=> setSelected(entries.find(e => e.id === row.id))} className="text-[var(--accent)] hover:text-[var(--accent-light)]">View</button>
         )} />
-        {selected && <MovementDrawer cargo={selected} onClose={()=> setSelected(null)} />}
+        {selected && <AuditEntryModal entry={selected} onClose={()=> setSelected(null)} />}
       </div>
     </Guard>
   );
 }
 
-function MovementDrawer({ cargo, onClose }) {
-  const db = getDB();
-  const receipts = db.warehouse_receipts.filter(r => r.cargo_id === cargo.cargo_id).map(r => ({ type: 'Receipt', date: r.date_in, qty: r.quantity, details: r.indent_number }));
-  const dispatches = db.dispatches.filter(d => d.cargo_id === cargo.cargo_id).map(d => ({ type: 'Dispatch', date: d.date_dispatched, qty: -d.qty_packed, details: d.container_no }));
-  const rows = [...receipts, ...dispatches].sort((a,b)=> new Date(a.date) - new Date(b.date));
+function AuditEntryModal({ entry, onClose }) {
   return (
-    <div className="fixed inset-0 bg-black/40 flex justify-end z-50">
-      <div className="w-full max-w-lg bg-white h-full p-4 overflow-auto">
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
+      <div className="w-full max-w-4xl max-h-[80vh] overflow-auto bg-white rounded-2xl p-4">
         <div className="flex items-center justify-between mb-2">
-          <div className="font-semibold">Movement History – {cargo.cargo_id}</div>
+          <div className="font-semibold">{entry.action} {entry.entity} – {entry.entity_id}</div>
           <button onClick={onClose} className="text-gray-500">✕</button>
         </div>
-        <table className="w-full text-sm">
-          <thead><tr className="bg-gray-50"><th className="text-left px-3 py-2">Type</th><th className="text-left px-3 py-2">Date</th><th className="text-left px-3 py-2">Qty</th><th className="text-left px-3 py-2">Details</th></tr></thead>
-          <tbody>
-            {rows.map((r,i)=> (
-              <tr key={i} className={i%2===0? 'bg-white':'bg-gray-50'}>
-                <td className="px-3 py-2">{r.type}</td>
-                <td className="px-3 py-2">{formatDate(r.date)}</td>
-                <td className="px-3 py-2">{r.qty}</td>
-                <td className="px-3 py-2">{r.details}</td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
+        <div className="text-sm text-gray-600 mb-3">{formatDate(entry.at)} · {entry.user}{entry.role ? ` (${entry.role})` : ''}{entry.note ? ` · ${entry.note}` : ''}</div>
+        <div className="grid md:grid-cols-2 gap-3">
+          {[['Before', entry.before], ['After', entry.after]].map(([label, v]) => (
+            <div key={label}>
+              <div className="text-xs text-gray-600 mb-1">{label}</div>
+              <pre className="text-xs bg-gray-50 rounded-lg p-3 overflow-auto">{v == null ? '—' : JSON.stringify(v, null, 2)}</pre>
+            </div>
+          ))}
+        </div>
       </div>
     </div>
   );
 }
 
-function TransportPage() {
-  const [db, setDbState] = useState(getDB());
-  const [modalVeh, setModalVeh] = useState(null);
-
-  // Cron: every minute add & update random trips
-  useEffect(() => {
-    const t = setInterval(() => {
-      const next = getDB();
-      // randomly create or update a trip
-      if (Math.random() < 0.6) {
-        const start = new Date();
-        start.setMinutes(start.getMinutes() - rand(10, 120));
-        next.transport_trips.unshift({
-          id: uid("trip"),
-          vehicle_reg: `ND ${rand(1000,9999)}`,
-          start_time: start.toISOString(),
-          end_time: new Date().toISOString(),
-          distance_km: numberBetween(5, 200, 1),
-          fuel_used_l: numberBetween(1, 40, 1),
-          container_no: `MSCU${rand(1000000, 9999999)}`,
-          driver_name: choice(["S. Dlamini","K. Naidoo","P. Mkhize","J. Smith","M. Botha","A. Patel","R. Mthembu"]),
-          trip_status: choice(["Idle","Active","Completed"]) ,
-        });
-      } else if (next.transport_trips.length) {
-        const i = rand(0, Math.min(10, next.transport_trips.length-1));
-        next.transport_trips[i].trip_status = choice(["Idle","Active","Completed"]);
-      }
-      setDB(next);
-      setDbState(next);
-    }, 60000);
-    return () => clearInterval(t);
-  }, []);
+const reportColumns = [
+  { key: 'generated_at', header: 'Generated', type: 'date', render: (v)=> formatDate(v) },
+  { key: 'number', header: 'Report #' },
+  { key: 'title', header: 'Title' },
+  { key: 'period', header: 'Period' },
+  { key: 'source', header: 'Source' },
+  { key: 'generated_by', header: 'By' },
+];
 
-  const vehicles = Array.from(new Set(db.transport_trips.map(t => t.vehicle_reg)));
+function ReportsPage() {
+  const [db, setDbState] = useState(getDB);
+  const settings = reportSettings(db);
+  const [form, setForm] = useState(() => ({ day: dayKey(new Date()), period: settings.period, shift_hours: settings.shift_hours }));
+  const [viewing, setViewing] = useState(null);
+  const { push, node } = useToasts();
+  const auth = getAuth();
+  const period = reportPeriod({ ...settings, ...form }, new Date(`${form.day}T00:00`));
 
-  function generateDummyTrip() {
-    const next = getDB();
-    next.transport_trips.unshift({
-      id: uid("trip"),
-      vehicle_reg: `ND ${rand(1000,9999)}`,
-      start_time: new Date().toISOString(),
-      end_time: new Date().toISOString(),
-      distance_km: numberBetween(10, 500, 1),
-      fuel_used_l: numberBetween(2, 100, 1),
-      container_no: `MSCU${rand(1000000, 9999999)}`,
-      driver_name: choice(["S. Dlamini","K. Naidoo","P. Mkhize","J. Smith","M. Botha","A. Patel","R. Mthembu"]),
-      trip_status: choice(["Idle","Active","Completed"]) ,
-    });
-    setDB(next); setDbState(next);
+  function generate() {
+    const current = getDB();
+    const report = buildOpsReport(current, period, { by: auth?.email });
+    const next = withReport(current, report);
+    setDB(next, { note: `Report ${report.number} generated` });
+    setDbState(next);
+    setViewing(report);
+    push(`${report.title} ${report.number} generated`);
   }
 
+  const rows = useMemo(() => db.reports.map(r => ({ ...r, period: reportRange(r), source: r.scheduled ? "Scheduled" : "Manual" })), [db]);
+
   return (
-    <Guard allow={["Admin","Supervisor","Viewer"]}>
-      <div className="space-y-3">
-        <div className="flex items-center justify-between">
-          <h3 className="text-lg font-semibold">Transport Log</h3>
-          <button onClick={generateDummyTrip} className="px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Generate Dummy Trip</button>
-        </div>
-        <div className="grid md:grid-cols-4 gap-4">
-          {vehicles.map(v => {
-            const latest = db.transport_trips.filter(t=> t.vehicle_reg===v).sort((a,b)=> new Date(b.start_time)-new Date(a.start_time))[0];
-            return (
-              <div key={v} className="rounded-2xl border border-gray-200 overflow-hidden cursor-pointer" onClick={()=> setModalVeh(v)}>
-                <div className="px-4 py-2" style={{ background: ACCENT, color: 'white' }}>{v}</div>
-                <div className="p-4 text-sm flex justify-between">
-                  <div>
-                    <div className="text-gray-500">Driver</div>
-                    <div className="font-medium">{latest?.driver_name || '-'}</div>
-                  </div>
-                  <div className={`px-2 h-fit rounded ${tripBadge[latest?.trip_status || 'Idle']}`}>{latest?.trip_status || 'Idle'}</div>
-                </div>
+    <Guard perm="report.view">
+      <div className="space-y-4">
+        {node}
+        <div className="bg-white rounded-2xl border border-gray-200 p-4 space-y-3">
+          <div className="font-semibold">Operations report</div>
+          <div className="grid md:grid-cols-4 gap-3 items-end">
+            <div>
+              <label className="text-xs text-gray-600">Report date</label>
+              <input type="date" className="w-full px-3 py-2 border rounded-lg" value={form.day} onChange={(e)=> setForm(f=>({...f, day: e.target.value || dayKey(new Date())}))} />
+            </div>
+            <div>
+              <label className="text-xs text-gray-600">Covering</label>
+              <select className="w-full px-3 py-2 border rounded-lg" value={form.period} onChange={(e)=> setForm(f=>({...f, period: e.target.value}))}>
+                <option value="daily">24 hours to cutoff</option>
+                <option value="shift">One shift to cutoff</option>
+              </select>
+            </div>
+            {form.period === "shift" && (
+              <div>
+                <label className="text-xs text-gray-600">Shift length (hours)</label>
+                <input type="number" min="1" max="24" className="w-full px-3 py-2 border rounded-lg" value={form.shift_hours} onChange={(e)=> setForm(f=>({...f, shift_hours: e.target.value}))} />
               </div>
-            );
-          })}
+            )}
+            <button onClick={generate} className="px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Generate</button>
+          </div>
+          <div className="text-sm text-gray-500">Covers {formatDate(period.from)} to {formatDate(period.to)} (cutoff {settings.cutoff}).</div>
         </div>
-        {modalVeh && <TripHistoryModal vehicle={modalVeh} onClose={()=> setModalVeh(null)} />}
+        {can("report.manage", auth) && <ReportSchedule onSaved={setDbState} />}
+        <DataTable title="Report History" filename="reports" rows={rows} columns={reportColumns} initialSort={[]} actions={(row)=> (
+          <div className="flex gap-3">
+            <button onClick={()=> setViewing(db.reports.find(r => r.id === row.id))} className="text-[var(--accent)] hover:text-[var(--accent-light)]">View</button>
+            <button onClick={()=> downloadReport(db.reports.find(r => r.id === row.id), "html")} className="text-[var(--accent)] hover:text-[var(--accent-light)]">HTML</button>
+            <button onClick={()=> downloadReport(db.reports.find(r => r.id === row.id), "pdf")} className="text-[var(--accent)] hover:text-[var(--accent-light)]">PDF</button>
+          </div>
+        )} />
+        {viewing && <ReportViewer report={viewing} onClose={()=> setViewing(null)} />}
       </div>
     </Guard>
   );
 }
 
-function TripHistoryModal({ vehicle, onClose }) {
-  const db = getDB();
-  const rows = db.transport_trips.filter(t => t.vehicle_reg === vehicle).sort((a,b)=> new Date(b.start_time)-new Date(a.start_time));
+function downloadReport(report, format, section) {
+  if (format === "html") downloadBlob(`${report.number}.html`, new Blob([opsReportHTML(report)], { type: "text/html;charset=utf-8" }));
+  else if (format === "pdf") downloadBlob(`${report.number}.pdf`, pdfFromPages(opsReportPages(report)));
+  else exportCSV(`${report.number}_${section.id}`, section.rows);
+}
+
+function ReportViewer({ report, onClose }) {
+  const [err, setErr] = useState("");
+  function print() {
+    setErr("");
+    try { printPages(`${report.title} ${report.number}`, opsReportPages(report)); } catch (e) { setErr(e.message); }
+  }
   return (
     <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
-      <div className="w-full max-w-3xl max-h-[80vh] overflow-auto bg-white rounded-2xl p-4">
-        <div className="flex items-center justify-between mb-2">
-          <div className="font-semibold">Trip History – {vehicle}</div>
+      <div className="w-full max-w-4xl h-[95vh] bg-white rounded-2xl p-4 flex flex-col gap-3">
+        <div className="flex items-center justify-between">
+          <div className="font-semibold">{report.title} – {report.number}</div>
           <button onClick={onClose} className="text-gray-500">✕</button>
         </div>
-        <DataTable title="" filename={`trips_${vehicle}`} rows={rows} columns={[
-          { key:'start_time', header:'Start', render:(v)=> formatDate(v) },
-          { key:'end_time', header:'End', render:(v)=> formatDate(v) },
-          { key:'distance_km', header:'Distance (km)' },
-          { key:'fuel_used_l', header:'Fuel (L)' },
-          { key:'container_no', header:'Container #' },
-          { key:'driver_name', header:'Driver' },
-          { key:'trip_status', header:'Status' },
-        ]} />
+        <iframe title={report.number} srcDoc={opsReportHTML(report)} className="flex-1 w-full border rounded-lg" />
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-gray-500">CSV:</span>
+          {report.sections.map(s => (
+            <button key={s.id} disabled={!s.rows.length} onClick={()=> downloadReport(report, "csv", s)} className="px-2 py-1 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-50">{s.title}</button>
+          ))}
+        </div>
+        {err && <div className="text-sm text-red-600">{err}</div>}
+        <div className="flex justify-end gap-2">
+          <button onClick={print} className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200">Print</button>
+          <button onClick={()=> downloadReport(report, "html")} className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200">Download HTML</button>
+          <button onClick={()=> downloadReport(report, "pdf")} className="px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Download PDF</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ReportSchedule({ onSaved }) {
+  const saved = reportSettings(getDB());
+  const [form, setForm] = useState(saved);
+  const { push, node } = useToasts();
+  const dirty = JSON.stringify(form) !== JSON.stringify(saved);
+
+  function save() {
+    const next = { ...getDB(), report_settings: { ...form, shift_hours: Number(form.shift_hours) } };
+    setDB(next, { note: "Report schedule updated" });
+    setForm(next.report_settings);
+    onSaved(next);
+    push("Report schedule saved");
+  }
+
+  return (
+    <div className="bg-white rounded-2xl border border-gray-200 p-4 space-y-3">
+      {node}
+      <div className="font-semibold">Schedule</div>
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={form.enabled} onChange={(e)=> setForm(f=>({...f, enabled: e.target.checked}))} /> Generate automatically on the first sign-in after the cutoff, catching up any missed periods
+      </label>
+      <div className="grid md:grid-cols-3 gap-3">
+        <div>
+          <label className="text-xs text-gray-600">Cutoff time</label>
+          <input type="time" className="w-full px-3 py-2 border rounded-lg" value={form.cutoff} onChange={(e)=> setForm(f=>({...f, cutoff: e.target.value || DEFAULT_REPORT_SETTINGS.cutoff}))} />
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">Covering</label>
+          <select className="w-full px-3 py-2 border rounded-lg" value={form.period} onChange={(e)=> setForm(f=>({...f, period: e.target.value}))}>
+            <option value="daily">24 hours to cutoff</option>
+            <option value="shift">One shift to cutoff</option>
+          </select>
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">Shift length (hours)</label>
+          <input type="number" min="1" max="24" className="w-full px-3 py-2 border rounded-lg" value={form.shift_hours} disabled={form.period !== "shift"} onChange={(e)=> setForm(f=>({...f, shift_hours: e.target.value}))} />
+        </div>
+      </div>
+      <div className="flex justify-end">
+        <button disabled={!dirty} onClick={save} className="px-3 py-2 rounded-lg text-white disabled:opacity-50" style={{ background: ACCENT }}>Save</button>
       </div>
     </div>
   );
 }
 
+const userColumns = [
+  { key: 'email', header: 'Email' },
+  { key: 'name', header: 'Name' },
+  { key: 'role', header: 'Role', type: 'enum' },
+  { key: 'mustChangePassword', header: 'Password', render:(v)=> v ? 'Pending change' : 'Set' },
+];
+
 function UsersPage() {
-  const [db, setDbState] = useState(getDB());
+  const [db, setDbState] = useState(getDB);
   const [show, setShow] = useState(false);
+  const { push, node } = useToasts();
 
-  const cols = [
-    { key: 'email', header: 'Email' },
-    { key: 'name', header: 'Name' },
-    { key: 'role', header: 'Role' },
-    { key: 'tempPassword', header: 'Temp Password', render:(v)=> v||'—' },
-  ];
-
-  function invite(user) {
-    const next = { ...db };
-    next.users.push(user);
-    next.passwords[user.email] = user.tempPassword; // set temp as password until first login
+  async function invite({ tempPassword, ...user }) {
+    const next = { ...db, users: [...db.users, { ...user, mustChangePassword: true }] };
+    await issueTempPassword(next, user.email, tempPassword); // no permanent password until first login
     setDB(next); setDbState(next); setShow(false);
+    push(`Invite created. Temporary password: ${tempPassword}`);
+  }
+
+  function savePermissions(roles) {
+    const next = { ...db, permissions: { roles, known: PERMISSIONS.map(p => p.id) } };
+    setDB(next, { note: "Permission matrix updated" }); setDbState(next);
+    push("Permissions saved");
   }
 
   return (
-    <Guard allow={["Admin"]}>
-      <div>
-        <DataTable title="Users" filename="users" rows={db.users} columns={cols} onAdd={()=> setShow(true)} />
+    <Guard perm="user.view">
+      <div className="space-y-4">
+        {node}
+        <DataTable title="Users" filename="users" rows={db.users} columns={userColumns} addPermission="user.invite" onAdd={()=> setShow(true)} />
+        {can("permission.manage") && <PermissionMatrix value={permissionMatrix(db.permissions)} onSave={savePermissions} />}
         {show && <InviteUserDrawer onClose={()=> setShow(false)} onInvite={invite} />}
       </div>
     </Guard>
   );
 }
 
+function PermissionMatrix({ value, onSave }) {
+  const [draft, setDraft] = useState(value);
+  const dirty = JSON.stringify(draft) !== JSON.stringify(value);
+
+  function toggle(role, action) {
+    setDraft((d) => {
+      const has = (d[role] || []).includes(action);
+      return { ...d, [role]: has ? d[role].filter(a => a !== action) : [...(d[role] || []), action] };
+    });
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between p-4">
+        <div className="font-semibold">Role Permissions</div>
+        <div className="flex gap-2">
+          <button onClick={()=> setDraft(DEFAULT_PERMISSIONS)} className="px-3 py-1.5 rounded-lg text-sm bg-gray-100 hover:bg-gray-200">Reset to defaults</button>
+          <button disabled={!dirty} onClick={()=> onSave(draft)} className="px-3 py-1.5 rounded-lg text-sm bg-[var(--accent)] text-white hover:bg-[var(--accent-light)] disabled:opacity-50">Save</button>
+        </div>
+      </div>
+      <div className="overflow-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="bg-gray-50">
+              <th className="text-left px-3 py-2">Action</th>
+              {ROLES.map(r => <th key={r} className="px-3 py-2">{r}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {PERMISSIONS.map(p => (
+              <tr key={p.id}>
+                <td className="px-3 py-2">{p.label} <span className="text-xs text-gray-400">{p.id}</span></td>
+                {ROLES.map(r => {
+                  const locked = r === "Admin" && p.id === "permission.manage";
+                  return (
+                    <td key={r} className="px-3 py-2 text-center">
+                      <input type="checkbox" checked={locked || (draft[r] || []).includes(p.id)} disabled={locked} onChange={()=> toggle(r, p.id)} />
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 function InviteUserDrawer({ onClose, onInvite }) {
   const [form, setForm] = useState({ id: uid("usr"), email: "", name: "", role: "Viewer", tempPassword: `Temp${rand(10000,99999)}!` });
   function submit(e) { e.preventDefault(); onInvite(form); }
@@ -1079,15 +5736,294 @@ function InviteUserDrawer({ onClose, onInvite }) {
   );
 }
 
+function SettingsPage() {
+  return (
+    <Guard perm="settings.manage">
+      <div className="space-y-4">
+        <h2 className="text-xl font-semibold">Settings</h2>
+        <StorageSettings />
+        <AlertSettings />
+        <FleetSettings />
+        {can("data.backup") && <BackupSettings />}
+      </div>
+    </Guard>
+  );
+}
+
+function StorageSettings() {
+  const current = getStorageBackend();
+  const [backend, setBackend] = useState(current);
+  const [restUrl, setRestUrl] = useState(localStorage.getItem("cc_rest_base_url") || "/api");
+  const [copy, setCopy] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  async function apply() {
+    setBusy(true); setErr("");
+    try {
+      localStorage.setItem("cc_rest_base_url", restUrl);
+      await switchStorageBackend(backend, copy);
+      location.reload();
+    } catch (e) {
+      setErr(e.message);
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-2xl border border-gray-200 p-4 space-y-3 max-w-xl">
+      <div className="font-semibold">Storage backend</div>
+      <div className="text-sm text-gray-600">Currently using <b>{STORAGE_BACKENDS[current].label}</b>.</div>
+      <div className="space-y-1">
+        {Object.entries(STORAGE_BACKENDS).map(([key, b]) => (
+          <label key={key} className="flex items-center gap-2 text-sm">
+            <input type="radio" name="backend" checked={backend === key} onChange={()=> setBackend(key)} /> {b.label}
+          </label>
+        ))}
+      </div>
+      {backend === "rest" && (
+        <div>
+          <label className="text-xs text-gray-600">API base URL</label>
+          <input className="w-full px-3 py-2 border rounded-lg" value={restUrl} onChange={(e)=> setRestUrl(e.target.value)} />
+        </div>
+      )}
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={copy} onChange={(e)=> setCopy(e.target.checked)} /> Copy current data to the new backend (replaces what is there)
+      </label>
+      {err && <div className="text-sm text-red-600">{err}</div>}
+      <div className="flex justify-end">
+        <button disabled={busy || (backend === current && !copy)} onClick={apply} className="px-3 py-2 rounded-lg text-white disabled:opacity-50" style={{ background: ACCENT }}>{busy ? "Switching…" : "Apply and reload"}</button>
+      </div>
+    </div>
+  );
+}
+
+function AlertSettings() {
+  const saved = alertSettings(getDB());
+  const [form, setForm] = useState(saved);
+  const { push, node } = useToasts();
+  const dirty = JSON.stringify(form) !== JSON.stringify(saved);
+
+  function save() {
+    const next = { ...getDB(), alert_settings: { ...form, expiry_days: Number(form.expiry_days), inspection_grace_days: Number(form.inspection_grace_days), vehicle_doc_days: Number(form.vehicle_doc_days), driver_doc_days: Number(form.driver_doc_days) } };
+    setDB(next, { note: "Alert thresholds updated" });
+    setForm(next.alert_settings);
+    push("Alert thresholds saved");
+  }
+
+  return (
+    <div className="bg-white rounded-2xl border border-gray-200 p-4 space-y-3 max-w-xl">
+      {node}
+      <div className="font-semibold">Alert thresholds</div>
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="text-xs text-gray-600">Warn of cargo expiring within (days)</label>
+          <input type="number" min="0" className="w-full px-3 py-2 border rounded-lg" value={form.expiry_days} onChange={(e)=> setForm(f=>({...f, expiry_days: e.target.value}))} />
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">Inspection grace period (days)</label>
+          <input type="number" min="0" className="w-full px-3 py-2 border rounded-lg" value={form.inspection_grace_days} onChange={(e)=> setForm(f=>({...f, inspection_grace_days: e.target.value}))} />
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">Warn of vehicle licence / roadworthy expiry within (days)</label>
+          <input type="number" min="0" className="w-full px-3 py-2 border rounded-lg" value={form.vehicle_doc_days} onChange={(e)=> setForm(f=>({...f, vehicle_doc_days: e.target.value}))} />
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">Warn of driver licence / PrDP expiry within (days)</label>
+          <input type="number" min="0" className="w-full px-3 py-2 border rounded-lg" value={form.driver_doc_days} onChange={(e)=> setForm(f=>({...f, driver_doc_days: e.target.value}))} />
+        </div>
+      </div>
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={form.dispatch_inspections} onChange={(e)=> setForm(f=>({...f, dispatch_inspections: e.target.checked}))} /> Alert on open dispatches without completed inspections
+      </label>
+      <div className="flex justify-end gap-2">
+        <button onClick={()=> setForm(DEFAULT_ALERT_SETTINGS)} className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200">Reset to defaults</button>
+        <button disabled={!dirty} onClick={save} className="px-3 py-2 rounded-lg text-white disabled:opacity-50" style={{ background: ACCENT }}>Save</button>
+      </div>
+    </div>
+  );
+}
+
+function FleetSettings() {
+  const saved = fleetSettings(getDB());
+  const [form, setForm] = useState(saved);
+  const { push, node } = useToasts();
+  const dirty = JSON.stringify(form) !== JSON.stringify(saved);
+  const error = !(Number(form.fuel_price_per_l) > 0) ? "Enter a fuel price above zero"
+    : !(Number(form.anomaly_pct) >= 1) ? "The deviation threshold must be at least 1%"
+    : !(Number(form.max_daily_hours) > 0 && Number(form.max_weekly_hours) > 0) ? "Driving hours limits must be above zero"
+    : null;
+
+  function save() {
+    if (error) return;
+    const next = { ...getDB(), fleet_settings: { ...saved, fuel_price_per_l: Number(form.fuel_price_per_l), anomaly_pct: Number(form.anomaly_pct), max_daily_hours: Number(form.max_daily_hours), max_weekly_hours: Number(form.max_weekly_hours) } };
+    setDB(next, { note: "Fleet settings updated" });
+    setForm(next.fleet_settings);
+    push("Fleet settings saved");
+  }
+
+  return (
+    <div className="bg-white rounded-2xl border border-gray-200 p-4 space-y-3 max-w-xl">
+      {node}
+      <div className="font-semibold">Fleet analytics &amp; driving hours</div>
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="text-xs text-gray-600">Fuel price (R per litre)</label>
+          <input type="number" min="0" step="0.01" className="w-full px-3 py-2 border rounded-lg" value={form.fuel_price_per_l} onChange={(e)=> setForm(f=>({...f, fuel_price_per_l: e.target.value}))} />
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">Flag trips deviating from baseline by (%)</label>
+          <input type="number" min="1" className="w-full px-3 py-2 border rounded-lg" value={form.anomaly_pct} onChange={(e)=> setForm(f=>({...f, anomaly_pct: e.target.value}))} />
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">Driving hours limit per 24 h</label>
+          <input type="number" min="1" className="w-full px-3 py-2 border rounded-lg" value={form.max_daily_hours} onChange={(e)=> setForm(f=>({...f, max_daily_hours: e.target.value}))} />
+        </div>
+        <div>
+          <label className="text-xs text-gray-600">Driving hours limit per 7 days</label>
+          <input type="number" min="1" className="w-full px-3 py-2 border rounded-lg" value={form.max_weekly_hours} onChange={(e)=> setForm(f=>({...f, max_weekly_hours: e.target.value}))} />
+        </div>
+      </div>
+      {dirty && error && <div className="text-sm text-red-700">{error}</div>}
+      <div className="flex justify-end">
+        <button disabled={!dirty || !!error} onClick={save} className="px-3 py-2 rounded-lg text-white disabled:opacity-50" style={{ background: ACCENT }}>Save</button>
+      </div>
+    </div>
+  );
+}
+
+function BackupSettings() {
+  const [pending, setPending] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const [errors, setErrors] = useState([]);
+  const { push, node } = useToasts();
+  const fileRef = useRef(null);
+
+  function exportBackup() {
+    downloadJSON(`cargoops_backup_${new Date().toISOString().slice(0, 10)}`, buildBackup(getDB()));
+  }
+
+  async function pickFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    let json = null;
+    try { json = JSON.parse(await readFileText(file)); } catch { setErrors(["File is not valid JSON"]); setPending(null); return; }
+    const { errors, db } = await readBackup(json);
+    setErrors(errors);
+    setPending(db ? { db, file: file.name, exported_at: json.exported_at, exported_by: json.exported_by, schema_version: json.schema_version } : null);
+  }
+
+  function apply() {
+    if (mode === "replace" && !confirm("Replace every collection in the file? Records not in the file will be lost.")) return;
+    setDB(restoreBackup(getDB(), pending.db, mode), { note: `Backup ${pending.file} restored (${mode})` });
+    setPending(null);
+    push("Backup restored");
+  }
+
+  const preview = pending ? backupPreview(getDB(), pending.db, mode) : [];
+
+  return (
+    <div className="bg-white rounded-2xl border border-gray-200 p-4 space-y-3">
+      {node}
+      <div className="flex items-center justify-between">
+        <div className="font-semibold">Backup &amp; restore</div>
+        <div className="flex gap-2">
+          <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={pickFile} />
+          <button onClick={() => fileRef.current?.click()} className="px-3 py-1.5 rounded-lg text-sm bg-gray-100 hover:bg-gray-200">Restore from file…</button>
+          <button onClick={exportBackup} className="px-3 py-1.5 rounded-lg text-sm bg-[var(--accent)] text-white hover:bg-[var(--accent-light)]">Download backup</button>
+        </div>
+      </div>
+      <div className="text-sm text-gray-600">Backups contain every collection at schema v{SCHEMA_VERSION}. Temporary passwords are left out; passwords are only included as salted hashes.</div>
+      {errors.length > 0 && <ul className="text-sm text-red-700 list-disc pl-5">{errors.map(e => <li key={e}>{e}</li>)}</ul>}
+      {pending && (
+        <div className="space-y-3">
+          <div className="text-sm">
+            <b>{pending.file}</b> · schema v{pending.schema_version}{pending.exported_at ? ` · exported ${formatDate(pending.exported_at)}` : ""}{pending.exported_by ? ` by ${pending.exported_by}` : ""}
+          </div>
+          <div className="flex gap-4 text-sm">
+            <label className="flex items-center gap-2"><input type="radio" checked={mode === "merge"} onChange={() => setMode("merge")} /> Merge by id</label>
+            <label className="flex items-center gap-2"><input type="radio" checked={mode === "replace"} onChange={() => setMode("replace")} /> Replace collections</label>
+          </div>
+          <DataTable title="Changes" filename="restore_preview" rows={preview} columns={[
+            { key: 'collection', header: 'Collection' },
+            { key: 'current', header: 'Current' },
+            { key: 'in_file', header: 'In file' },
+            { key: 'added', header: 'New', render: (v) => mode === "replace" ? '—' : v },
+            { key: 'updated', header: mode === "replace" ? 'Replaced' : 'Overwritten', render: (v, row) => mode === "replace" ? row.current : v },
+            { key: 'after', header: 'After restore' },
+          ]} />
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setPending(null)} className="px-3 py-2 rounded-lg bg-gray-100">Cancel</button>
+            <button onClick={apply} className={`px-3 py-2 rounded-lg text-white ${mode === "replace" ? "bg-red-600 hover:bg-red-700" : ""}`} style={mode === "replace" ? undefined : { background: ACCENT }}>{mode === "replace" ? "Replace data" : "Merge data"}</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Shown instead of the app when stored data cannot be upgraded to the current schema.
+function RecoveryScreen({ error }) {
+  const [downloaded, setDownloaded] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  // Same format and redaction as the Settings backup, so the file can go straight back into a restore.
+  function backup() {
+    downloadJSON(`cargoops_backup_v${schemaVersion(error.backup)}_${new Date().toISOString().slice(0, 10)}`, buildBackup(error.backup));
+    setDownloaded(true);
+  }
+
+  async function reset() {
+    if (!confirm("Delete all stored data and start again with demo data?")) return;
+    setBusy(true);
+    await resetStorage();
+    location.reload();
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-white" style={{ ['--accent']: ACCENT, ['--accent-light']: ACCENT_LIGHT }}>
+      <div className="w-full max-w-lg border border-gray-200 rounded-2xl p-6 shadow-sm space-y-3">
+        <h1 className="text-lg font-semibold">Stored data needs recovery</h1>
+        <div className="text-sm text-red-700">{error.message}</div>
+        <div className="text-sm text-gray-600">Your data has not been changed. Download a backup before resetting; it can be inspected or fixed and restored later.</div>
+        <div className="flex justify-end gap-2 pt-2">
+          <button onClick={() => location.reload()} className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200">Retry</button>
+          <button onClick={backup} className="px-3 py-2 rounded-lg text-white" style={{ background: ACCENT }}>Download JSON backup</button>
+          <button disabled={!downloaded || busy} onClick={reset} title={downloaded ? "" : "Download a backup first"} className="px-3 py-2 rounded-lg text-white bg-red-600 hover:bg-red-700 disabled:opacity-50">Reset data</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // Root app with router
 export default function App() {
   const [route, routeTo] = useHashRoute();
+  const [ready, setReady] = useState(false);
+  const [loadError, setLoadError] = useState(null);
 
   useEffect(() => {
-    seedIfNeeded();
     ensureManifest();
+    initStorage()
+      .then(() => { setReady(true); return ensureHashedPasswords(); })
+      .catch((err) => setLoadError(err));
   }, []);
 
+  if (loadError?.migration) return <RecoveryScreen error={loadError} />;
+  if (!ready) {
+    return (
+      <div className="min-h-screen flex items-center justify-center text-sm text-gray-600">
+        {loadError ? (
+          <div className="space-y-2 text-center">
+            <div className="text-red-700">Could not load data from the {STORAGE_BACKENDS[getStorageBackend()].label} backend: {loadError.message}</div>
+            <button onClick={() => { localStorage.setItem(STORAGE_BACKEND_KEY, "local"); location.reload(); }} className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200">Switch back to localStorage</button>
+          </div>
+        ) : "Loading…"}
+      </div>
+    );
+  }
+
   const auth = getAuth();
   const publicOnly = route === "/login";
 
@@ -1095,11 +6031,17 @@ export default function App() {
     location.hash = "#/login";
     return null;
   }
+  if (auth?.mustChangePassword && !publicOnly && route !== "/change-password") {
+    location.hash = "#/change-password";
+    return null;
+  }
 
   return (
     <div>
       {publicOnly ? (
         <LoginPage />
+      ) : route === "/change-password" ? (
+        <ChangePasswordPage />
       ) : (
         <Shell routeTo={routeTo}>
           {route === "/dashboard" && <DashboardPage />}
@@ -1108,7 +6050,16 @@ export default function App() {
           {route === "/inventory" && <InventoryPage />}
           {route === "/transport" && <TransportPage />}
           {route === "/users" && <UsersPage />}
-          {!["/dashboard","/receipt","/dispatch","/inventory","/transport","/users"].includes(route) && <div>Not Found</div>}
+          {route === "/locations" && <LocationsPage />}
+          {route === "/trace" && <TracePage />}
+          {route === "/customs" && <CustomsPage />}
+          {route === "/vehicles" && <VehiclesPage />}
+          {route === "/drivers" && <DriversPage />}
+          {route === "/fleet" && <FleetPage />}
+          {route === "/reports" && <ReportsPage />}
+          {route === "/audit" && <AuditPage />}
+          {route === "/settings" && <SettingsPage />}
+          {!["/dashboard","/receipt","/dispatch","/inventory","/locations","/trace","/customs","/transport","/vehicles","/drivers","/fleet","/reports","/users","/audit","/settings"].includes(route) && <div>Not Found</div>}
         </Shell>
       )}
       <style>{`
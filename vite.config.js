@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: '',
+  server: {
+    // REST storage adapter -> npm run mock-api
+    proxy: { '/api': 'http://localhost:4010' },
+  },
 })